@@ -113,6 +113,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     await loadBrierByCategory();
     await loadBrierByElectionType();
     await loadBrierConvergence();
+    await loadBellwetherBrier();
     await loadCalibration();
     await loadCalibrationDistribution();
     await loadPlatformComparison();
@@ -599,6 +600,70 @@ async function loadBrierConvergence() {
     }
 }
 
+// Written by server/backfill.js. The section stays hidden until a backfill
+// has been published.
+async function loadBellwetherBrier() {
+    try {
+        const response = await fetch(`data/bellwether_backfill.json?v=${Date.now()}`);
+        if (response.status === 404) return;
+        if (!response.ok) throw new Error('Failed to load bellwether_backfill.json');
+
+        const c = (await response.json()).comparison;
+        if (!c || c.days.length === 0) return;
+
+        const bellwether = {
+            x: c.days,
+            y: c.bellwether,
+            customdata: c.n,
+            mode: 'lines+markers',
+            name: 'Bellwether price',
+            line: { color: COLORS.pm, width: 2.5 },
+            marker: { size: 5 },
+            hovertemplate: 'Bellwether: %{y:.4f} at %{x}d (n=%{customdata})<extra></extra>'
+        };
+
+        const lastTrade = {
+            x: c.days,
+            y: c.last_trade,
+            customdata: c.n,
+            mode: 'lines+markers',
+            name: 'Last trade',
+            line: { color: COLORS.gray, width: 2.5, dash: 'dot' },
+            marker: { size: 5 },
+            hovertemplate: 'Last trade: %{y:.4f} at %{x}d (n=%{customdata})<extra></extra>'
+        };
+
+        const layout = {
+            ...LAYOUT_DEFAULTS,
+            xaxis: {
+                title: 'Days Before Resolution',
+                autorange: 'reversed',
+                gridcolor: COLORS.line,
+                zeroline: false
+            },
+            yaxis: {
+                title: 'Brier Score',
+                gridcolor: COLORS.line,
+                zeroline: false,
+                tickformat: '.2f'
+            },
+            legend: {
+                orientation: 'h',
+                y: -0.2,
+                x: 0.5,
+                xanchor: 'center',
+                font: { size: 11 }
+            },
+            margin: { l: 60, r: 20, t: 20, b: 100 }
+        };
+
+        document.getElementById('row-bellwether-brier').style.display = '';
+        Plotly.newPlot('chart-bellwether-brier', [bellwether, lastTrade], layout, CONFIG);
+    } catch (e) {
+        console.warn('Could not load Bellwether Brier chart:', e);
+    }
+}
+
 async function loadCalibration() {
     try {
         const data = await fetchJSON('calibration.json');
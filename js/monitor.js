@@ -65,120 +65,279 @@
     // Store live data for cards
     const cardLiveData = new Map();
 
-    // Normalize server response to handle tiered pricing format
-    function normalizeServerResponse(data, isCombined = false) {
-        if (!data) return null;
-
-        // New tiered format has price_tier and price_label
-        if (data.price_tier !== undefined) {
-            return {
-                bellwether_price: data.bellwether_price,
-                price_tier: data.price_tier,
-                price_label: data.price_label,
-                price_source: data.price_source,
-                current_price: data.current_price ?? null,
-                robustness: data.robustness,
-                vwap_details: data.vwap_details,
-                orderbook_midpoint: data.orderbook_midpoint,
-                platform_prices: data.platform_prices,
-                fetched_at: data.fetched_at
-            };
-        }
-
-        // Legacy format support
-        if (data.robustness && data.bellwether_price !== undefined) {
-            return {
-                ...data,
-                price_tier: 1,
-                price_label: isCombined ? '6h VWAP across platforms' : '6h VWAP',
-                price_source: '6h_vwap'
-            };
-        }
-
-        // Very old format conversion
-        const normalized = {
-            bellwether_price: data.vwap_6h?.vwap ?? null,
-            price_tier: data.vwap_6h?.vwap ? 1 : 4,
-            price_label: isCombined ? '6h VWAP across platforms' : '6h VWAP',
-            price_source: '6h_vwap',
+    // Pick the fields cards and modals use from a metrics payload. Both live
+    // servers build it with server/pricing-core.js, so single-platform and
+    // combined responses share one shape (combined adds platform_prices).
+    function normalizeServerResponse(data) {
+        if (!data || data.price_tier === undefined) return null;
+
+        return {
+            bellwether_price: data.bellwether_price,
+            price_interval: data.price_interval ?? null,
+            price_tier: data.price_tier,
+            price_label: data.price_label,
+            price_source: data.price_source,
             current_price: data.current_price ?? null,
-            robustness: {
-                cost_to_move_5c: data.manipulation_cost?.dollars_spent ?? null,
-                reportability: getReportabilityFromCost(data.manipulation_cost?.dollars_spent)
-            },
-            vwap_details: data.vwap_6h,
+            robustness: data.robustness,
+            vwap_details: data.vwap_details,
+            orderbook_midpoint: data.orderbook_midpoint,
+            platform_prices: data.platform_prices,
+            freshness: data.freshness ?? null,
+            market: data.market ?? null,
             fetched_at: data.fetched_at
         };
-
-        if (isCombined && data.platform_prices) {
-            normalized.platform_prices = data.platform_prices;
-        }
-
-        return normalized;
     }
 
-    // Compute reportability label from cost (for old server format)
+    // Compute reportability label from a static cost_to_move_5c
     function getReportabilityFromCost(cost) {
         if (cost === null || cost === undefined || cost < 10000) return 'fragile';
         if (cost < 100000) return 'caution';
         return 'reportable';
     }
 
-    // Small delay helper
-    function delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    // Max markets per batch request, each leg of a combined entry counting
+    // one. Starts at the server's default (maxMarketsPerRequest) and follows
+    // the max_markets the server reports when a batch is over its limit.
+    let liveDataBatchMarkets = 7;
+
+    // Markets a batch spec prices: both legs of a cross-platform spec
+    function liveDataSpecMarkets(spec) {
+        return spec.pm_token && spec.k_ticker ? 2 : 1;
+    }
+
+    // Fetch live data for many markets in one request
+    async function fetchBatchLiveData(specs) {
+        if (specs.length === 0) return [];
+
+        try {
+            const response = await fetch(`${LIVE_DATA_SERVER}/api/metrics/batch`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ markets: specs })
+            });
+            if (response.status === 400 && specs.length > 1) {
+                // Over a smaller server limit: adopt it and resend in smaller batches
+                const error = await response.json();
+                const size = specs.reduce((sum, spec) => sum + liveDataSpecMarkets(spec), 0);
+                if (!(error.max_markets > 0 && error.max_markets < size)) return [];
+
+                liveDataBatchMarkets = error.max_markets;
+                const results = [];
+                for (const batch of batchLiveDataSpecs(specs)) {
+                    results.push(...await fetchBatchLiveData(batch));
+                }
+                return results;
+            }
+            if (!response.ok) return [];
+            const data = await response.json();
+            return data.results || [];
+        } catch (e) {
+            console.warn('Batch live data fetch failed:', e);
+            return [];
+        }
+    }
+
+    // Server market spec for a card, or null without identifiers
+    function getLiveDataSpec(m) {
+        // Handle different field names for tokens/tickers
+        const pmToken = m.pm_token_id || m.token_id || null;
+        const kTicker = m.k_ticker || m.ticker || null;
+
+        if (pmToken && kTicker) {
+            // Cross-platform - combined metrics
+            return { pm_token: pmToken, k_ticker: kTicker };
+        }
+        if (pmToken) return { platform: 'polymarket', token_id: pmToken };
+        if (kTicker) return { platform: 'kalshi', token_id: kTicker };
+        return null;
+    }
+
+    // Split specs into batches of at most liveDataBatchMarkets markets
+    function batchLiveDataSpecs(specs) {
+        const batches = [];
+        let batch = [];
+        let size = 0;
+        for (const spec of specs) {
+            const markets = liveDataSpecMarkets(spec);
+            if (batch.length > 0 && size + markets > liveDataBatchMarkets) {
+                batches.push(batch);
+                batch = [];
+                size = 0;
+            }
+            batch.push(spec);
+            size += markets;
+        }
+        if (batch.length > 0) batches.push(batch);
+        return batches;
     }
 
-    // Fetch live data for visible cards (throttled to reduce server memory spikes)
+    // Fetch live data for visible cards in batched requests
     async function fetchLiveDataForCards(markets) {
-        // Process sequentially with delays to avoid overwhelming the server
+        const marketsByKey = new Map();
+        const specs = [];
+
         for (const m of markets) {
             // Skip if we already have data for this card
             if (cardLiveData.has(m.key)) continue;
 
-            // Handle different field names for tokens/tickers
-            const pmToken = m.pm_token_id || m.token_id || null;
-            const kTicker = m.k_ticker || m.ticker || null;
+            const spec = getLiveDataSpec(m);
+            if (!spec) continue;
 
-            // Skip if no identifiers available
-            if (!pmToken && !kTicker) continue;
+            marketsByKey.set(m.key, m);
+            specs.push({ id: m.key, ...spec });
+        }
 
-            // Fetch sequentially (not in parallel) to reduce server load
-            try {
-                let rawData = null;
-                let isCombined = false;
-
-                if (pmToken && kTicker) {
-                    // Cross-platform - use combined endpoint
-                    rawData = await fetchCombinedLiveData(pmToken, kTicker);
-                    isCombined = true;
-                } else if (pmToken) {
-                    rawData = await fetchLiveData(pmToken, 'polymarket');
-                } else if (kTicker) {
-                    rawData = await fetchLiveData(kTicker, 'kalshi');
-                }
+        for (const batch of batchLiveDataSpecs(specs)) {
+            const results = await fetchBatchLiveData(batch);
 
-                if (rawData) {
-                    const data = normalizeServerResponse(rawData, isCombined);
-                    cardLiveData.set(m.key, data);
-                    console.log(`Live data received for ${m.key}:`, {
-                        bellwether_price: data.bellwether_price,
-                        price_tier: data.price_tier,
-                        price_label: data.price_label,
-                        trade_count: data.vwap_details?.trade_count
-                    });
-                    // Update the card in place
-                    updateCardWithLiveData(m.key, data, m);
-                } else {
-                    console.warn(`No data returned for ${m.key}`);
+            for (const result of results) {
+                if (!result.ok) {
+                    console.warn(`No data returned for ${result.id}:`, result.error);
+                    continue;
                 }
-            } catch (e) {
-                console.error(`Failed to fetch live data for ${m.key}:`, e);
+
+                const data = normalizeServerResponse(result.metrics);
+                if (!data) continue;
+                cardLiveData.set(result.id, data);
+                // Update the card in place
+                updateCardWithLiveData(result.id, data, marketsByKey.get(result.id));
             }
+        }
+    }
 
-            // Small delay between requests to avoid server memory spikes
-            await delay(150);
+    // Max markets per divergences request: two legs each, within the
+    // server's leg limit (maxDivergenceLegs)
+    const LIVE_DIVERGENCE_MAX_MARKETS = 20;
+
+    // Live divergence results by market key, in the server's order (most
+    // actionable first); null until loaded, then the divergences tab uses them
+    let liveDivergences = null;
+
+    // Elections listed on both platforms with identifiers for each
+    function isDivergenceCandidate(m) {
+        const isElection = m.entry_type === 'election' || (m.has_both && m.pm_price !== undefined);
+        const spec = isElection && m.has_both ? getLiveDataSpec(m) : null;
+        return !!(spec && spec.pm_token);
+    }
+
+    // Check the widest static spreads against live orderbooks
+    async function fetchLiveDivergences() {
+        const candidates = allMarkets
+            .filter(isDivergenceCandidate)
+            .sort((a, b) => (b.spread || 0) - (a.spread || 0))
+            .slice(0, LIVE_DIVERGENCE_MAX_MARKETS);
+        if (candidates.length === 0) return;
+
+        const marketsByStreamKey = new Map(candidates.map(m => [getStreamKey(getLiveDataSpec(m)), m]));
+        const query = [...marketsByStreamKey.keys()].join(',');
+
+        try {
+            const response = await fetch(`${LIVE_DATA_SERVER}/api/divergences?markets=${encodeURIComponent(query)}`);
+            if (!response.ok) return;
+            const data = await response.json();
+
+            liveDivergences = new Map();
+            for (const result of data.markets || []) {
+                const market = marketsByStreamKey.get(result.market);
+                if (market) liveDivergences.set(market.key, result);
+            }
+        } catch (e) {
+            console.warn('Live divergences fetch failed:', e);
+            return;
         }
+
+        updateTabCounts();
+        if (currentView === 'divergences') renderCards();
+    }
+
+    // Markets for the divergences tab: live divergent results when loaded,
+    // otherwise elections with a static spread over 5%
+    function getDivergentMarkets(markets) {
+        if (liveDivergences) {
+            const order = [...liveDivergences.keys()];
+            return markets
+                .filter(m => liveDivergences.get(m.key)?.divergent)
+                .sort((a, b) => order.indexOf(a.key) - order.indexOf(b.key));
+        }
+
+        // Check for entry_type === 'election' OR old format (has_both with pm_price/k_price)
+        return markets
+            .filter(m => {
+                const isElection = m.entry_type === 'election' || (m.has_both && m.pm_price !== undefined);
+                return isElection && m.has_both && m.spread !== null && m.spread > 0.05;
+            })
+            .sort((a, b) => (b.spread || 0) - (a.spread || 0));
+    }
+
+    // Card flag for a live divergence: arbitrage after fees, else the spread
+    // and how long it has held
+    function formatDivergenceFlag(result) {
+        if (result.arbitrage?.fee_adjusted?.available) {
+            return `Arbitrage ${Math.round(result.arbitrage.fee_adjusted.edge * 1000) / 10}¢`;
+        }
+        let text = `Divergence ${result.divergence_points}pts`;
+        const minutes = result.persistence?.minutes;
+        if (minutes >= 60) text += ` · ${Math.round(minutes / 60)}h`;
+        else if (minutes > 0) text += ` · ${minutes}m`;
+        return text;
+    }
+
+    // Max markets per stream subscription (matches the server's stream_max_markets)
+    const LIVE_STREAM_MAX_MARKETS = 50;
+
+    let liveStream = null;
+    let liveStreamQuery = '';
+    let liveStreamCards = new Map(); // stream key -> market
+
+    // Stream key the server uses for a market spec (see server/metrics-stream.js)
+    function getStreamKey(spec) {
+        if (spec.platform) return `${spec.platform}:${spec.token_id}`;
+        return `polymarket:${spec.pm_token}|kalshi:${spec.k_ticker}`;
+    }
+
+    // Keep one SSE subscription open for the visible cards and patch them
+    // in place as the server recomputes their metrics
+    function subscribeToLiveUpdates(markets) {
+        if (typeof EventSource === 'undefined') return;
+
+        const cards = new Map();
+        for (const m of markets) {
+            if (cards.size >= LIVE_STREAM_MAX_MARKETS) break;
+            const spec = getLiveDataSpec(m);
+            if (spec) cards.set(getStreamKey(spec), m);
+        }
+        liveStreamCards = cards;
+
+        // Same set of cards - keep the open connection
+        const query = [...cards.keys()].sort().join(',');
+        if (query === liveStreamQuery) return;
+
+        if (liveStream) liveStream.close();
+        liveStream = null;
+        liveStreamQuery = query;
+        if (!query) return;
+
+        liveStream = new EventSource(`${LIVE_DATA_SERVER}/api/stream?markets=${encodeURIComponent(query)}`);
+        liveStream.addEventListener('metrics', (event) => {
+            let update;
+            try {
+                update = JSON.parse(event.data);
+            } catch (e) {
+                return;
+            }
+
+            // market is the stream key; the market's status comes as market_info
+            const { market: streamKey, market_info: marketInfo, ...fields } = update;
+            const market = liveStreamCards.get(streamKey);
+            if (!market) return;
+
+            // Updates carry price and robustness; keep the rest from the last snapshot
+            const previous = cardLiveData.get(market.key);
+            const data = normalizeServerResponse({ ...previous, ...fields, market: marketInfo ?? previous?.market });
+            if (!data) return;
+            cardLiveData.set(market.key, data);
+            updateCardWithLiveData(market.key, data, market);
+        });
     }
 
     // Update a card with live data without re-rendering the entire grid
@@ -193,15 +352,35 @@
         const bwPriceEl = card.querySelector('.bw-price');
         const methodEl = card.querySelector('.card-price-method');
 
+        // A settled market shows its settlement in place of any live pricing
+        if (isSettled(data)) {
+            if (bwPriceEl && methodEl) {
+                bwPriceEl.textContent = formatBellwetherPrice(data);
+                bwPriceEl.classList.remove('bw-range');
+                bwPriceEl.title = 'Settlement value';
+                methodEl.textContent = data.price_label || 'Settled';
+            }
+            card.classList.remove('tier-1', 'tier-2', 'tier-3', 'tier-4', 'fragile');
+            card.classList.add('settled');
+            const settledContainer = card.querySelector('.card-reportability');
+            if (settledContainer) settledContainer.innerHTML = getSettledBadgeHtml(data);
+            return;
+        }
+        card.classList.remove('settled');
+
         if (bwPriceEl && methodEl) {
             if (data.bellwether_price !== null && data.bellwether_price !== undefined) {
                 // We have price data - show it with the tier-appropriate label
-                bwPriceEl.textContent = Math.round(data.bellwether_price * 100) + '%';
+                bwPriceEl.textContent = formatBellwetherPrice(data);
+                bwPriceEl.classList.toggle('bw-range', bwPriceEl.textContent.includes('–'));
+                bwPriceEl.title = `Point estimate ${Math.round(data.bellwether_price * 100)}%`;
                 methodEl.textContent = data.price_label || 'Price';
             } else {
-                // No price available
-                methodEl.textContent = 'No recent trades';
+                // No price available, or the last one is past the server's max age
+                bwPriceEl.textContent = '—';
+                methodEl.textContent = data.freshness?.expired ? 'Last price too old' : 'No recent trades';
             }
+            methodEl.insertAdjacentHTML('beforeend', getAgeBadgeHtml(data));
         }
 
         // Update tier-based visual styling
@@ -260,18 +439,43 @@
             </div>`;
         }
 
+        if (isSettled(data)) {
+            const resolvedAt = data.market.resolved_at
+                ? new Date(data.market.resolved_at).toLocaleDateString()
+                : null;
+            return `<div class="modal-live-data">
+                <div class="modal-live-data-header">Settled Market</div>
+                <div class="modal-live-data-grid">
+                    <div class="modal-live-data-item">
+                        <div class="modal-live-data-label">${data.price_label || 'Settled'}</div>
+                        <div class="modal-live-data-value">${formatBellwetherPrice(data)}</div>
+                        <div class="modal-live-data-sub">${resolvedAt ? 'Resolved ' + resolvedAt : 'Resolved'}</div>
+                    </div>
+                </div>
+                <div class="modal-live-data-timestamp">Updated ${new Date(data.fetched_at).toLocaleTimeString()}</div>
+            </div>`;
+        }
+
         const robustness = data.robustness;
-        const vwap = data.vwap_6h;
+        const vwap = data.vwap_details || {};
+        const closesIn = data.market?.time_to_close_seconds;
+        const closeNote = closesIn !== null && closesIn !== undefined
+            ? ` · Closes ${formatTimeToClose(closesIn)}`
+            : '';
 
         const costToMove = robustness.cost_to_move_5c !== null
             ? formatVolume(robustness.cost_to_move_5c)
             : 'N/A';
 
         const vwapValue = data.bellwether_price !== null
-            ? `${Math.round(data.bellwether_price * 100)}%`
+            ? formatBellwetherPrice(data)
             : 'No trades';
+        const pointNote = data.bellwether_price !== null && data.price_interval
+            ? ` · point ${Math.round(data.bellwether_price * 100)}%`
+            : '';
 
-        const vwapLabel = data.vwap_label || '6h VWAP';
+        const vwapLabel = data.price_label || '6h VWAP';
+        const ageBadge = getAgeBadgeHtml(data);
 
         // Badge class based on reportability
         const badgeClass = robustness.reportability === 'reportable' ? 'reportable' :
@@ -311,14 +515,65 @@
                 <div class="modal-live-data-item">
                     <div class="modal-live-data-label">${vwapLabel}</div>
                     <div class="modal-live-data-value">${vwapValue}</div>
-                    <div class="modal-live-data-sub">${vwap.trade_count} trades</div>
+                    <div class="modal-live-data-sub">${vwap.trade_count || 0} trades${pointNote}${ageBadge}</div>
                 </div>
             </div>
             ${platformPricesHtml}
-            <div class="modal-live-data-timestamp">Updated ${new Date(data.fetched_at).toLocaleTimeString()}</div>
+            <div class="modal-live-data-timestamp">Updated ${new Date(data.fetched_at).toLocaleTimeString()}${closeNote}</div>
         </div>`;
     }
 
+    // Bellwether price as its interval range (e.g. "58–63%"), or a single
+    // percentage when the band rounds to one value or is missing
+    function formatBellwetherPrice(data) {
+        const point = Math.round(data.bellwether_price * 100);
+        const interval = data.price_interval;
+        if (!interval) return point + '%';
+
+        const low = Math.round(interval.low * 100);
+        const high = Math.round(interval.high * 100);
+        return low === high ? point + '%' : `${low}–${high}%`;
+    }
+
+    // Age of the data behind the Bellwether price, from the server's
+    // freshness metadata: fresh under an hour, aging under a day, stale
+    // after that, "too old" once the server has stopped publishing it
+    function getAgeBadgeHtml(data) {
+        const freshness = data?.freshness;
+        if (!freshness || isSettled(data)) return '';
+        if (freshness.expired) {
+            return `<span class="age-badge age-expired" title="Older than ${freshness.max_price_age_hours}h, not published">Too old</span>`;
+        }
+
+        const observedAt = freshness.price?.observed_at;
+        if (!observedAt) return '';
+        const ageMs = Date.now() - new Date(observedAt).getTime();
+        const ageClass = ageMs < 60 * 60 * 1000 ? 'age-fresh'
+            : ageMs < 24 * 60 * 60 * 1000 ? 'age-aging' : 'age-stale';
+        const observed = new Date(observedAt).toLocaleString();
+        return `<span class="age-badge ${ageClass}" title="Observed ${observed}">${formatRelativeTime(observedAt)}</span>`;
+    }
+
+    // Whether the server reports the market as resolved (priced at settlement)
+    function isSettled(data) {
+        return data?.market?.status === 'resolved';
+    }
+
+    // Footer badge for a settled card, in place of reportability
+    function getSettledBadgeHtml(data) {
+        const resolvedAt = data.market.resolved_at;
+        const detail = resolvedAt ? `Resolved ${formatRelativeTime(resolvedAt)}` : 'Resolved';
+        return `<span class="report-badge settled">Settled</span><span class="report-detail">${detail}</span>`;
+    }
+
+    // Time until a market closes, e.g. "in 3d"
+    function formatTimeToClose(seconds) {
+        if (seconds < 60) return 'now';
+        if (seconds < 3600) return `in ${Math.floor(seconds / 60)}m`;
+        if (seconds < 86400) return `in ${Math.floor(seconds / 3600)}h`;
+        return `in ${Math.floor(seconds / 86400)}d`;
+    }
+
     // Format reportability cost for cards
     function formatReportabilityCost(cost) {
         if (cost === null) return '—';
@@ -418,19 +673,24 @@
         const liveCostF = liveData?.robustness?.cost_to_move_5c;
         const effectiveCostF = (staticCostF && (!liveCostF || staticCostF > liveCostF)) ? staticCostF : liveCostF;
         const isFragile = !effectiveCostF || effectiveCostF < 10000;
+        const settled = isSettled(liveData);
         let cardClass = 'market-card';
-        if (isFragile) cardClass += ' fragile';
-        if (tier > 0) cardClass += ` tier-${tier}`;
+        if (settled) cardClass += ' settled';
+        else if (isFragile) cardClass += ' fragile';
+        if (tier > 0 && !settled) cardClass += ` tier-${tier}`;
 
-        // Divergence flag: |PM - K| > 10pp
-        const hasDivergence = e.has_both && spread.pts !== null && spread.pts > 10;
+        // Divergence flag: live orderbook check when available, else |PM - K| > 10pp
+        const liveDivergence = liveDivergences?.get(e.key);
+        const hasDivergence = liveDivergence
+            ? liveDivergence.divergent
+            : e.has_both && spread.pts !== null && spread.pts > 10;
 
         // Bellwether price: Use tiered price from server, else fallback to average
         let bwPrice = '—';
         let priceMethod = 'Loading...';
         if (liveData?.bellwether_price !== null && liveData?.bellwether_price !== undefined) {
-            bwPrice = Math.round(liveData.bellwether_price * 100) + '%';
-            priceMethod = liveData.price_label || '6h VWAP';
+            bwPrice = formatBellwetherPrice(liveData);
+            priceMethod = (liveData.price_label || '6h VWAP') + getAgeBadgeHtml(liveData);
         } else if (e.has_both && e.pm_price !== null && e.k_price !== null) {
             bwPrice = Math.round((e.pm_price + e.k_price) * 50) + '%';
             priceMethod = 'Avg. across platforms';
@@ -478,7 +738,9 @@
         const staticCostR = e?.cost_to_move_5c;
         const liveCostR = liveData?.robustness?.cost_to_move_5c;
         const costR = (staticCostR && (!liveCostR || staticCostR > liveCostR)) ? staticCostR : liveCostR;
-        if (costR !== null && costR !== undefined) {
+        if (settled) {
+            reportBadgeHtml = getSettledBadgeHtml(liveData);
+        } else if (costR !== null && costR !== undefined) {
             const labelR = getReportabilityFromCost(costR);
             reportBadgeHtml = `<span class="report-badge ${labelR}">${labelR.charAt(0).toUpperCase() + labelR.slice(1)}</span>`;
             reportDetailHtml = `<span class="report-detail"><strong>${formatReportabilityCost(costR)}</strong> to move 5¢</span>`;
@@ -488,7 +750,11 @@
         }
 
         // Divergence flag in meta
-        const divergenceHtml = hasDivergence ? '<span class="card-divergence-flag"> · Divergence</span>' : '';
+        let divergenceHtml = '';
+        if (hasDivergence) {
+            const flagText = liveDivergence ? formatDivergenceFlag(liveDivergence) : 'Divergence';
+            divergenceHtml = `<span class="card-divergence-flag"> · ${flagText}</span>`;
+        }
 
         return `
             <div class="${cardClass}" data-market-key="${e.key}" data-pm-token="${e.pm_token_id || ''}" data-k-ticker="${e.k_ticker || ''}">
@@ -504,7 +770,7 @@
                     <div class="card-question">${truncate(title, 100)}</div>
                 </div>
                 <div class="card-price-row" title="Volume-weighted average price across platforms, resistant to manipulation">
-                    <span class="bw-price">${bwPrice}</span>
+                    <span class="bw-price${bwPrice.includes('–') ? ' bw-range' : ''}">${bwPrice}</span>
                     <span class="bw-label">Bellwether</span>
                 </div>
                 <div class="card-price-method" title="VWAP = Volume-Weighted Average Price. Weights recent trades by size to reduce noise and manipulation.">${priceMethod}</div>
@@ -558,16 +824,18 @@
         const liveCostF = liveData?.robustness?.cost_to_move_5c;
         const effectiveCostF = (staticCostF && (!liveCostF || staticCostF > liveCostF)) ? staticCostF : liveCostF;
         const isFragile = !effectiveCostF || effectiveCostF < 10000;
+        const settled = isSettled(liveData);
         let cardClass = 'market-card';
-        if (isFragile) cardClass += ' fragile';
-        if (tier > 0) cardClass += ` tier-${tier}`;
+        if (settled) cardClass += ' settled';
+        else if (isFragile) cardClass += ' fragile';
+        if (tier > 0 && !settled) cardClass += ` tier-${tier}`;
 
         // Bellwether price: Use tiered price from server, else fallback
         let bwPrice = '—';
         let priceMethod = 'Loading...';
         if (liveData?.bellwether_price !== null && liveData?.bellwether_price !== undefined) {
-            bwPrice = Math.round(liveData.bellwether_price * 100) + '%';
-            priceMethod = liveData.price_label || '6h VWAP';
+            bwPrice = formatBellwetherPrice(liveData);
+            priceMethod = (liveData.price_label || '6h VWAP') + getAgeBadgeHtml(liveData);
         } else if (m.price !== null && m.price !== undefined) {
             bwPrice = Math.round(m.price * 100) + '%';
             priceMethod = 'Current price';
@@ -597,7 +865,9 @@
         const staticCostR = m?.cost_to_move_5c;
         const liveCostR = liveData?.robustness?.cost_to_move_5c;
         const costR = (staticCostR && (!liveCostR || staticCostR > liveCostR)) ? staticCostR : liveCostR;
-        if (costR !== null && costR !== undefined) {
+        if (settled) {
+            reportBadgeHtml = getSettledBadgeHtml(liveData);
+        } else if (costR !== null && costR !== undefined) {
             const labelR = getReportabilityFromCost(costR);
             reportBadgeHtml = `<span class="report-badge ${labelR}">${labelR.charAt(0).toUpperCase() + labelR.slice(1)}</span>`;
             reportDetailHtml = `<span class="report-detail"><strong>${formatReportabilityCost(costR)}</strong> to move 5¢</span>`;
@@ -617,7 +887,7 @@
                     <div class="card-question">${truncate(m.label, 100)}</div>
                 </div>
                 <div class="card-price-row" title="Volume-weighted average price across platforms, resistant to manipulation">
-                    <span class="bw-price">${bwPrice}</span>
+                    <span class="bw-price${bwPrice.includes('–') ? ' bw-range' : ''}">${bwPrice}</span>
                     <span class="bw-label">Bellwether</span>
                 </div>
                 <div class="card-price-method" title="VWAP = Volume-Weighted Average Price. Weights recent trades by size to reduce noise and manipulation.">${priceMethod}</div>
@@ -866,15 +1136,15 @@
             if (pmTokenId && kTicker) {
                 // Cross-platform: use combined endpoint
                 fetchCombinedLiveData(pmTokenId, kTicker).then(data => {
-                    liveDataContainer.innerHTML = renderLiveDataSection(data, true);
+                    liveDataContainer.innerHTML = renderLiveDataSection(normalizeServerResponse(data), true);
                 });
             } else if (pmTokenId) {
                 fetchLiveData(pmTokenId, 'polymarket').then(data => {
-                    liveDataContainer.innerHTML = renderLiveDataSection(data, false);
+                    liveDataContainer.innerHTML = renderLiveDataSection(normalizeServerResponse(data), false);
                 });
             } else if (kTicker) {
                 fetchLiveData(kTicker, 'kalshi').then(data => {
-                    liveDataContainer.innerHTML = renderLiveDataSection(data, false);
+                    liveDataContainer.innerHTML = renderLiveDataSection(normalizeServerResponse(data), false);
                 });
             } else {
                 liveDataContainer.innerHTML = renderLiveDataSection(null);
@@ -989,13 +1259,7 @@
                 });
                 break;
             case 'divergences':
-                // Only elections with both platforms and spread > 5%
-                // Check for entry_type === 'election' OR old format (has_both with pm_price/k_price)
-                sorted = sorted.filter(m => {
-                    const isElection = m.entry_type === 'election' || (m.has_both && m.pm_price !== undefined);
-                    return isElection && m.has_both && m.spread !== null && m.spread > 0.05;
-                });
-                sorted.sort((a, b) => (b.spread || 0) - (a.spread || 0));
+                sorted = getDivergentMarkets(sorted);
                 break;
             case 'reportable':
                 // Use the pre-loaded reportable markets (robust + caution)
@@ -1019,6 +1283,7 @@
         if (sorted.length === 0) {
             container.innerHTML = `<div class="monitor-empty">No markets found matching these filters</div>`;
             if (loadMoreContainer) loadMoreContainer.style.display = 'none';
+            subscribeToLiveUpdates([]);
             return;
         }
 
@@ -1027,8 +1292,9 @@
 
         setupCardClickHandlers();
 
-        // Fetch live data for visible cards
+        // Fetch live data for visible cards, then keep them updated
         fetchLiveDataForCards(toShow);
+        subscribeToLiveUpdates(toShow);
 
         // Re-add checkboxes if in review mode
         if (reviewMode) {
@@ -1058,10 +1324,7 @@
             return m.price_change_24h !== null && vol >= MIN_VOLUME_FOR_MOVES;
         });
         const withVolume = filteredMarkets.filter(m => m.total_volume > 0 || m.volume > 0);
-        const divergences = filteredMarkets.filter(m => {
-            const isElection = m.entry_type === 'election' || (m.has_both && m.pm_price !== undefined);
-            return isElection && m.has_both && m.spread !== null && m.spread > 0.05;
-        });
+        const divergences = getDivergentMarkets(filteredMarkets);
 
         if (movesCount) movesCount.textContent = withChange.length;
         if (volumeCount) volumeCount.textContent = withVolume.length;
@@ -1176,6 +1439,7 @@
             updateMarketCount();
             updateTabCounts();
             renderCards();
+            fetchLiveDivergences();
 
             // Show when the cache was last updated using the Date header
             const timestampEl = document.getElementById('monitor-last-update');
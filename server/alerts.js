@@ -0,0 +1,362 @@
+/**
+ * Market alerts
+ *
+ * Alert rules live in KV (alert:<id>) and are evaluated by the cron trigger
+ * against the same metrics the API serves. Each rule keeps its firing state
+ * next to it, so an alert is delivered once per transition rather than on
+ * every run. Delivery is a JSON POST to the rule's webhook_url. A run only
+ * rewrites the rules whose state changed; when rules were last evaluated is
+ * stored once per run (alert_run), not on each rule.
+ *
+ * Each rule belongs to the API key client that created it (client_id):
+ * clients only see and delete their own, since webhook URLs often carry
+ * secrets. The cron run evaluates everyone's.
+ *
+ * Rule types:
+ *   price_cross        - bellwether_price crosses threshold
+ *                        (direction: above | below | either)
+ *   reportability_drop - reportability falls from reportable to caution/fragile
+ *   spread             - highest minus lowest platform price on a combined
+ *                        market exceeds spread_points (percentage points)
+ */
+
+import { CONFIG, getCombinedMetrics, getMarketMetrics, mapWithConcurrency } from "./pricing-core.js";
+import { marketStreamKey } from "./metrics-stream.js";
+import { combinedLegs, parseLegs, validateMarketId } from "./platforms.js";
+
+export const ALERT_CONFIG = {
+  max_rules: 200,
+  webhook_timeout_ms: 10000,
+};
+
+const DIRECTIONS = ["above", "below", "either"];
+
+// =============================================================================
+// RULE TYPES
+// =============================================================================
+
+// observe(rule, metrics) -> { observed, value } or null when not evaluable
+// fires(rule, previous, observed, firing) -> deliver an alert on this transition
+// clears(rule, observed, previous) -> the alerted condition no longer holds
+const RULE_TYPES = {
+  price_cross: {
+    observe(rule, metrics) {
+      const price = metrics.bellwether_price;
+      if (price === null || price === undefined) return null;
+      return { observed: price >= rule.threshold ? "above" : "below", value: price };
+    },
+    // A crossing needs a known previous side, so a new rule never fires on its first run
+    fires: (rule, previous, observed) =>
+      !!previous && previous !== observed && (rule.direction === "either" || rule.direction === observed),
+    clears: (rule, observed, previous) => observed !== previous,
+    message: (rule, value) =>
+      `${rule.label} crossed ${value >= rule.threshold ? "above" : "below"} ${formatPercent(rule.threshold)} (now ${formatPercent(value)})`,
+  },
+
+  reportability_drop: {
+    observe(rule, metrics) {
+      const reportability = metrics.robustness?.reportability;
+      return reportability ? { observed: reportability, value: reportability } : null;
+    },
+    fires: (rule, previous, observed) => previous === "reportable" && observed !== "reportable",
+    clears: (rule, observed) => observed === "reportable",
+    message: (rule, value) => `${rule.label} dropped from reportable to ${value}`,
+  },
+
+  spread: {
+    observe(rule, metrics) {
+      const prices = Object.values(metrics.platform_prices || {}).filter(p => p !== null && p !== undefined);
+      if (prices.length < 2) return null;
+
+      const points = Math.round((Math.max(...prices) - Math.min(...prices)) * 1000) / 10;
+      return { observed: points > rule.spread_points ? "wide" : "normal", value: points };
+    },
+    // A level rather than a crossing: a new rule fires if the spread is already wide
+    fires: (rule, previous, observed, firing) => observed === "wide" && !firing,
+    clears: (rule, observed) => observed !== "wide",
+    message: (rule, value) => `${rule.label} cross-platform spread is ${value} pts (limit ${rule.spread_points})`,
+  },
+};
+
+function formatPercent(price) {
+  return `${Math.round(price * 1000) / 10}%`;
+}
+
+// =============================================================================
+// VALIDATION
+// =============================================================================
+
+// Single-platform markets stay { platform, token_id }; combined markets are
+// stored as { legs }
+function parseMarket(market) {
+  if (!market || typeof market !== "object") return null;
+
+  if (market.platform !== undefined) {
+    const tokenId = market.token_id !== undefined ? String(market.token_id) : "";
+    if (validateMarketId(market.platform, tokenId)) return null;
+    return { platform: market.platform, token_id: tokenId };
+  }
+
+  const parsed = parseLegs(combinedLegs(market));
+  return parsed.error ? null : { legs: parsed.legs };
+}
+
+function isWebhookUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === "https:" || url.protocol === "http:";
+  } catch (_err) {
+    return false;
+  }
+}
+
+// Validate a POST /api/alerts body into { rule } or { error }
+export function parseAlertRule(body) {
+  if (!body || typeof body !== "object") {
+    return { error: "Body must be a JSON object" };
+  }
+  if (!RULE_TYPES[body.type]) {
+    return { error: `type must be one of: ${Object.keys(RULE_TYPES).join(", ")}` };
+  }
+
+  const market = parseMarket(body.market);
+  if (!market) {
+    return { error: "market must be { platform, token_id }, { legs: [\"platform:token_id\", ...] } or { pm_token, k_ticker }" };
+  }
+  if (!isWebhookUrl(body.webhook_url)) {
+    return { error: "webhook_url must be an http(s) URL" };
+  }
+  if (body.label !== undefined && (typeof body.label !== "string" || body.label.length > 200)) {
+    return { error: "label must be a string of at most 200 characters" };
+  }
+
+  const rule = {
+    type: body.type,
+    market,
+    label: body.label || marketStreamKey(market),
+    webhook_url: body.webhook_url,
+  };
+
+  if (body.type === "price_cross") {
+    const threshold = Number(body.threshold);
+    if (!(threshold > 0 && threshold < 1)) {
+      return { error: "threshold must be a price between 0 and 1" };
+    }
+    const direction = body.direction || "either";
+    if (!DIRECTIONS.includes(direction)) {
+      return { error: `direction must be one of: ${DIRECTIONS.join(", ")}` };
+    }
+    rule.threshold = threshold;
+    rule.direction = direction;
+  }
+
+  if (body.type === "spread") {
+    if (!market.legs || market.legs.length < 2) {
+      return { error: "spread alerts need a combined market with at least two legs" };
+    }
+    const points = Number(body.spread_points);
+    if (!(points > 0 && points < 100)) {
+      return { error: "spread_points must be between 0 and 100" };
+    }
+    rule.spread_points = points;
+  }
+
+  return { rule };
+}
+
+// =============================================================================
+// STORAGE (Cloudflare KV)
+// =============================================================================
+
+function alertKey(id) {
+  return `alert:${id}`;
+}
+
+// Outside the alert: prefix so listAlertRules doesn't pick it up
+const ALERT_RUN_KEY = "alert_run";
+
+// Every rule, or only clientId's
+export async function listAlertRules(kv, clientId = null) {
+  if (!kv) return [];
+
+  const rules = [];
+  let cursor;
+  do {
+    const page = await kv.list({ prefix: "alert:", cursor });
+    const loaded = await Promise.all(page.keys.map(key => kv.get(key.name, { type: "json" })));
+    rules.push(...loaded.filter(Boolean));
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  return rules
+    .filter(rule => clientId === null || rule.client_id === clientId)
+    .sort((a, b) => a.created_at.localeCompare(b.created_at));
+}
+
+// A rule, or null when it is unknown or, given clientId, someone else's
+export async function getAlertRule(kv, id, clientId = null) {
+  if (!kv) return null;
+  const rule = await kv.get(alertKey(id), { type: "json" });
+  return rule && (clientId === null || rule.client_id === clientId) ? rule : null;
+}
+
+// Returns { rule } or { error } when the rule limit is reached
+export async function createAlertRule(kv, fields, clientId) {
+  const existing = await listAlertRules(kv);
+  if (existing.length >= ALERT_CONFIG.max_rules) {
+    return { error: `At most ${ALERT_CONFIG.max_rules} alert rules` };
+  }
+
+  const rule = {
+    id: crypto.randomUUID(),
+    client_id: clientId,
+    ...fields,
+    created_at: new Date().toISOString(),
+    state: {
+      observed: null,
+      value: null,
+      firing: false,
+      last_fired_at: null,
+      last_delivery: null,
+    },
+  };
+
+  await kv.put(alertKey(rule.id), JSON.stringify(rule));
+  return { rule };
+}
+
+export async function deleteAlertRule(kv, id, clientId = null) {
+  if (!(await getAlertRule(kv, id, clientId))) return false;
+  await kv.delete(alertKey(id));
+  return true;
+}
+
+// =============================================================================
+// EVALUATION
+// =============================================================================
+
+async function deliverWebhook(rule, payload) {
+  try {
+    const response = await fetch(rule.webhook_url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "User-Agent": "Bellwether-Alerts" },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(ALERT_CONFIG.webhook_timeout_ms),
+    });
+    return { ok: response.ok, status: response.status, at: new Date().toISOString() };
+  } catch (err) {
+    return { ok: false, status: null, error: String(err), at: new Date().toISOString() };
+  }
+}
+
+function alertPayload(rule, metrics, observation, previous) {
+  return {
+    alert_id: rule.id,
+    type: rule.type,
+    label: rule.label,
+    market: rule.market,
+    message: RULE_TYPES[rule.type].message(rule, observation.value),
+    value: observation.value,
+    observed: observation.observed,
+    previous,
+    ...(rule.threshold !== undefined ? { threshold: rule.threshold, direction: rule.direction } : {}),
+    ...(rule.spread_points !== undefined ? { spread_points: rule.spread_points } : {}),
+    metrics: {
+      bellwether_price: metrics.bellwether_price,
+      price_tier: metrics.price_tier,
+      reportability: metrics.robustness?.reportability,
+      cost_to_move_5c: metrics.robustness?.cost_to_move_5c,
+      platform_prices: metrics.platform_prices,
+      fetched_at: metrics.fetched_at,
+    },
+    fired_at: new Date().toISOString(),
+  };
+}
+
+// Next state for a rule given fresh metrics. A failed delivery keeps the
+// previous observation so the same transition is retried on the next run.
+async function evaluateRule(runtime, rule, metrics) {
+  const type = RULE_TYPES[rule.type];
+  const state = rule.state || {};
+  const now = new Date().toISOString();
+
+  const observation = metrics ? type.observe(rule, metrics) : null;
+  if (!observation) return state;
+
+  const previous = state.observed ?? null;
+  const firing = state.firing && !type.clears(rule, observation.observed, previous);
+
+  if (!type.fires(rule, previous, observation.observed, firing)) {
+    return { ...state, observed: observation.observed, value: observation.value, firing };
+  }
+
+  const delivery = await deliverWebhook(rule, alertPayload(rule, metrics, observation, previous));
+  if (!delivery.ok) {
+    runtime.logger.error("alert_delivery_failed", { alert_id: rule.id, status: delivery.status ?? null, error: delivery.error ?? null });
+    return { ...state, last_delivery: delivery };
+  }
+
+  return {
+    ...state,
+    observed: observation.observed,
+    value: observation.value,
+    firing: true,
+    last_fired_at: now,
+    last_delivery: delivery,
+  };
+}
+
+// Whether a rule's state is worth a KV write. value moves with nearly every
+// price, so it is only saved along with a change to the rest.
+function stateChanged(previous = {}, state) {
+  return ["observed", "firing", "last_fired_at"].some(field => (previous[field] ?? null) !== (state[field] ?? null))
+    || (previous.last_delivery?.at ?? null) !== (state.last_delivery?.at ?? null);
+}
+
+function fetchRuleMetrics(runtime, market) {
+  return market.platform
+    ? getMarketMetrics(runtime, market.platform, market.token_id)
+    : getCombinedMetrics(runtime, combinedLegs(market));
+}
+
+// Cron entry point: evaluate every rule, fetching each market once
+export async function evaluateAlerts(runtime, kv) {
+  const rules = await listAlertRules(kv);
+  if (rules.length === 0) return { evaluated: 0, fired: 0 };
+
+  const metricsByMarket = new Map();
+  for (const rule of rules) {
+    const key = marketStreamKey(rule.market);
+    if (!metricsByMarket.has(key)) metricsByMarket.set(key, rule.market);
+  }
+
+  const markets = [...metricsByMarket.entries()];
+  await mapWithConcurrency(markets, CONFIG.batch_concurrency, async ([key, market]) => {
+    metricsByMarket.set(key, await fetchRuleMetrics(runtime, market));
+  });
+
+  let fired = 0;
+  let written = 0;
+  for (const rule of rules) {
+    const state = await evaluateRule(runtime, rule, metricsByMarket.get(marketStreamKey(rule.market)));
+    if (state.last_fired_at !== rule.state?.last_fired_at) fired += 1;
+    if (!stateChanged(rule.state, state)) continue;
+
+    // Don't resurrect a rule deleted while this run was fetching metrics
+    if (!(await getAlertRule(kv, rule.id))) continue;
+    await kv.put(alertKey(rule.id), JSON.stringify({ ...rule, state }));
+    written += 1;
+  }
+
+  await kv.put(ALERT_RUN_KEY, JSON.stringify({ evaluated_at: new Date().toISOString(), rules: rules.length, fired }));
+
+  runtime.logger.info("alerts_evaluated", { rules: rules.length, fired, written });
+  return { evaluated: rules.length, fired };
+}
+
+// The last cron evaluation ({ evaluated_at, rules, fired }), or null before
+// the first run with rules
+export async function getAlertRun(kv) {
+  if (!kv) return null;
+  return kv.get(ALERT_RUN_KEY, { type: "json" });
+}
@@ -0,0 +1,216 @@
+/**
+ * Client authentication and rate limiting
+ *
+ * Every /api request must come from either:
+ *   - a client API key sent as X-Bellwether-Key (stored hashed in KV under
+ *     apikey:<sha256>, issued through the admin-only /api/keys), or
+ *   - a browser on an allowlisted origin (ALLOWED_ORIGINS), i.e. the public
+ *     monitor. These are limited per origin and client IP.
+ *
+ * Each client draws from a token bucket; an empty bucket means 429 with
+ * Retry-After. Origins can be spoofed outside a browser, so origin clients
+ * get read-only access and their own, per-IP buckets.
+ */
+
+import { maxMarketsPerRequest } from "./pricing-core.js";
+import { maxDivergenceMarkets } from "./divergences.js";
+import { maxEventOutcomes } from "./events.js";
+
+export const AUTH_CONFIG = {
+  key_header: "X-Bellwether-Key",
+  key_rate_per_minute: 120, // Defaults for new API keys
+  key_burst: 60,
+  origin_rate_per_minute: 60, // Per origin + client IP
+  origin_burst: 40,
+  key_cache_ttl_seconds: 60, // Edge cache for key lookups; revocation takes up to this long
+};
+
+// =============================================================================
+// TOKEN BUCKET
+// =============================================================================
+
+// Take `cost` tokens from bucket ({ tokens, updated_at } or null for a new,
+// full bucket). Returns { allowed, remaining, retry_after, bucket } where
+// retry_after is whole seconds until the request would be allowed.
+export function takeToken(bucket, { rate_per_minute, burst }, cost = 1, now = Date.now()) {
+  const refillPerMs = rate_per_minute / 60000;
+  const tokens = bucket
+    ? Math.min(burst, bucket.tokens + (now - bucket.updated_at) * refillPerMs)
+    : burst;
+
+  if (tokens >= cost) {
+    return {
+      allowed: true,
+      remaining: Math.floor(tokens - cost),
+      retry_after: 0,
+      bucket: { tokens: tokens - cost, updated_at: now },
+    };
+  }
+
+  return {
+    allowed: false,
+    remaining: Math.floor(tokens),
+    retry_after: cost > burst ? null : Math.ceil((cost - tokens) / refillPerMs / 1000),
+    bucket: { tokens, updated_at: now },
+  };
+}
+
+// Buckets held in memory, for runtimes without a shared limiter
+export function createMemoryLimiter() {
+  const buckets = new Map();
+
+  return {
+    async take(clientId, limits, cost) {
+      const result = takeToken(buckets.get(clientId) || null, limits, cost);
+      buckets.set(clientId, result.bucket);
+      return result;
+    },
+  };
+}
+
+// =============================================================================
+// API KEYS (Cloudflare KV)
+// =============================================================================
+
+export async function hashApiKey(key) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(key));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+function generateApiKey() {
+  const bytes = crypto.getRandomValues(new Uint8Array(24));
+  return `bw_${[...bytes].map(b => b.toString(16).padStart(2, "0")).join("")}`;
+}
+
+async function getApiKeyRecord(kv, key) {
+  if (!kv) return null;
+  const hash = await hashApiKey(key);
+  return kv.get(`apikey:${hash}`, { type: "json", cacheTtl: AUTH_CONFIG.key_cache_ttl_seconds });
+}
+
+// Validate a POST /api/keys body into { fields } or { error }
+export function parseApiKeyRequest(body) {
+  if (!body || typeof body !== "object" || typeof body.name !== "string" || !body.name.trim()) {
+    return { error: "name is required" };
+  }
+
+  const rate = body.rate_per_minute ?? AUTH_CONFIG.key_rate_per_minute;
+  const burst = body.burst ?? AUTH_CONFIG.key_burst;
+  if (!(Number(rate) > 0) || !(Number(burst) >= 1)) {
+    return { error: "rate_per_minute must be positive and burst at least 1" };
+  }
+
+  return { fields: { name: body.name.trim().slice(0, 100), rate_per_minute: Number(rate), burst: Math.floor(Number(burst)) } };
+}
+
+// Returns the stored record plus the plaintext key, which is not kept
+export async function createApiKey(kv, fields) {
+  const key = generateApiKey();
+  const hash = await hashApiKey(key);
+  const record = {
+    id: hash.slice(0, 16),
+    ...fields,
+    created_at: new Date().toISOString(),
+  };
+
+  await kv.put(`apikey:${hash}`, JSON.stringify(record));
+  return { ...record, key };
+}
+
+export async function listApiKeys(kv) {
+  const records = [];
+  let cursor;
+  do {
+    const page = await kv.list({ prefix: "apikey:", cursor });
+    const loaded = await Promise.all(page.keys.map(key => kv.get(key.name, { type: "json" })));
+    records.push(...loaded.filter(Boolean));
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+
+  return records;
+}
+
+// Keys are addressed by id, the first 16 hex digits of their hash
+export async function deleteApiKey(kv, id) {
+  if (!/^[0-9a-f]{16}$/.test(id)) return false;
+
+  const page = await kv.list({ prefix: `apikey:${id}` });
+  await Promise.all(page.keys.map(key => kv.delete(key.name)));
+  return page.keys.length > 0;
+}
+
+// =============================================================================
+// REQUEST CHECKS
+// =============================================================================
+
+export function parseAllowedOrigins(value) {
+  return new Set((value || "").split(",").map(origin => origin.trim()).filter(Boolean));
+}
+
+// Who is calling: { client } or { status, error, hint } to reject with.
+// client: { id, kind: "key" | "origin", name, limits }. ip defaults to
+// Cloudflare's CF-Connecting-IP.
+export async function identifyClient(request, kv, allowedOrigins, ip = request.headers.get("CF-Connecting-IP")) {
+  const key = request.headers.get(AUTH_CONFIG.key_header);
+  if (key) {
+    const record = await getApiKeyRecord(kv, key);
+    if (!record) {
+      return { status: 401, error: "Invalid API key" };
+    }
+    return {
+      client: {
+        id: `key:${record.id}`,
+        kind: "key",
+        name: record.name,
+        limits: { rate_per_minute: record.rate_per_minute, burst: record.burst },
+      },
+    };
+  }
+
+  const origin = request.headers.get("Origin");
+  if (origin && allowedOrigins.has(origin)) {
+    return {
+      client: {
+        id: `origin:${origin}:${ip || "unknown"}`,
+        kind: "origin",
+        name: origin,
+        limits: { rate_per_minute: AUTH_CONFIG.origin_rate_per_minute, burst: AUTH_CONFIG.origin_burst },
+      },
+    };
+  }
+
+  if (origin) {
+    return { status: 403, error: "Origin not allowed", hint: `Call the API from a server with an ${AUTH_CONFIG.key_header} header` };
+  }
+  return { status: 401, error: "API key required", hint: `Send your key in the ${AUTH_CONFIG.key_header} header` };
+}
+
+// Compare secrets without an early exit on the first differing character
+export function secretsMatch(a, b) {
+  if (typeof a !== "string" || typeof b !== "string" || a.length !== b.length) return false;
+
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+// Batches and divergence checks draw one token per market (a divergence
+// check without markets= covers as many tracked markets as fit), events one
+// per outcome they may price, everything else one token
+export async function getRequestCost(request, url) {
+  if (url.pathname.startsWith("/api/events/")) return maxEventOutcomes();
+  if (url.pathname === "/api/divergences") {
+    const markets = url.searchParams.get("markets");
+    return markets ? Math.max(1, Math.min(markets.split(",").length, maxDivergenceMarkets())) : maxDivergenceMarkets();
+  }
+  if (url.pathname !== "/api/metrics/batch" || request.method !== "POST") return 1;
+
+  try {
+    const body = await request.clone().json();
+    return Array.isArray(body?.markets) ? Math.max(1, Math.min(body.markets.length, maxMarketsPerRequest())) : 1;
+  } catch (err) {
+    return 1;
+  }
+}
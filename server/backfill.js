@@ -0,0 +1,241 @@
+/**
+ * Historical backfill
+ *
+ * Reconstructs the Bellwether price of resolved markets at past dates, so
+ * its accuracy can be scored against the raw last-trade price the research
+ * pages use (brier_convergence.json). Each market's stored trade history is
+ * replayed through the live tiering and reportability (see
+ * replayTieredPrice) once a step, walking back from resolution, and the
+ * output holds:
+ *   series     - per market, the replayed price, tier and reportability
+ *                beside the last trade at every step
+ *   comparison - per day before resolution, the Brier score of each price
+ *                over the points where both exist
+ *
+ * A history file is one market as captured from Dome (the shape of
+ * test/fixtures/dome/): { platform, token_id, market, trades, orderbook? },
+ * with market and orderbook raw responses and trades a raw trade response
+ * or a list of pages. A recorded book only counts toward steps it is recent
+ * enough for, so older steps are rated without one.
+ *
+ * Run under Node or Deno:
+ *   node server/backfill.js [--out data/bellwether_backfill.json]
+ *     [--days 60] [--step-hours 24] [--at <iso>,...] <history file or dir>...
+ * --at replays those moments instead of the steps.
+ */
+
+import { readFileSync, readdirSync, statSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import process from "node:process";
+import { pathToFileURL } from "node:url";
+import { parseArgs } from "node:util";
+import { CONFIG, createRuntime, replayTieredPrice } from "./pricing-core.js";
+import { getPlatformAdapter } from "./platforms.js";
+
+export const BACKFILL_CONFIG = {
+  max_days: 60, // Oldest step, in days before resolution (the longest brier_convergence cohort)
+  step_hours: 24,
+  output: "data/bellwether_backfill.json",
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function round(value, places = 4) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+// =============================================================================
+// HISTORY FILES
+// =============================================================================
+
+// The .json files among paths, directories expanded (not recursively)
+function listHistoryFiles(paths) {
+  return paths.flatMap((path) => {
+    if (!statSync(path).isDirectory()) return [path];
+    return readdirSync(path).filter(name => name.endsWith(".json")).sort().map(name => join(path, name));
+  });
+}
+
+// A history file's market as { platform, token_id, info, trades, book }
+// with everything normalized by its platform adapter, or { error }
+export function parseHistory(history, runtime) {
+  const adapter = getPlatformAdapter(history?.platform);
+  if (!adapter) return { error: `Unknown platform: ${history?.platform}` };
+  if (!history.token_id) return { error: "Missing token_id" };
+
+  const tokenId = String(history.token_id);
+  const info = history.market ? adapter.parseMarket(history.market, tokenId) : null;
+  if (info?.status !== "resolved") return { error: "Not resolved" };
+
+  const resolvedMs = info.resolved_at ?? info.close_time;
+  if (resolvedMs === null) return { error: "No resolution time" };
+
+  const pages = Array.isArray(history.trades) ? history.trades : [history.trades || {}];
+  const trades = pages
+    .flatMap(page => adapter.parseTradesPage(page).trades)
+    .map(raw => adapter.normalizeTrade(raw, runtime))
+    .filter(trade => trade.price > 0 && Number.isFinite(trade.timestamp))
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  const orderbook = history.orderbook ? adapter.normalizeOrderbook(history.orderbook, runtime) : null;
+  const book = orderbook && orderbook[2] !== null ? { bids: orderbook[0], asks: orderbook[1], observed_ms: orderbook[2] } : null;
+
+  return { platform: history.platform, token_id: tokenId, info, resolved_ms: resolvedMs, trades, book };
+}
+
+// =============================================================================
+// REPLAY
+// =============================================================================
+
+// Moments to price: every step_hours back from resolution to max_days
+// before it, no earlier than the first trade, oldest first
+function replayTimes(market, { maxDays, stepHours }) {
+  const first = market.trades.length > 0 ? market.trades[0].timestamp : market.resolved_ms;
+  const oldest = Math.max(market.resolved_ms - maxDays * DAY_MS, first);
+
+  const times = [];
+  for (let t = market.resolved_ms - stepHours * 60 * 60 * 1000; t >= oldest; t -= stepHours * 60 * 60 * 1000) {
+    times.push(t);
+  }
+  return times.reverse();
+}
+
+// One market's series. Each point holds the replayed price (see
+// replayTieredPrice) and the last trade at or before it, however old.
+export async function replayMarket(market, times) {
+  const runtime = createRuntime({ store: createMemoryStore() });
+  const key = `${market.platform}:${market.token_id}`;
+
+  const points = [];
+  let tradeIndex = -1;
+  for (const t of [...times].sort((a, b) => a - b)) {
+    if (t >= market.resolved_ms) continue;
+    while (tradeIndex + 1 < market.trades.length && market.trades[tradeIndex + 1].timestamp <= t) tradeIndex += 1;
+    const lastTrade = tradeIndex >= 0 ? market.trades[tradeIndex] : null;
+
+    points.push({
+      days_before: round((market.resolved_ms - t) / DAY_MS, 2),
+      ...(await replayTieredPrice(runtime, key, market.trades, t, market.book)),
+      last_trade_price: lastTrade ? lastTrade.price : null,
+      last_trade_at: lastTrade ? new Date(lastTrade.timestamp).toISOString() : null,
+    });
+  }
+
+  return {
+    platform: market.platform,
+    token_id: market.token_id,
+    resolved_at: new Date(market.resolved_ms).toISOString(),
+    resolved_outcome: market.info.resolved_outcome,
+    settlement_price: market.info.settlement_price,
+    trade_count: market.trades.length,
+    points,
+  };
+}
+
+// Stale VWAPs live only for the replay (see replayTieredPrice)
+function createMemoryStore() {
+  const values = new Map();
+  return {
+    get: async (key) => values.get(key) ?? null,
+    put: async (key, value) => {
+      values.set(key, value);
+    },
+  };
+}
+
+// =============================================================================
+// BRIER COMPARISON
+// =============================================================================
+
+// Per whole day before resolution, mean (price - settlement)^2 of the
+// Bellwether and last-trade prices, over points where both exist. Laid
+// out like brier_convergence.json: { days, n, bellwether, last_trade }.
+export function compareBrier(series) {
+  const byDay = new Map(); // day -> { n, bellwether, last_trade } sums
+
+  for (const market of series) {
+    for (const point of market.points) {
+      if (point.bellwether_price === null || point.last_trade_price === null) continue;
+
+      const day = Math.round(point.days_before);
+      if (day < 1) continue;
+      const sums = byDay.get(day) || { n: 0, bellwether: 0, last_trade: 0 };
+      sums.n += 1;
+      sums.bellwether += (point.bellwether_price - market.settlement_price) ** 2;
+      sums.last_trade += (point.last_trade_price - market.settlement_price) ** 2;
+      byDay.set(day, sums);
+    }
+  }
+
+  const days = [...byDay.keys()].sort((a, b) => b - a);
+  return {
+    days,
+    n: days.map(day => byDay.get(day).n),
+    bellwether: days.map(day => round(byDay.get(day).bellwether / byDay.get(day).n)),
+    last_trade: days.map(day => round(byDay.get(day).last_trade / byDay.get(day).n)),
+  };
+}
+
+// =============================================================================
+// ENTRY POINT
+// =============================================================================
+
+// Replay histories ([{ source, history }]) into the backfill document. at
+// lists moments (ms) to price instead of the steps back from resolution.
+export async function runBackfill(histories, { maxDays = BACKFILL_CONFIG.max_days, stepHours = BACKFILL_CONFIG.step_hours, at = null } = {}) {
+  const runtime = createRuntime();
+  const series = [];
+  const skipped = [];
+
+  for (const { source, history } of histories) {
+    const market = parseHistory(history, runtime);
+    if (market.error) {
+      skipped.push({ source, platform: history?.platform ?? null, token_id: history?.token_id ?? null, reason: market.error });
+      continue;
+    }
+    series.push(await replayMarket(market, at || replayTimes(market, { maxDays, stepHours })));
+  }
+
+  return {
+    generated_at: new Date().toISOString(),
+    config: {
+      step_hours: at ? null : stepHours,
+      max_days: at ? null : maxDays,
+      vwap_windows: CONFIG.vwap_windows,
+      min_trades_for_vwap: CONFIG.min_trades_for_vwap,
+      max_price_age_hours: CONFIG.max_price_age_hours,
+    },
+    markets: series.length,
+    skipped,
+    comparison: compareBrier(series),
+    series,
+  };
+}
+
+// Run standalone under Node or Deno
+if (import.meta.main || (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href)) {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      out: { type: "string", default: BACKFILL_CONFIG.output },
+      days: { type: "string" },
+      "step-hours": { type: "string" },
+      at: { type: "string" },
+    },
+  });
+
+  const at = values.at ? values.at.split(",").map(value => Date.parse(value.trim())) : null;
+  const maxDays = values.days ? Number(values.days) : BACKFILL_CONFIG.max_days;
+  const stepHours = values["step-hours"] ? Number(values["step-hours"]) : BACKFILL_CONFIG.step_hours;
+
+  if (positionals.length === 0 || at?.some(Number.isNaN) || !(maxDays > 0) || !(stepHours > 0)) {
+    console.error("Usage: backfill.js [--out <file>] [--days <n>] [--step-hours <n>] [--at <iso>,...] <history file or dir>...");
+    process.exit(1);
+  }
+
+  const histories = listHistoryFiles(positionals).map(source => ({ source, history: JSON.parse(readFileSync(source, "utf8")) }));
+  const result = await runBackfill(histories, { maxDays, stepHours, at });
+  writeFileSync(values.out, JSON.stringify(result, null, 2) + "\n");
+  console.log(`Backfilled ${result.markets} markets (${result.skipped.length} skipped) to ${values.out}`);
+}
@@ -1,782 +1,1167 @@
 /**
  * Bellwether Live Data Server (Cloudflare Workers version)
  *
+ * Pricing lives in pricing-core.js, shared with the Deno server; this file
+ * adapts it to Cloudflare KV and adds the Workers-only endpoints.
+ *
  * Tiered Pricing System:
  * - Tier 1: 6h VWAP (10+ trades) - Full reportability
  * - Tier 2: 12h/24h VWAP (10+ trades) - Reportability downgraded one level
- * - Tier 3: Stale VWAP or insufficient data - Always Fragile
+ * - Tier 3: Order book midpoint (no trades) - Capped at Caution
+ * - Tier 4: Last known VWAP (stale) - Always Fragile
+ *
+ * A cron trigger (see wrangler.toml) snapshots every recently requested
+ * market into KV so /api/history can return its price over time.
+ *
+ * Recomputed metrics are pushed to /api/stream subscribers through the
+ * MetricsStream Durable Object (see metrics-stream.js).
+ *
+ * The same cron run evaluates alert rules managed through /api/alerts and
+ * delivers them to webhooks (see alerts.js).
+ *
+ * /api/divergences compares live books of markets listed on several
+ * platforms and dates each divergence from the same history snapshots.
+ *
+ * /api/events prices every outcome of a multi-outcome event (see events.js).
+ *
+ * /api/depth profiles the liquidity on one book or across venues (see
+ * depth.js).
+ *
+ * /api/markets searches the monitor's markets and resolves one to its
+ * Polymarket token and Kalshi ticker, from a catalog uploaded to KV (see
+ * market-catalog.js).
+ *
+ * /api routes require a client API key or an allowlisted browser origin and
+ * are rate limited per client (see auth.js).
+ *
+ * Logs are structured JSON lines tagged with the request id, which is also
+ * returned as X-Request-Id; /api/metrics/server reports upstream latency,
+ * error rates and cache hit ratios for the isolate that serves it, not the
+ * whole deployment (see observability.js).
  *
  * Deploy: npx wrangler deploy
  */
 
+import {
+  CONFIG,
+  PRICE_TIERS,
+  applyConfigOverrides,
+  createRuntime,
+  getBatchMetrics,
+  getCombinedMetrics,
+  getMarketMetrics,
+  mapWithConcurrency,
+  maxMarketsPerRequest,
+  parseRobustnessOptions,
+} from "./pricing-core.js";
+import { SSE_HEADERS, createStreamHub, parseStreamMarkets, streamPayload } from "./metrics-stream.js";
+import { PLATFORMS, getPlatformAdapter, legKey, parseCombinedParams, validateEventId, validateMarketId } from "./platforms.js";
+import {
+  AUTH_CONFIG,
+  createApiKey,
+  createMemoryLimiter,
+  deleteApiKey,
+  getRequestCost,
+  identifyClient,
+  listApiKeys,
+  parseAllowedOrigins,
+  parseApiKeyRequest,
+  secretsMatch,
+  takeToken,
+} from "./auth.js";
+import { getCombinedDepthProfile, getDepthProfile } from "./depth.js";
+import { fitDivergenceLegs, getDivergences, maxDivergenceMarkets, parseDivergenceMarkets } from "./divergences.js";
+import { getEventMetrics } from "./events.js";
+import { parseCatalogUpload, parseSearchParams, resolveMarket, searchCatalog, writeCatalog } from "./market-catalog.js";
+import { describePricingMethods } from "./pricing-strategies.js";
+import { createServerStats, logger, requestIdFor } from "./observability.js";
+import {
+  createAlertRule,
+  deleteAlertRule,
+  evaluateAlerts,
+  getAlertRule,
+  getAlertRun,
+  listAlertRules,
+  parseAlertRule,
+} from "./alerts.js";
+
 // =============================================================================
 // CONFIGURATION
 // =============================================================================
 
-const DOME_REST_BASE = "https://api.domeapi.io/v1";
-
-const CONFIG = {
-  cache_ttl_ms: 600000, // 10 minutes cache TTL
-  min_trades_for_vwap: 10,
-  vwap_windows: [6, 12, 24],
+const WORKER_CONFIG = {
+  history_interval_minutes: 15, // Must match the cron schedule in wrangler.toml
+  history_retention_days: 30,
+  history_max_range_days: 31,
+  history_subrequest_share: 0.5, // Of a cron run's upstream fetches, the share snapshots may use; alerts get the rest
+  tracked_market_ttl_seconds: 604800, // Stop snapshotting markets not requested for 7 days
 };
 
+// Last market the previous cron run snapshotted (see nextTrackedMarkets)
+const HISTORY_CURSOR_KEY = "cron:history_cursor";
+
+// Upstream and cache counters for this isolate
+const serverStats = createServerStats();
+
 // =============================================================================
-// DOME API FUNCTIONS
+// RUNTIME (Cloudflare KV adapter for pricing-core.js)
 // =============================================================================
 
-async function fetchOrderbook(platform, tokenId, apiKey) {
-  if (!apiKey) {
-    console.error("No DOME_API_KEY set");
-    return null;
-  }
+function createKVStore(kv) {
+  if (!kv) return null;
+
+  return {
+    get: (key) => kv.get(key, { type: "json" }),
+    put: (key, value, ttlSeconds) => kv.put(
+      key,
+      JSON.stringify(value),
+      ttlSeconds ? { expirationTtl: Math.max(60, ttlSeconds) } : undefined
+    ),
+  };
+}
 
-  const params = new URLSearchParams();
+// track: refresh the tracked set from the markets priced. Only client
+// requests do; the cron would otherwise keep its own markets tracked forever.
+function createWorkerRuntime(env, stream, log = logger, { track = true } = {}) {
+  applyConfigOverrides(env);
+  const kv = env.BELLWETHER_KV || null;
+
+  return createRuntime({
+    apiKey: env.DOME_API_KEY || "",
+    store: createKVStore(kv),
+    domeBaseUrl: env.DOME_API_BASE || undefined,
+    venues: {
+      exchange: {
+        baseUrl: env.EXCHANGE_API_BASE || "",
+        apiKey: env.EXCHANGE_API_KEY || "",
+        contractValue: env.EXCHANGE_CONTRACT_VALUE || 1,
+        priceUnit: env.EXCHANGE_PRICE_UNIT || "dollars",
+        takerFeeRate: env.EXCHANGE_TAKER_FEE_RATE || 0,
+      },
+    },
+    history: kv
+      ? { read: (platform, tokenId, fromMs, toMs) => readHistory(kv, platform, tokenId, fromMs, toMs) }
+      : null,
+    logger: log,
+    stats: serverStats,
+    onMetrics: async (spec, metrics) => {
+      stream.add(spec, metrics);
+      if (!track) return;
+      // Only single-platform markets have a /api/history series; combined
+      // markets become the default /api/divergences set
+      if (spec.platform) {
+        await trackMarket(kv, spec.platform, spec.token_id);
+      } else if (spec.legs.length >= 2) {
+        await trackCombinedMarket(kv, spec.legs);
+      }
+    },
+  });
+}
 
-  if (platform === "kalshi") {
-    params.set("ticker", tokenId);
-  } else {
-    params.set("token_id", tokenId);
+// =============================================================================
+// HISTORY FUNCTIONS (using Cloudflare KV)
+// =============================================================================
+
+// Markets are tracked for snapshotting whenever a request recomputes their
+// metrics, so the tracked set follows what the monitor is actually showing.
+async function trackMarket(kv, platform, tokenId) {
+  if (!kv) return;
+
+  try {
+    await kv.put(
+      `tracked:${platform}:${tokenId}`,
+      JSON.stringify({ platform, token_id: tokenId, last_requested: new Date().toISOString() }),
+      { expirationTtl: WORKER_CONFIG.tracked_market_ttl_seconds }
+    );
+  } catch (err) {
+    logger.error("tracked_market_write_error", { error: err });
   }
+}
 
-  const endpoint = platform === "kalshi"
-    ? `${DOME_REST_BASE}/kalshi/orderbooks?${params}`
-    : `${DOME_REST_BASE}/polymarket/orderbooks?${params}`;
+// Combined markets are tracked too; the cron snapshots each of their legs.
+// onlyIfNew skips the write for markets already tracked (reads are cheaper).
+async function trackCombinedMarket(kv, legs, { onlyIfNew = false } = {}) {
+  if (!kv) return;
 
   try {
-    const response = await fetch(endpoint, {
-      headers: { Authorization: `Bearer ${apiKey}` },
-    });
+    const key = `tracked_combined:${legs.map(legKey).join("|")}`;
+    if (onlyIfNew && (await kv.get(key))) return;
 
-    if (!response.ok) {
-      const text = await response.text();
-      console.error(`Orderbook fetch failed: ${response.status} - ${text}`);
-      return null;
-    }
+    await kv.put(
+      key,
+      JSON.stringify({ legs, last_requested: new Date().toISOString() }),
+      { expirationTtl: WORKER_CONFIG.tracked_market_ttl_seconds }
+    );
+  } catch (err) {
+    logger.error("tracked_market_write_error", { error: err });
+  }
+}
 
-    const data = await response.json();
+// Legs of tracked combined markets, up to limit markets
+async function listTrackedCombinedMarkets(kv, limit = Infinity) {
+  if (!kv) return [];
 
-    const snapshots = data.snapshots || data.data || (Array.isArray(data) ? data : []);
-    if (snapshots.length === 0) {
-      console.error("No orderbook snapshots returned");
-      return null;
-    }
+  const markets = [];
+  let cursor;
 
-    const latestSnapshot = snapshots[0];
+  try {
+    do {
+      const page = await kv.list({ prefix: "tracked_combined:", limit: Math.min(1000, limit - markets.length), cursor });
+      const records = await Promise.all(page.keys.map(key => kv.get(key.name, { type: "json" })));
+      markets.push(...records.filter(Boolean).map(record => record.legs));
+      cursor = page.list_complete ? null : page.cursor;
+    } while (cursor && markets.length < limit);
+  } catch (err) {
+    logger.error("tracked_market_list_error", { error: err });
+  }
 
-    const bids = [];
-    const asks = [];
+  return markets;
+}
 
-    if (platform === "kalshi" && latestSnapshot.orderbook) {
-      // Kalshi format: yes/no arrays with [price_in_cents, quantity]
-      // yes = bids to buy Yes tokens
-      // no = bids to buy No tokens (= asks to sell Yes tokens when converted)
-      const yesOrders = latestSnapshot.orderbook.yes_dollars || latestSnapshot.orderbook.yes || [];
-      const noOrders = latestSnapshot.orderbook.no_dollars || latestSnapshot.orderbook.no || [];
+// Every tracked market, plus the legs of tracked combined markets (for
+// /api/divergences), ordered by legKey
+async function listTrackedMarkets(kv) {
+  if (!kv) return [];
 
-      // Yes orders are BIDS (people wanting to buy Yes)
-      for (const [priceVal, qty] of yesOrders) {
-        // Convert cents to dollars if needed (cents if < 1, dollars if >= 1)
-        const price = Number(priceVal) < 1 ? Number(priceVal) : Number(priceVal) / 100;
-        const size = Number(qty);
-        if (price > 0 && size > 0) {
-          bids.push({ price, size });
-        }
-      }
+  const markets = [];
+  let cursor;
 
-      // No orders become ASKS (buying No at X = selling Yes at 1-X)
-      for (const [priceVal, qty] of noOrders) {
-        const noPrice = Number(priceVal) < 1 ? Number(priceVal) : Number(priceVal) / 100;
-        const price = 1 - noPrice; // Convert No price to Yes price
-        const size = Number(qty);
-        if (price > 0 && price < 1 && size > 0) {
-          asks.push({ price, size });
-        }
-      }
-    } else {
-      const rawBids = latestSnapshot.bids || [];
-      const rawAsks = latestSnapshot.asks || [];
-
-      for (const bid of rawBids) {
-        const price = Number(bid.price || bid.p);
-        const size = Number(bid.size || bid.s);
-        if (price > 0 && size > 0) {
-          bids.push({ price, size });
-        }
+  try {
+    do {
+      const page = await kv.list({ prefix: "tracked:", cursor });
+      for (const key of page.keys) {
+        const [, platform, ...rest] = key.name.split(":");
+        markets.push({ platform, token_id: rest.join(":") });
       }
+      cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+  } catch (err) {
+    logger.error("tracked_market_list_error", { error: err });
+  }
 
-      for (const ask of rawAsks) {
-        const price = Number(ask.price || ask.p);
-        const size = Number(ask.size || ask.s);
-        if (price > 0 && size > 0) {
-          asks.push({ price, size });
-        }
-      }
+  const byKey = new Map(markets.map(market => [legKey(market), market]));
+  for (const legs of await listTrackedCombinedMarkets(kv)) {
+    for (const leg of legs) {
+      if (!byKey.has(legKey(leg))) byKey.set(legKey(leg), leg);
     }
+  }
+
+  return [...byKey.keys()].sort().map(key => byKey.get(key));
+}
 
-    bids.sort((a, b) => b.price - a.price);
-    asks.sort((a, b) => a.price - b.price);
+// Markets one cron run snapshots: as many as fit its share of
+// CONFIG.subrequest_limit, so alert evaluation isn't starved
+function historyMarketsPerRun() {
+  return maxMarketsPerRequest(Math.ceil(CONFIG.subrequest_limit * (1 - WORKER_CONFIG.history_subrequest_share)));
+}
+
+// The markets to snapshot this run. When the tracked set is larger than a
+// run, each run picks up after the last market the previous one took
+// (stored under HISTORY_CURSOR_KEY), wrapping around, so every market is
+// snapshotted in turn.
+async function nextTrackedMarkets(kv) {
+  const markets = await listTrackedMarkets(kv);
+  const limit = historyMarketsPerRun();
+  if (markets.length <= limit) return markets;
+
+  const last = await kv.get(HISTORY_CURSOR_KEY);
+  const start = Math.max(0, markets.findIndex(market => last !== null && legKey(market) > last));
+  const next = [...markets.slice(start), ...markets.slice(0, start)].slice(0, limit);
 
-    return [bids, asks];
+  try {
+    await kv.put(HISTORY_CURSOR_KEY, legKey(next[next.length - 1]));
   } catch (err) {
-    console.error(`Orderbook fetch error: ${err}`);
-    return null;
+    logger.error("history_cursor_write_error", { error: err });
   }
+  return next;
 }
 
-async function fetchTrades(platform, tokenId, windowHours, apiKey) {
-  if (!apiKey) return [];
-
-  const nowSec = Math.floor(Date.now() / 1000);
-  const startSec = nowSec - (windowHours * 60 * 60);
+// History is bucketed into one KV value per market per UTC day
+function historyKey(platform, tokenId, timestamp) {
+  const day = new Date(timestamp).toISOString().slice(0, 10);
+  return `history:${platform}:${tokenId}:${day}`;
+}
 
-  let endpoint;
-  const params = new URLSearchParams();
+async function appendHistoryPoint(kv, platform, tokenId, point) {
+  if (!kv) return;
 
-  if (platform === "kalshi") {
-    params.set("ticker", tokenId);
-    params.set("start_time", startSec.toString());
-    params.set("end_time", nowSec.toString());
-    endpoint = `${DOME_REST_BASE}/kalshi/trades?${params}`;
-  } else {
-    params.set("token_id", tokenId);
-    params.set("start_time", startSec.toString());
-    params.set("end_time", nowSec.toString());
-    endpoint = `${DOME_REST_BASE}/polymarket/orders?${params}`;
-  }
+  const key = historyKey(platform, tokenId, point.t);
 
   try {
-    const response = await fetch(endpoint, {
-      headers: { Authorization: `Bearer ${apiKey}` },
+    const points = (await kv.get(key, { type: "json" })) || [];
+
+    // A cached metrics object yields the same fetched_at twice - skip it
+    if (points.length > 0 && points[points.length - 1].t >= point.t) {
+      return;
+    }
+
+    points.push(point);
+    await kv.put(key, JSON.stringify(points), {
+      expirationTtl: WORKER_CONFIG.history_retention_days * 86400,
     });
+  } catch (err) {
+    logger.error("history_write_error", { platform, market_id: tokenId, error: err });
+  }
+}
+
+async function readHistory(kv, platform, tokenId, fromMs, toMs) {
+  if (!kv) return [];
+
+  const days = [];
+  const firstDay = Date.UTC(
+    new Date(fromMs).getUTCFullYear(),
+    new Date(fromMs).getUTCMonth(),
+    new Date(fromMs).getUTCDate()
+  );
+  for (let day = firstDay; day <= toMs; day += 86400000) {
+    days.push(day);
+  }
 
-    if (!response.ok) {
-      console.log(`Trades fetch returned ${response.status}, using empty trades`);
+  const chunks = await Promise.all(days.map(async (day) => {
+    try {
+      return (await kv.get(historyKey(platform, tokenId, day), { type: "json" })) || [];
+    } catch (err) {
+      logger.error("history_read_error", { platform, market_id: tokenId, day: new Date(day).toISOString().slice(0, 10), error: err });
       return [];
     }
+  }));
+
+  return chunks.flat().filter(p => p.t >= fromMs && p.t <= toMs);
+}
 
-    const data = await response.json();
-    const trades = [];
+// Keep the last point in each resolution bucket (e.g. hourly closes)
+function downsampleHistory(points, resolutionMs) {
+  if (!resolutionMs) return points;
 
-    const tradeList = Array.isArray(data) ? data : (data.trades || data.orders || data.data || []);
+  const buckets = new Map();
+  for (const point of points) {
+    buckets.set(Math.floor(point.t / resolutionMs), point);
+  }
+  return [...buckets.values()];
+}
 
-    const startMs = startSec * 1000;
+// Accepts unix seconds, unix milliseconds or an ISO date string.
+// Returns null when absent and undefined when unparseable.
+function parseTimeParam(value) {
+  if (value === null || value === "") return null;
 
-    for (const trade of tradeList) {
-      const price = Number(trade.price || trade.p || trade.yes_price_dollars);
-      const size = Number(trade.shares_normalized || trade.shares || trade.size || trade.amount || trade.s || trade.count || 1);
-      let timestamp = Number(trade.timestamp || trade.t || trade.time || trade.created_at || trade.created_time);
+  if (/^\d+$/.test(value)) {
+    const num = Number(value);
+    return num < 1e12 ? num * 1000 : num;
+  }
 
-      if (timestamp < 1e12) {
-        timestamp = timestamp * 1000;
-      }
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? undefined : parsed;
+}
 
-      if (price > 0 && timestamp >= startMs) {
-        trades.push({ price, size, timestamp });
-      }
-    }
+// Accepts "raw" or a duration like "15m", "1h", "1d"
+function parseResolution(value) {
+  if (!value || value === "raw") return 0;
 
-    return trades;
-  } catch (err) {
-    console.error(`Trades fetch error: ${err}`);
-    return [];
-  }
+  const match = value.match(/^(\d+)([mhd])$/);
+  if (!match) return undefined;
+
+  const unitMs = { m: 60000, h: 3600000, d: 86400000 }[match[2]];
+  return Number(match[1]) * unitMs;
+}
+
+async function snapshotTrackedMarkets(runtime, kv) {
+  const markets = await nextTrackedMarkets(kv);
+
+  await mapWithConcurrency(markets, CONFIG.batch_concurrency, async ({ platform, token_id }) => {
+    const metrics = await getMarketMetrics(runtime, platform, token_id);
+    if (!metrics) return;
+
+    await appendHistoryPoint(kv, platform, token_id, {
+      t: new Date(metrics.fetched_at).getTime(),
+      bellwether_price: metrics.bellwether_price,
+      price_tier: metrics.price_tier,
+      cost_to_move_5c: metrics.robustness.cost_to_move_5c,
+      midpoint: metrics.orderbook_midpoint,
+      current_price: metrics.current_price,
+    });
+  });
+
+  runtime.logger.info("history_snapshot_complete", { markets: markets.length });
 }
 
 // =============================================================================
-// CALCULATION FUNCTIONS
+// HTTP HANDLER
 // =============================================================================
 
-function computeVWAP(trades) {
-  if (trades.length === 0) {
-    return { vwap: null, trade_count: 0, total_volume: 0 };
+async function handleRequest(request, env, runtime) {
+  const url = new URL(request.url);
+  const kv = env.BELLWETHER_KV || null;
+
+  // Browsers only get CORS access from allowlisted origins
+  const allowedOrigins = parseAllowedOrigins(env.ALLOWED_ORIGINS);
+  const origin = request.headers.get("Origin");
+
+  const corsHeaders = {
+    ...(origin && allowedOrigins.has(origin) ? { "Access-Control-Allow-Origin": origin } : {}),
+    "Vary": "Origin",
+    "Access-Control-Allow-Methods": "GET, POST, DELETE, OPTIONS",
+    "Access-Control-Allow-Headers": `Content-Type, ${AUTH_CONFIG.key_header}`,
+    "Access-Control-Expose-Headers": "Retry-After, X-RateLimit-Remaining, X-Request-Id",
+    "Content-Type": "application/json",
+  };
+
+  if (request.method === "OPTIONS") {
+    return new Response(null, { headers: corsHeaders });
   }
 
-  let sumPriceVolume = 0;
-  let sumVolume = 0;
+  // GET /health
+  if (url.pathname === "/health") {
+    return new Response(
+      JSON.stringify({
+        status: "ok",
+        mode: "cloudflare-workers",
+        cache_ttl_seconds: CONFIG.cache_ttl_ms / 1000,
+        dome_cache_ttl_seconds: CONFIG.dome_cache_ttl_seconds,
+        trades_max_pages: CONFIG.trades_max_pages,
+        dome_api_configured: !!runtime.apiKey,
+        platforms_configured: Object.fromEntries(
+          PLATFORMS.map(platform => [platform, !!getPlatformAdapter(platform).source(runtime)])
+        ),
+        kv_configured: !!kv,
+        stream_configured: !!env.METRICS_STREAM,
+        rate_limiter_configured: !!env.RATE_LIMITER,
+        allowed_origins: [...allowedOrigins],
+        min_trades_for_vwap: CONFIG.min_trades_for_vwap,
+        vwap_windows: CONFIG.vwap_windows,
+        move_size: CONFIG.move_size,
+        cost_curve_moves: CONFIG.cost_curve_moves,
+        reportability_thresholds: CONFIG.reportability_thresholds,
+      }),
+      { headers: corsHeaders }
+    );
+  }
 
-  for (const trade of trades) {
-    sumPriceVolume += trade.price * trade.size;
-    sumVolume += trade.size;
+  // GET / - Basic info
+  if (url.pathname === "/") {
+    return new Response(
+      JSON.stringify({
+        name: "Bellwether Live Data Server",
+        version: "3.1.0-cloudflare",
+        description: "Tiered pricing: 6h VWAP → 12h/24h VWAP → Orderbook midpoint → Stale VWAP",
+        endpoints: {
+          "/health": "Server health check",
+          "/api/metrics/server": "Upstream latency (p50/p95), status counts and error rates, and cache hit ratios for the isolate serving the request (instance_id), not the whole deployment",
+          "/api/metrics/:platform/:token_id": "Get tiered price + robustness and market status for a single-platform market, or its settlement once resolved (query: move, target, size, method)",
+          "/api/metrics/combined": "Get cross-platform tiered price + min robustness (query: legs=platform:token_id,... or pm_token, k_ticker; move, target, size, method)",
+          "POST /api/metrics/batch": "Get metrics for many markets at once (body: { markets: [...] })",
+          "/api/history/:platform/:token_id": "Get stored Bellwether price snapshots (query: from, to, resolution)",
+          "/api/divergences": "Live cross-platform divergences and arbitrage (query: markets=polymarket:<token_id>|kalshi:<ticker>,...; default: recently requested combined markets)",
+          "/api/depth/:platform/:token_id": "Cumulative depth in 1¢ buckets, notional within ±2/5/10¢ of mid, spread and imbalance for one book",
+          "/api/depth/combined": "Depth profile of each venue's book and of the books merged (query: legs=platform:token_id,... or pm_token, k_ticker)",
+          "/api/events/:platform/:event_id": "Per-outcome prices, overround, normalized distribution and cost to dethrone the leader for a multi-outcome event",
+          "/api/alerts": "List (GET) or create (POST) alert rules; GET or DELETE /api/alerts/:id for one rule",
+          "/api/stream": "Server-Sent Events with updated metrics for subscribed markets (query: markets=polymarket:<token_id>,kalshi:<ticker>,polymarket:<token_id>|kalshi:<ticker>)",
+          "/api/markets/search": "Monitor markets matching a question, with their Polymarket token and Kalshi ticker (query: q, limit)",
+          "/api/markets/:key": "One market by monitor key, Polymarket market or token id, or Kalshi ticker",
+          "PUT /api/markets": "Replace the market catalog (body: { markets, elections, token_lookup }); admin token only",
+          "/api/keys": "Issue (POST), list (GET) or revoke (DELETE /api/keys/:id) client API keys; admin token only",
+        },
+        authentication: `/api routes need an ${AUTH_CONFIG.key_header} header or an allowlisted browser origin`,
+        platforms: PLATFORMS,
+        price_tiers: PRICE_TIERS,
+        pricing_methods: describePricingMethods(),
+      }),
+      { headers: corsHeaders }
+    );
   }
 
-  return {
-    vwap: sumVolume > 0 ? Math.round((sumPriceVolume / sumVolume) * 10000) / 10000 : null,
-    trade_count: trades.length,
-    total_volume: Math.round(sumVolume),
-  };
-}
+  // GET/POST /api/keys, DELETE /api/keys/:id - Client API keys (admin token only)
+  const keysMatch = url.pathname.match(/^\/api\/keys(?:\/([^/]+))?$/);
+  if (keysMatch) {
+    const keyId = keysMatch[1];
+
+    if (!env.ADMIN_TOKEN || !kv) {
+      return new Response(
+        JSON.stringify({ error: "Key management disabled", hint: "Set the ADMIN_TOKEN secret and bind BELLWETHER_KV" }),
+        { status: 403, headers: corsHeaders }
+      );
+    }
+    if (!secretsMatch(request.headers.get("Authorization") || "", `Bearer ${env.ADMIN_TOKEN}`)) {
+      return new Response(
+        JSON.stringify({ error: "Unauthorized", hint: "Send Authorization: Bearer <ADMIN_TOKEN>" }),
+        { status: 401, headers: corsHeaders }
+      );
+    }
+
+    if (!keyId && request.method === "GET") {
+      return new Response(JSON.stringify({ keys: await listApiKeys(kv) }), { headers: corsHeaders });
+    }
+
+    if (!keyId && request.method === "POST") {
+      let body;
+      try {
+        body = await request.json();
+      } catch (err) {
+        return new Response(
+          JSON.stringify({ error: "Invalid JSON body" }),
+          { status: 400, headers: corsHeaders }
+        );
+      }
+
+      const parsed = parseApiKeyRequest(body);
+      if (parsed.error) {
+        return new Response(
+          JSON.stringify({ error: "Invalid parameters", hint: parsed.error }),
+          { status: 400, headers: corsHeaders }
+        );
+      }
+
+      // The plaintext key is only ever returned here
+      return new Response(JSON.stringify(await createApiKey(kv, parsed.fields)), { status: 201, headers: corsHeaders });
+    }
+
+    if (keyId && request.method === "DELETE") {
+      if (!(await deleteApiKey(kv, keyId))) {
+        return new Response(JSON.stringify({ error: "API key not found" }), { status: 404, headers: corsHeaders });
+      }
+      return new Response(JSON.stringify({ deleted: keyId }), { headers: corsHeaders });
+    }
 
-// Cost to push price UP 5 cents (buying into asks)
-function computeCostToMoveUp5Cents(asks) {
-  if (asks.length === 0) return null;
+    return new Response(
+      JSON.stringify({ error: "Method not allowed", hint: "GET or POST /api/keys, DELETE /api/keys/:id" }),
+      { status: 405, headers: corsHeaders }
+    );
+  }
 
-  const startingPrice = asks[0].price;
-  const targetPrice = startingPrice + 0.05;
+  // PUT /api/markets - Replace the market catalog (admin token only)
+  if (url.pathname === "/api/markets" && request.method === "PUT") {
+    if (!env.ADMIN_TOKEN || !kv) {
+      return new Response(
+        JSON.stringify({ error: "Catalog uploads disabled", hint: "Set the ADMIN_TOKEN secret and bind BELLWETHER_KV" }),
+        { status: 403, headers: corsHeaders }
+      );
+    }
+    if (!secretsMatch(request.headers.get("Authorization") || "", `Bearer ${env.ADMIN_TOKEN}`)) {
+      return new Response(
+        JSON.stringify({ error: "Unauthorized", hint: "Send Authorization: Bearer <ADMIN_TOKEN>" }),
+        { status: 401, headers: corsHeaders }
+      );
+    }
 
-  let spent = 0;
+    let body;
+    try {
+      body = await request.json();
+    } catch (err) {
+      return new Response(
+        JSON.stringify({ error: "Invalid JSON body" }),
+        { status: 400, headers: corsHeaders }
+      );
+    }
 
-  for (const ask of asks) {
-    if (ask.price >= targetPrice) {
-      return Math.round(spent);
+    const parsed = parseCatalogUpload(body);
+    if (parsed.error) {
+      return new Response(
+        JSON.stringify({ error: "Invalid parameters", hint: parsed.error }),
+        { status: 400, headers: corsHeaders }
+      );
     }
-    const levelCost = ask.price * ask.size;
-    spent += levelCost;
+
+    const meta = await writeCatalog(kv, parsed.entries);
+    runtime.logger.info("market_catalog_written", { version: meta.version, entries: meta.entries });
+    return new Response(JSON.stringify(meta), { status: 201, headers: corsHeaders });
   }
 
-  return null; // Not enough depth
-}
+  // Everything below needs a client API key or an allowlisted browser origin
+  const access = await identifyClient(request, kv, allowedOrigins);
+  if (access.error) {
+    return new Response(
+      JSON.stringify({ error: access.error, hint: access.hint }),
+      { status: access.status, headers: corsHeaders }
+    );
+  }
+  const client = access.client;
 
-// Cost to push price DOWN 5 cents (selling into bids)
-function computeCostToMoveDown5Cents(bids) {
-  if (bids.length === 0) return null;
+  const limit = await takeRateLimitToken(env, client, await getRequestCost(request, url));
+  if (!limit.allowed) {
+    const tooLarge = limit.retry_after === null;
+    return new Response(
+      JSON.stringify({
+        error: "Rate limit exceeded",
+        hint: tooLarge
+          ? `This request costs more than your burst of ${client.limits.burst}; split it up`
+          : `Retry in ${limit.retry_after}s (limit ${client.limits.rate_per_minute}/min)`,
+      }),
+      {
+        status: 429,
+        headers: { ...corsHeaders, ...(tooLarge ? {} : { "Retry-After": String(limit.retry_after) }) },
+      }
+    );
+  }
+  corsHeaders["X-RateLimit-Remaining"] = String(limit.remaining);
 
-  const startingPrice = bids[0].price; // Best bid (highest)
-  const targetPrice = startingPrice - 0.05;
+  // POST /api/metrics/batch - Many single- and cross-platform markets in one request
+  if (url.pathname === "/api/metrics/batch") {
+    if (request.method !== "POST") {
+      return new Response(
+        JSON.stringify({ error: "Method not allowed", hint: "Use POST with a JSON body" }),
+        { status: 405, headers: corsHeaders }
+      );
+    }
 
-  let value = 0; // Value of shares we need to sell
+    let body;
+    try {
+      body = await request.json();
+    } catch (err) {
+      return new Response(
+        JSON.stringify({ error: "Invalid JSON body" }),
+        { status: 400, headers: corsHeaders }
+      );
+    }
 
-  for (const bid of bids) {
-    if (bid.price <= targetPrice) {
-      return Math.round(value);
+    const batch = await getBatchMetrics(runtime, body?.markets);
+    if (batch.error) {
+      return new Response(JSON.stringify(batch), { status: 400, headers: corsHeaders });
     }
-    const levelValue = bid.price * bid.size;
-    value += levelValue;
+
+    return new Response(JSON.stringify(batch), { headers: corsHeaders });
   }
 
-  return null; // Not enough depth
-}
+  // GET /api/stream?markets=... - SSE metrics updates for subscribed markets
+  if (url.pathname === "/api/stream") {
+    const { error } = parseStreamMarkets(url.searchParams.get("markets"));
+    if (error) {
+      return new Response(
+        JSON.stringify({ error: "Invalid parameters", hint: error }),
+        { status: 400, headers: corsHeaders }
+      );
+    }
 
-// Returns minimum cost to move price 5 cents in EITHER direction
-// This is the vulnerability - manipulator picks the cheaper direction
-function computeCostToMove5Cents(bids, asks) {
-  const costUp = computeCostToMoveUp5Cents(asks);
-  const costDown = computeCostToMoveDown5Cents(bids);
+    const stub = getStreamStub(env);
+    if (!stub) {
+      return new Response(
+        JSON.stringify({ error: "Streaming not configured", hint: "Bind the MetricsStream Durable Object as METRICS_STREAM" }),
+        { status: 501, headers: corsHeaders }
+      );
+    }
 
-  if (costUp === null && costDown === null) return null;
-  if (costUp === null) return costDown;
-  if (costDown === null) return costUp;
-  return Math.min(costUp, costDown);
-}
+    const upstream = await stub.fetch(request);
+    return new Response(upstream.body, {
+      status: upstream.status,
+      headers: { ...SSE_HEADERS, ...corsHeaders, "Content-Type": SSE_HEADERS["Content-Type"] },
+    });
+  }
 
-function computeOrderbookMidpoint(bids, asks) {
-  if (bids.length === 0 || asks.length === 0) return null;
-  const bestBid = bids[0].price;
-  const bestAsk = asks[0].price;
-  return Math.round(((bestBid + bestAsk) / 2) * 10000) / 10000;
-}
+  // GET/POST /api/alerts, GET/DELETE /api/alerts/:id - Alert rules
+  const alertsMatch = url.pathname.match(/^\/api\/alerts(?:\/([^/]+))?$/);
+  if (alertsMatch) {
+    const alertId = alertsMatch[1];
 
-function getBaseReportability(costToMove5c) {
-  if (costToMove5c === null || costToMove5c < 10000) return "fragile";
-  if (costToMove5c < 100000) return "caution";
-  return "reportable";
-}
+    if (!kv) {
+      return new Response(
+        JSON.stringify({ error: "Alerts unavailable", hint: "Bind a KV namespace as BELLWETHER_KV" }),
+        { status: 503, headers: corsHeaders }
+      );
+    }
 
-function downgradeReportability(r) {
-  if (r === "reportable") return "caution";
-  if (r === "caution") return "fragile";
-  return "fragile";
-}
+    // Alert rules trigger outbound webhooks, so browser (origin) clients can't
+    // manage them; each key sees only its own rules (see alerts.js)
+    if (client.kind !== "key") {
+      return new Response(
+        JSON.stringify({ error: "API key required", hint: `Manage alerts with an ${AUTH_CONFIG.key_header} header` }),
+        { status: 403, headers: corsHeaders }
+      );
+    }
 
-function capReportability(r, maxLevel) {
-  const levels = ["fragile", "caution", "reportable"];
-  const currentIdx = levels.indexOf(r);
-  const maxIdx = levels.indexOf(maxLevel);
-  return levels[Math.min(currentIdx, maxIdx)];
-}
+    if (!alertId && request.method === "GET") {
+      const [rules, run] = await Promise.all([listAlertRules(kv, client.id), getAlertRun(kv)]);
+      return new Response(JSON.stringify({ rules, last_evaluated_at: run?.evaluated_at ?? null }), { headers: corsHeaders });
+    }
 
-// =============================================================================
-// CACHE FUNCTIONS (using Cloudflare KV)
-// =============================================================================
+    if (!alertId && request.method === "POST") {
+      let body;
+      try {
+        body = await request.json();
+      } catch (err) {
+        return new Response(
+          JSON.stringify({ error: "Invalid JSON body" }),
+          { status: 400, headers: corsHeaders }
+        );
+      }
 
-async function getCachedMetrics(kv, tokenId) {
-  if (!kv) return null;
+      const parsed = parseAlertRule(body);
+      if (parsed.error) {
+        return new Response(
+          JSON.stringify({ error: "Invalid alert rule", hint: parsed.error }),
+          { status: 400, headers: corsHeaders }
+        );
+      }
 
-  try {
-    const cached = await kv.get(tokenId, { type: "json" });
-    if (!cached) return null;
+      const created = await createAlertRule(kv, parsed.rule, client.id);
+      if (created.error) {
+        return new Response(
+          JSON.stringify({ error: "Too many alert rules", hint: created.error }),
+          { status: 409, headers: corsHeaders }
+        );
+      }
 
-    const fetchedAt = new Date(cached.fetched_at).getTime();
-    if (Date.now() - fetchedAt > CONFIG.cache_ttl_ms) {
-      return null;
+      return new Response(JSON.stringify(created.rule), { status: 201, headers: corsHeaders });
     }
 
-    return { ...cached, cached: true };
-  } catch (err) {
-    console.error("Cache read error:", err);
-    return null;
-  }
-}
+    if (alertId && request.method === "GET") {
+      const rule = await getAlertRule(kv, alertId, client.id);
+      if (!rule) {
+        return new Response(JSON.stringify({ error: "Alert rule not found" }), { status: 404, headers: corsHeaders });
+      }
+      return new Response(JSON.stringify(rule), { headers: corsHeaders });
+    }
 
-async function cacheMetrics(kv, tokenId, metrics) {
-  if (!kv) return;
+    if (alertId && request.method === "DELETE") {
+      if (!(await deleteAlertRule(kv, alertId, client.id))) {
+        return new Response(JSON.stringify({ error: "Alert rule not found" }), { status: 404, headers: corsHeaders });
+      }
+      return new Response(JSON.stringify({ deleted: alertId }), { headers: corsHeaders });
+    }
 
-  try {
-    await kv.put(tokenId, JSON.stringify(metrics), {
-      expirationTtl: Math.ceil(CONFIG.cache_ttl_ms / 1000),
-    });
-  } catch (err) {
-    console.error("Cache write error:", err);
+    return new Response(
+      JSON.stringify({ error: "Method not allowed", hint: "GET or POST /api/alerts, GET or DELETE /api/alerts/:id" }),
+      { status: 405, headers: corsHeaders }
+    );
   }
-}
 
-async function getStaleVWAP(kv, key) {
-  if (!kv) return null;
-
-  try {
-    return await kv.get(`stale_${key}`, { type: "json" });
-  } catch (err) {
-    return null;
+  // GET /api/metrics/server - Upstream latency, error rates and cache hit ratios
+  if (url.pathname === "/api/metrics/server") {
+    return new Response(
+      JSON.stringify({ ...serverStats.snapshot(), fetched_at: new Date().toISOString() }),
+      { headers: corsHeaders }
+    );
   }
-}
 
-async function storeStaleVWAP(kv, key, price, windowHours, tradeCount) {
-  if (!kv) return;
+  // GET /api/metrics/:platform/:token_id
+  const metricsMatch = url.pathname.match(/^\/api\/metrics\/([a-z]+)\/(.+)$/);
+  if (metricsMatch && getPlatformAdapter(metricsMatch[1])) {
+    const platform = metricsMatch[1];
+    const tokenId = metricsMatch[2];
 
-  try {
-    const stale = {
-      price,
-      window_hours: windowHours,
-      trade_count: tradeCount,
-      stored_at: new Date().toISOString(),
-    };
-    // Store for 7 days
-    await kv.put(`stale_${key}`, JSON.stringify(stale), { expirationTtl: 604800 });
-  } catch (err) {
-    console.error("Stale VWAP store error:", err);
+    const invalid = validateMarketId(platform, tokenId);
+    if (invalid) {
+      return new Response(
+        JSON.stringify({ error: "Invalid parameters", hint: invalid }),
+        { status: 400, headers: corsHeaders }
+      );
+    }
+
+    const { options, error } = parseRobustnessOptions(url.searchParams);
+    if (error) {
+      return new Response(
+        JSON.stringify({ error: "Invalid parameters", hint: error }),
+        { status: 400, headers: corsHeaders }
+      );
+    }
+
+    const metrics = await getMarketMetrics(runtime, platform, tokenId, options);
+
+    if (!metrics) {
+      return new Response(
+        JSON.stringify({
+          error: "Failed to fetch market data",
+          hint: "Check that the token_id is valid and the platform is correct"
+        }),
+        { status: 404, headers: corsHeaders }
+      );
+    }
+
+    return new Response(JSON.stringify(metrics), { headers: corsHeaders });
   }
-}
 
-// =============================================================================
-// TIERED PRICE CALCULATION
-// =============================================================================
+  // GET /api/metrics/combined - Cross-platform tiered price and min robustness
+  if (url.pathname === "/api/metrics/combined") {
+    const { legs, error: legsError } = parseCombinedParams(url.searchParams);
 
-async function computeTieredPrice(platform, tokenId, bids, asks, apiKey, kv) {
-  // Fetch 24h trades once, then filter for smaller windows in memory
-  const allTrades = await fetchTrades(platform, tokenId, 24, apiKey);
-  const now = Date.now();
-
-  // Try progressively larger windows by filtering the same trade data
-  for (const windowHours of CONFIG.vwap_windows) {
-    const cutoff = now - (windowHours * 60 * 60 * 1000);
-    const windowTrades = allTrades.filter(t => t.timestamp >= cutoff);
-    const vwapResult = computeVWAP(windowTrades);
-
-    if (vwapResult.trade_count >= CONFIG.min_trades_for_vwap) {
-      // Success! Store this as the last known good VWAP
-      await storeStaleVWAP(kv, tokenId, vwapResult.vwap, windowHours, vwapResult.trade_count);
-
-      const tier = windowHours === 6 ? 1 : 2;
-      const source = windowHours === 6 ? "6h_vwap" : (windowHours === 12 ? "12h_vwap" : "24h_vwap");
-      const label = `${windowHours}h VWAP`;
-
-      return {
-        tier,
-        price: vwapResult.vwap,
-        label,
-        window_hours: windowHours,
-        trade_count: vwapResult.trade_count,
-        total_volume: vwapResult.total_volume,
-        source,
-      };
-    }
-  }
-
-  // No sufficient trades - try stale VWAP
-  const stale = await getStaleVWAP(kv, tokenId);
-  if (stale) {
-    return {
-      tier: 3,
-      price: stale.price,
-      label: "Stale VWAP",
-      window_hours: stale.window_hours,
-      trade_count: stale.trade_count,
-      total_volume: 0,
-      source: "stale_vwap",
-    };
-  }
-
-  // No data at all - return null price, always fragile
-  return {
-    tier: 3,
-    price: null,
-    label: "Insufficient data",
-    window_hours: null,
-    trade_count: 0,
-    total_volume: 0,
-    source: "no_data",
-  };
-}
+    if (legsError) {
+      return new Response(
+        JSON.stringify({
+          error: "Invalid parameters",
+          hint: `${legsError}. Provide legs=platform:token_id,... or at least one of: pm_token, k_ticker`
+        }),
+        { status: 400, headers: corsHeaders }
+      );
+    }
 
-async function computeCrossplatformTieredPrice(pmToken, kTicker, pmBids, pmAsks, kBids, kAsks, apiKey, kv) {
-  // Combine orderbooks for midpoint calculation
-  const allBids = [...pmBids, ...kBids].sort((a, b) => b.price - a.price);
-  const allAsks = [...pmAsks, ...kAsks].sort((a, b) => a.price - b.price);
+    const { options, error } = parseRobustnessOptions(url.searchParams);
+    if (error) {
+      return new Response(
+        JSON.stringify({ error: "Invalid parameters", hint: error }),
+        { status: 400, headers: corsHeaders }
+      );
+    }
 
-  const cacheKey = `${pmToken || ""}_${kTicker || ""}`;
+    const combined = await getCombinedMetrics(runtime, legs, options);
 
-  // Fetch 24h trades once from each platform, then filter for smaller windows
-  const allTrades = [];
-  if (pmToken) {
-    const pmTrades = await fetchTrades("polymarket", pmToken, 24, apiKey);
-    allTrades.push(...pmTrades);
+    return new Response(JSON.stringify(combined), { headers: corsHeaders });
   }
-  if (kTicker) {
-    const kTrades = await fetchTrades("kalshi", kTicker, 24, apiKey);
-    allTrades.push(...kTrades);
+
+  // GET /api/divergences - Live cross-platform spreads and arbitrage
+  if (url.pathname === "/api/divergences") {
+    let markets;
+    if (url.searchParams.has("markets")) {
+      const parsed = parseDivergenceMarkets(url.searchParams.get("markets"));
+      if (parsed.error) {
+        return new Response(
+          JSON.stringify({ error: "Invalid parameters", hint: parsed.error }),
+          { status: 400, headers: corsHeaders }
+        );
+      }
+      markets = parsed.markets;
+    } else {
+      // Default to recently requested combined markets
+      markets = fitDivergenceLegs(await listTrackedCombinedMarkets(kv, maxDivergenceMarkets()));
+    }
+
+    // Snapshot the legs from now on, so later calls can date the divergence
+    await Promise.all(markets.map(legs => trackCombinedMarket(kv, legs, { onlyIfNew: true })));
+
+    const history = runtime.history
+      ? { ...runtime.history, interval_ms: WORKER_CONFIG.history_interval_minutes * 60000 }
+      : null;
+
+    return new Response(JSON.stringify(await getDivergences(runtime, markets, history)), { headers: corsHeaders });
   }
 
-  const now = Date.now();
+  // GET /api/markets/search, GET /api/markets/:key - Market catalog lookups
+  const marketsMatch = url.pathname.match(/^\/api\/markets\/(.+)$/);
+  if (marketsMatch) {
+    const noCatalog = new Response(
+      JSON.stringify({ error: "Market catalog not loaded", hint: "PUT /api/markets with the admin token" }),
+      { status: 503, headers: corsHeaders }
+    );
+    if (!kv) return noCatalog;
 
-  // Try progressively larger windows by filtering the same trade data
-  for (const windowHours of CONFIG.vwap_windows) {
-    const cutoff = now - (windowHours * 60 * 60 * 1000);
-    const windowTrades = allTrades.filter(t => t.timestamp >= cutoff);
-    const vwapResult = computeVWAP(windowTrades);
+    if (marketsMatch[1] === "search") {
+      const { query, limit, error } = parseSearchParams(url.searchParams);
+      if (error) {
+        return new Response(
+          JSON.stringify({ error: "Invalid parameters", hint: error }),
+          { status: 400, headers: corsHeaders }
+        );
+      }
 
-    if (vwapResult.trade_count >= CONFIG.min_trades_for_vwap) {
-      await storeStaleVWAP(kv, cacheKey, vwapResult.vwap, windowHours, vwapResult.trade_count);
+      const results = await searchCatalog(kv, query, limit);
+      return results ? new Response(JSON.stringify(results), { headers: corsHeaders }) : noCatalog;
+    }
 
-      const tier = windowHours === 6 ? 1 : 2;
-      const source = windowHours === 6 ? "6h_vwap" : (windowHours === 12 ? "12h_vwap" : "24h_vwap");
-      const label = `${windowHours}h VWAP across platforms`;
+    let key;
+    try {
+      key = decodeURIComponent(marketsMatch[1]);
+    } catch (err) {
+      return new Response(
+        JSON.stringify({ error: "Invalid parameters", hint: "Market key is not valid URL encoding" }),
+        { status: 400, headers: corsHeaders }
+      );
+    }
 
-      return {
-        tier,
-        price: vwapResult.vwap,
-        label,
-        window_hours: windowHours,
-        trade_count: vwapResult.trade_count,
-        total_volume: vwapResult.total_volume,
-        source,
-      };
+    const resolved = await resolveMarket(kv, key);
+    if (!resolved) return noCatalog;
+    if (!resolved.market) {
+      return new Response(
+        JSON.stringify({ error: "Market not found", hint: "Search with /api/markets/search?q=" }),
+        { status: 404, headers: corsHeaders }
+      );
     }
+
+    return new Response(JSON.stringify(resolved), { headers: corsHeaders });
   }
 
-  // No sufficient trades - try stale VWAP
-  const stale = await getStaleVWAP(kv, cacheKey);
-  if (stale) {
-    return {
-      tier: 3,
-      price: stale.price,
-      label: "Stale VWAP",
-      window_hours: stale.window_hours,
-      trade_count: stale.trade_count,
-      total_volume: 0,
-      source: "stale_vwap",
-    };
+  // GET /api/depth/combined - Each venue's depth profile and the books merged
+  if (url.pathname === "/api/depth/combined") {
+    const { legs, error } = parseCombinedParams(url.searchParams);
+    if (error) {
+      return new Response(
+        JSON.stringify({ error: "Invalid parameters", hint: `${error}. Provide legs=platform:token_id,...` }),
+        { status: 400, headers: corsHeaders }
+      );
+    }
+
+    return new Response(JSON.stringify(await getCombinedDepthProfile(runtime, legs)), { headers: corsHeaders });
   }
 
-  // No data at all - return null price, always fragile
-  return {
-    tier: 3,
-    price: null,
-    label: "Insufficient data",
-    window_hours: null,
-    trade_count: 0,
-    total_volume: 0,
-    source: "no_data",
-  };
-}
+  // GET /api/depth/:platform/:token_id - Depth buckets, notional near mid, spread, imbalance
+  const depthMatch = url.pathname.match(/^\/api\/depth\/([a-z]+)\/(.+)$/);
+  if (depthMatch && getPlatformAdapter(depthMatch[1])) {
+    const platform = depthMatch[1];
+    const tokenId = depthMatch[2];
 
-// =============================================================================
-// MAIN FETCH FUNCTION
-// =============================================================================
+    const invalid = validateMarketId(platform, tokenId);
+    if (invalid) {
+      return new Response(
+        JSON.stringify({ error: "Invalid parameters", hint: invalid }),
+        { status: 400, headers: corsHeaders }
+      );
+    }
 
-async function getMarketMetrics(platform, tokenId, apiKey, kv) {
-  const cached = await getCachedMetrics(kv, tokenId);
-  if (cached) {
-    return cached;
-  }
-
-  const orderbook = await fetchOrderbook(platform, tokenId, apiKey);
-  if (!orderbook) {
-    return null;
-  }
-
-  const [bids, asks] = orderbook;
-
-  // Compute tiered price
-  const tieredPrice = await computeTieredPrice(platform, tokenId, bids, asks, apiKey, kv);
-
-  // Compute robustness (min of up and down directions)
-  const costToMove5c = computeCostToMove5Cents(bids, asks);
-  const rawReportability = getBaseReportability(costToMove5c);
-
-  // Adjust reportability based on tier
-  let reportability;
-  if (tieredPrice.tier === 1) {
-    reportability = rawReportability;
-  } else if (tieredPrice.tier === 2) {
-    reportability = downgradeReportability(rawReportability);
-  } else {
-    // Tier 3 (stale/insufficient data) is always fragile
-    reportability = "fragile";
-  }
-
-  // Get current price (most recent trade in any window)
-  const recentTrades = await fetchTrades(platform, tokenId, 24, apiKey);
-  let currentPrice = null;
-  if (recentTrades.length > 0) {
-    const sortedTrades = [...recentTrades].sort((a, b) => b.timestamp - a.timestamp);
-    currentPrice = sortedTrades[0].price;
-  }
-
-  const midpoint = computeOrderbookMidpoint(bids, asks);
-
-  // Debug: compute both directions separately
-  const costUp = computeCostToMoveUp5Cents(asks);
-  const costDown = computeCostToMoveDown5Cents(bids);
-
-  const metrics = {
-    token_id: tokenId,
-    platform,
-    bellwether_price: tieredPrice.price,
-    price_tier: tieredPrice.tier,
-    price_label: tieredPrice.label,
-    price_source: tieredPrice.source,
-    current_price: currentPrice,
-    robustness: {
-      cost_to_move_5c: costToMove5c,
-      cost_to_move_up_5c: costUp,
-      cost_to_move_down_5c: costDown,
-      reportability,
-      raw_reportability: rawReportability,
-    },
-    vwap_details: {
-      window_hours: tieredPrice.window_hours,
-      trade_count: tieredPrice.trade_count,
-      total_volume: tieredPrice.total_volume,
-    },
-    orderbook_midpoint: midpoint,
-    orderbook_summary: {
-      bid_levels: bids.length,
-      ask_levels: asks.length,
-      best_bid: bids.length > 0 ? bids[0].price : null,
-      best_ask: asks.length > 0 ? asks[0].price : null,
-      top_5_bids: bids.slice(0, 5).map(b => ({ price: b.price, size: b.size })),
-      top_5_asks: asks.slice(0, 5).map(a => ({ price: a.price, size: a.size })),
-    },
-    fetched_at: new Date().toISOString(),
-    cached: false,
-  };
+    const depth = await getDepthProfile(runtime, platform, tokenId);
+    if (!depth) {
+      return new Response(
+        JSON.stringify({
+          error: "Failed to fetch orderbook",
+          hint: "Check that the token_id is valid and the platform is correct"
+        }),
+        { status: 404, headers: corsHeaders }
+      );
+    }
 
-  await cacheMetrics(kv, tokenId, metrics);
+    return new Response(JSON.stringify(depth), { headers: corsHeaders });
+  }
 
-  return metrics;
-}
+  // GET /api/events/:platform/:event_id - Every outcome of a multi-outcome event
+  const eventMatch = url.pathname.match(/^\/api\/events\/([a-z]+)\/(.+)$/);
+  if (eventMatch && getPlatformAdapter(eventMatch[1])) {
+    const platform = eventMatch[1];
+    const eventId = eventMatch[2];
 
-// =============================================================================
-// HTTP HANDLER (Cloudflare Workers format)
-// =============================================================================
+    const invalid = validateEventId(platform, eventId);
+    if (invalid) {
+      return new Response(
+        JSON.stringify({ error: "Invalid parameters", hint: invalid }),
+        { status: 400, headers: corsHeaders }
+      );
+    }
 
-export default {
-  async fetch(request, env, ctx) {
-    const url = new URL(request.url);
-    const apiKey = env.DOME_API_KEY || "";
-    const kv = env.BELLWETHER_KV || null;
+    const event = await getEventMetrics(runtime, platform, eventId);
+    if (!event) {
+      return new Response(
+        JSON.stringify({
+          error: "Failed to fetch event data",
+          hint: "Check that the event_id is valid and the platform is correct"
+        }),
+        { status: 404, headers: corsHeaders }
+      );
+    }
+
+    return new Response(JSON.stringify(event), { headers: corsHeaders });
+  }
 
-    const corsHeaders = {
-      "Access-Control-Allow-Origin": "*",
-      "Access-Control-Allow-Methods": "GET, OPTIONS",
-      "Access-Control-Allow-Headers": "Content-Type",
-      "Content-Type": "application/json",
-    };
+  // GET /api/history/:platform/:token_id - Stored price snapshots
+  const historyMatch = url.pathname.match(/^\/api\/history\/([a-z]+)\/(.+)$/);
+  if (historyMatch && getPlatformAdapter(historyMatch[1])) {
+    const platform = historyMatch[1];
+    const tokenId = historyMatch[2];
 
-    if (request.method === "OPTIONS") {
-      return new Response(null, { headers: corsHeaders });
+    const invalid = validateMarketId(platform, tokenId);
+    if (invalid) {
+      return new Response(
+        JSON.stringify({ error: "Invalid parameters", hint: invalid }),
+        { status: 400, headers: corsHeaders }
+      );
     }
 
-    // GET /health
-    if (url.pathname === "/health") {
+    const toParam = parseTimeParam(url.searchParams.get("to"));
+    const fromParam = parseTimeParam(url.searchParams.get("from"));
+    const resolutionMs = parseResolution(url.searchParams.get("resolution"));
+
+    if (toParam === undefined || fromParam === undefined || resolutionMs === undefined) {
       return new Response(
         JSON.stringify({
-          status: "ok",
-          mode: "cloudflare-workers",
-          cache_ttl_seconds: CONFIG.cache_ttl_ms / 1000,
-          dome_api_configured: !!apiKey,
-          kv_configured: !!kv,
-          min_trades_for_vwap: CONFIG.min_trades_for_vwap,
-          vwap_windows: CONFIG.vwap_windows,
+          error: "Invalid parameters",
+          hint: "from/to take unix seconds, milliseconds or ISO dates; resolution takes raw, 15m, 1h, 1d"
         }),
-        { headers: corsHeaders }
+        { status: 400, headers: corsHeaders }
       );
     }
 
-    // GET / - Basic info
-    if (url.pathname === "/") {
+    // Default to the last 24 hours
+    const toMs = toParam ?? Date.now();
+    const fromMs = fromParam ?? toMs - 86400000;
+
+    if (fromMs > toMs || toMs - fromMs > WORKER_CONFIG.history_max_range_days * 86400000) {
       return new Response(
         JSON.stringify({
-          name: "Bellwether Live Data Server",
-          version: "3.0.0-cloudflare",
-          description: "Tiered pricing: 6h VWAP → 12h/24h VWAP → Orderbook midpoint → Stale VWAP",
-          endpoints: {
-            "/health": "Server health check",
-            "/api/metrics/:platform/:token_id": "Get tiered price + robustness for a single-platform market",
-            "/api/metrics/combined": "Get cross-platform tiered price + min robustness (query: pm_token, k_ticker)",
-          },
-          price_tiers: {
-            1: "6h VWAP (10+ trades) - Full reportability",
-            2: "12h/24h VWAP (10+ trades) - Reportability downgraded one level",
-            3: "Stale VWAP or insufficient data - Always Fragile",
-          },
+          error: "Invalid range",
+          hint: `from must be before to, and the range at most ${WORKER_CONFIG.history_max_range_days} days`
         }),
-        { headers: corsHeaders }
+        { status: 400, headers: corsHeaders }
       );
     }
 
-    // GET /api/metrics/:platform/:token_id
-    const metricsMatch = url.pathname.match(/^\/api\/metrics\/(polymarket|kalshi)\/(.+)$/);
-    if (metricsMatch) {
-      const platform = metricsMatch[1];
-      const tokenId = metricsMatch[2];
+    const points = await readHistory(kv, platform, tokenId, fromMs, toMs);
 
-      const metrics = await getMarketMetrics(platform, tokenId, apiKey, kv);
+    return new Response(
+      JSON.stringify({
+        platform,
+        token_id: tokenId,
+        from: new Date(fromMs).toISOString(),
+        to: new Date(toMs).toISOString(),
+        resolution: url.searchParams.get("resolution") || "raw",
+        interval_minutes: WORKER_CONFIG.history_interval_minutes,
+        points: downsampleHistory(points, resolutionMs),
+      }),
+      { headers: corsHeaders }
+    );
+  }
 
-      if (!metrics) {
-        return new Response(
-          JSON.stringify({
-            error: "Failed to fetch market data",
-            hint: "Check that the token_id is valid and the platform is correct"
-          }),
-          { status: 404, headers: corsHeaders }
-        );
-      }
+  // Legacy endpoint support
+  const legacyMatch = url.pathname.match(/^\/metrics\/(.+)$/);
+  if (legacyMatch) {
+    const tokenId = legacyMatch[1];
+    const metrics = await getMarketMetrics(runtime, "polymarket", tokenId);
 
-      return new Response(JSON.stringify(metrics), { headers: corsHeaders });
+    if (!metrics) {
+      return new Response(
+        JSON.stringify({ error: "Market not found" }),
+        { status: 404, headers: corsHeaders }
+      );
     }
 
-    // GET /api/metrics/combined - Cross-platform tiered price and min robustness
-    if (url.pathname === "/api/metrics/combined") {
-      const pmToken = url.searchParams.get("pm_token");
-      const kTicker = url.searchParams.get("k_ticker");
+    return new Response(JSON.stringify(metrics), { headers: corsHeaders });
+  }
 
-      if (!pmToken && !kTicker) {
-        return new Response(
-          JSON.stringify({
-            error: "Missing parameters",
-            hint: "Provide at least one of: pm_token, k_ticker"
-          }),
-          { status: 400, headers: corsHeaders }
-        );
-      }
+  return new Response(
+    JSON.stringify({
+      error: "Not found",
+      available_endpoints: ["/", "/health", "/api/metrics/:platform/:token_id", "/api/metrics/combined", "/api/metrics/batch", "/api/metrics/server", "/api/history/:platform/:token_id", "/api/divergences", "/api/depth/:platform/:token_id", "/api/depth/combined", "/api/events/:platform/:event_id", "/api/markets/search", "/api/markets/:key", "/api/stream", "/api/alerts"]
+    }),
+    { status: 404, headers: corsHeaders }
+  );
+}
 
-      // Fetch orderbooks from both platforms in parallel
-      const [pmOrderbook, kOrderbook] = await Promise.all([
-        pmToken ? fetchOrderbook("polymarket", pmToken, apiKey) : null,
-        kTicker ? fetchOrderbook("kalshi", kTicker, apiKey) : null,
-      ]);
+// =============================================================================
+// LIVE STREAM (Durable Object)
+// =============================================================================
 
-      const pmBids = pmOrderbook?.[0] || [];
-      const pmAsks = pmOrderbook?.[1] || [];
-      const kBids = kOrderbook?.[0] || [];
-      const kAsks = kOrderbook?.[1] || [];
+// One instance (named "global") holds every /api/stream connection.
+// Requests publish the metrics they recompute to it in one call at the end.
+export class MetricsStream {
+  constructor(state, env) {
+    this.hub = createStreamHub();
+  }
 
-      // Compute tiered price across platforms
-      const tieredPrice = await computeCrossplatformTieredPrice(
-        pmToken, kTicker, pmBids, pmAsks, kBids, kAsks, apiKey, kv
-      );
+  async fetch(request) {
+    const url = new URL(request.url);
 
-      // Use minimum robustness (weakest link across platforms AND directions)
-      const pmCost = (pmBids.length > 0 || pmAsks.length > 0) ? computeCostToMove5Cents(pmBids, pmAsks) : null;
-      const kCost = (kBids.length > 0 || kAsks.length > 0) ? computeCostToMove5Cents(kBids, kAsks) : null;
-
-      let minCost = null;
-      let weakestPlatform = "unknown";
-
-      if (pmCost !== null && kCost !== null) {
-        minCost = Math.min(pmCost, kCost);
-        weakestPlatform = pmCost <= kCost ? "polymarket" : "kalshi";
-      } else if (pmCost !== null) {
-        minCost = pmCost;
-        weakestPlatform = "polymarket";
-      } else if (kCost !== null) {
-        minCost = kCost;
-        weakestPlatform = "kalshi";
+    if (request.method === "POST" && url.pathname === "/publish") {
+      const { events } = await request.json();
+      let delivered = 0;
+      for (const payload of events || []) {
+        delivered += this.hub.publish(payload);
       }
+      return new Response(JSON.stringify({ delivered, subscribers: this.hub.size }));
+    }
 
-      const rawReportability = getBaseReportability(minCost);
-
-      // Adjust reportability based on tier
-      let reportability;
-      if (tieredPrice.tier === 1) {
-        reportability = rawReportability;
-      } else if (tieredPrice.tier === 2) {
-        reportability = downgradeReportability(rawReportability);
-      } else {
-        // Tier 3 (stale/insufficient data) is always fragile
-        reportability = "fragile";
-      }
+    const { keys } = parseStreamMarkets(url.searchParams.get("markets"));
+    return new Response(this.hub.subscribe(keys, request.signal), { headers: SSE_HEADERS });
+  }
+}
 
-      // Get current prices from each platform
-      let pmCurrentPrice = null;
-      let kCurrentPrice = null;
+// =============================================================================
+// RATE LIMITING (Durable Object)
+// =============================================================================
 
-      if (pmToken) {
-        const pmTrades = await fetchTrades("polymarket", pmToken, 24, apiKey);
-        if (pmTrades.length > 0) {
-          pmCurrentPrice = [...pmTrades].sort((a, b) => b.timestamp - a.timestamp)[0].price;
-        }
-      }
-      if (kTicker) {
-        const kTrades = await fetchTrades("kalshi", kTicker, 24, apiKey);
-        if (kTrades.length > 0) {
-          kCurrentPrice = [...kTrades].sort((a, b) => b.timestamp - a.timestamp)[0].price;
-        }
-      }
+// One instance per client id holds that client's token bucket
+export class RateLimiter {
+  constructor(state, env) {
+    this.bucket = null;
+  }
 
-      const combined = {
-        bellwether_price: tieredPrice.price,
-        price_tier: tieredPrice.tier,
-        price_label: tieredPrice.label,
-        price_source: tieredPrice.source,
-        platform_prices: {
-          polymarket: pmCurrentPrice,
-          kalshi: kCurrentPrice,
-        },
-        robustness: {
-          cost_to_move_5c: minCost,
-          reportability,
-          raw_reportability: rawReportability,
-          weakest_platform: weakestPlatform,
-        },
-        vwap_details: {
-          window_hours: tieredPrice.window_hours,
-          trade_count: tieredPrice.trade_count,
-          total_volume: tieredPrice.total_volume,
-        },
-        orderbook_midpoint: computeOrderbookMidpoint(
-          [...pmBids, ...kBids].sort((a, b) => b.price - a.price),
-          [...pmAsks, ...kAsks].sort((a, b) => a.price - b.price)
-        ),
-        fetched_at: new Date().toISOString(),
-      };
+  async fetch(request) {
+    const { limits, cost } = await request.json();
+    const result = takeToken(this.bucket, limits, cost);
+    this.bucket = result.bucket;
+    return new Response(JSON.stringify(result));
+  }
+}
 
-      return new Response(JSON.stringify(combined), { headers: corsHeaders });
-    }
+// Without a RATE_LIMITER binding, buckets are per isolate
+const isolateLimiter = createMemoryLimiter();
 
-    // Legacy endpoint support
-    const legacyMatch = url.pathname.match(/^\/metrics\/(.+)$/);
-    if (legacyMatch) {
-      const tokenId = legacyMatch[1];
-      const metrics = await getMarketMetrics("polymarket", tokenId, apiKey, kv);
+async function takeRateLimitToken(env, client, cost) {
+  if (!env.RATE_LIMITER) {
+    return isolateLimiter.take(client.id, client.limits, cost);
+  }
 
-      if (!metrics) {
-        return new Response(
-          JSON.stringify({ error: "Market not found" }),
-          { status: 404, headers: corsHeaders }
-        );
+  try {
+    const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(client.id));
+    const response = await stub.fetch("https://rate-limiter/take", {
+      method: "POST",
+      body: JSON.stringify({ limits: client.limits, cost }),
+    });
+    return await response.json();
+  } catch (err) {
+    // Fail open: a limiter outage shouldn't take the API down
+    logger.error("rate_limiter_error", { client: client.id, error: err });
+    return { allowed: true, remaining: null, retry_after: 0 };
+  }
+}
+
+// =============================================================================
+// LIVE STREAM HELPERS
+// =============================================================================
+
+function getStreamStub(env) {
+  if (!env.METRICS_STREAM) return null;
+  return env.METRICS_STREAM.get(env.METRICS_STREAM.idFromName("global"));
+}
+
+// Collects stream payloads during a request or cron run
+function createStreamPublisher(env) {
+  const events = [];
+
+  return {
+    add: (spec, metrics) => events.push(streamPayload(spec, metrics)),
+    async flush() {
+      const stub = getStreamStub(env);
+      if (!stub || events.length === 0) return;
+
+      try {
+        await stub.fetch("https://metrics-stream/publish", {
+          method: "POST",
+          body: JSON.stringify({ events: events.splice(0) }),
+        });
+      } catch (err) {
+        logger.error("stream_publish_error", { error: err });
       }
+    },
+  };
+}
+
+// =============================================================================
+// ENTRY POINTS (Cloudflare Workers format)
+// =============================================================================
 
-      return new Response(JSON.stringify(metrics), { headers: corsHeaders });
+export default {
+  async fetch(request, env, ctx) {
+    const requestId = requestIdFor(request);
+    const log = logger.child({ request_id: requestId });
+    const stream = createStreamPublisher(env);
+    const runtime = createWorkerRuntime(env, stream, log);
+    const url = new URL(request.url);
+    const started = Date.now();
+
+    let response;
+    try {
+      response = await handleRequest(request, env, runtime);
+    } catch (err) {
+      log.error("request_error", { method: request.method, path: url.pathname, error: err });
+      response = new Response(
+        JSON.stringify({ error: "Internal error", request_id: requestId }),
+        { status: 500, headers: { "Content-Type": "application/json" } }
+      );
+    } finally {
+      ctx.waitUntil(stream.flush());
     }
 
-    return new Response(
-      JSON.stringify({
-        error: "Not found",
-        available_endpoints: ["/", "/health", "/api/metrics/:platform/:token_id", "/api/metrics/combined"]
-      }),
-      { status: 404, headers: corsHeaders }
-    );
+    serverStats.recordRequest(response.status);
+    log.info("request", { method: request.method, path: url.pathname, status: response.status, duration_ms: Date.now() - started });
+
+    // Copy so headers of responses passed through from Durable Objects are mutable
+    const tagged = new Response(response.body, response);
+    tagged.headers.set("X-Request-Id", requestId);
+    return tagged;
+  },
+
+  // Cron trigger - snapshot tracked markets for /api/history, evaluate alerts
+  async scheduled(event, env, ctx) {
+    const stream = createStreamPublisher(env);
+    const runtime = createWorkerRuntime(env, stream, logger.child({ cron: event.cron }), { track: false });
+
+    ctx.waitUntil((async () => {
+      await snapshotTrackedMarkets(runtime, env.BELLWETHER_KV || null);
+      await evaluateAlerts(runtime, env.BELLWETHER_KV || null);
+      await stream.flush();
+    })());
   },
 };
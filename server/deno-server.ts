@@ -1,6 +1,21 @@
 /**
  * Bellwether Live Data Server (Deno Deploy - Serverless version)
  *
+ * Pricing lives in pricing-core.js, shared with the Cloudflare Worker, so
+ * both servers return identical payloads for identical inputs.
+ *
+ * /api/stream subscribers are held in-process (see metrics-stream.js), so
+ * they only see metrics recomputed by the same isolate.
+ *
+ * /api routes need a client API key or an allowlisted browser origin and
+ * are rate limited per client, as on the Worker (see auth.js). Keys live in
+ * Deno KV and are issued through the admin-only /api/keys; buckets are held
+ * in-process. BELLWETHER_OPEN=1 turns the checks off for local development.
+ *
+ * Logs are structured JSON lines tagged with the request id (returned as
+ * X-Request-Id); /api/metrics/server reports upstream latency, error rates
+ * and cache hit ratios since the process started (see observability.js).
+ *
  * Tiered Pricing System:
  * - Tier 1: 6h VWAP (10+ trades) - Full reportability
  * - Tier 2: 12h/24h VWAP (10+ trades) - Reportability downgraded one level
@@ -10,653 +25,444 @@
  * Deploy: https://dash.deno.com
  */
 
+import {
+  CONFIG,
+  PRICE_TIERS,
+  applyConfigOverrides,
+  createRuntime,
+  getBatchMetrics,
+  getCombinedMetrics,
+  getMarketMetrics,
+  parseRobustnessOptions,
+  scopeToRequest,
+} from "./pricing-core.js";
+import { getCombinedDepthProfile, getDepthProfile } from "./depth.js";
+import { getDivergences, parseDivergenceMarkets } from "./divergences.js";
+import { getEventMetrics } from "./events.js";
+import { describePricingMethods } from "./pricing-strategies.js";
+import { SSE_HEADERS, createStreamHub, parseStreamMarkets, streamPayload } from "./metrics-stream.js";
+import { PLATFORMS, getPlatformAdapter, parseCombinedParams, validateEventId, validateMarketId } from "./platforms.js";
+import { createServerStats, logger, requestIdFor } from "./observability.js";
+import {
+  AUTH_CONFIG,
+  createApiKey,
+  createMemoryLimiter,
+  deleteApiKey,
+  getRequestCost,
+  identifyClient,
+  listApiKeys,
+  parseAllowedOrigins,
+  parseApiKeyRequest,
+  secretsMatch,
+} from "./auth.js";
+
 // =============================================================================
 // CONFIGURATION
 // =============================================================================
 
-const DOME_API_KEY = Deno.env.get("DOME_API_KEY") || "";
-const DOME_REST_BASE = "https://api.domeapi.io/v1";
-
-const CONFIG = {
-  cache_ttl_ms: 300000, // 5 minutes cache TTL (reduced API calls)
-  min_trades_for_vwap: 10, // Minimum trades needed for reliable VWAP
-  vwap_windows: [6, 12, 24], // Hours to try for VWAP (in order)
-};
+applyConfigOverrides(Deno.env.toObject());
 
 // Use Deno KV for persistent caching
 const kv = await Deno.openKv();
 
-// =============================================================================
-// TYPES
-// =============================================================================
+const allowedOrigins = parseAllowedOrigins(Deno.env.get("ALLOWED_ORIGINS"));
+const adminToken = Deno.env.get("ADMIN_TOKEN") || "";
+const openAccess = Deno.env.get("BELLWETHER_OPEN") === "1";
+const limiter = createMemoryLimiter();
 
-interface OrderbookLevel {
-  price: number;
-  size: number;
+if (openAccess) {
+  logger.warn("open_access", { hint: "BELLWETHER_OPEN=1: /api routes need no key and are not rate limited" });
 }
 
-interface Trade {
-  price: number;
-  size: number;
-  timestamp: number;
-}
+// =============================================================================
+// RUNTIME (Deno KV adapter for pricing-core.js)
+// =============================================================================
 
-type Reportability = "reportable" | "caution" | "fragile";
-type PriceTier = 1 | 2 | 3 | 4;
-
-interface TieredPriceResult {
-  tier: PriceTier;
-  price: number | null;
-  label: string;
-  window_hours: number | null;
-  trade_count: number;
-  total_volume: number;
-  source: "6h_vwap" | "12h_vwap" | "24h_vwap" | "orderbook_midpoint" | "stale_vwap";
+interface Store {
+  get(key: string): Promise<unknown>;
+  put(key: string, value: unknown, ttlSeconds?: number): Promise<void>;
 }
 
-interface RobustnessResult {
-  cost_to_move_5c: number | null;
-  reportability: Reportability;
-  raw_reportability: Reportability; // Before tier adjustment
+function createDenoStore(kv: Deno.Kv): Store {
+  return {
+    get: async (key) => (await kv.get(["bellwether", key])).value ?? null,
+    put: async (key, value, ttlSeconds) => {
+      await kv.set(["bellwether", key], value, ttlSeconds ? { expireIn: ttlSeconds * 1000 } : undefined);
+    },
+  };
 }
 
-interface MarketMetrics {
-  token_id: string;
-  platform: string;
-  bellwether_price: number | null;
-  price_tier: PriceTier;
-  price_label: string;
-  price_source: string;
-  current_price: number | null;
-  robustness: RobustnessResult;
-  vwap_details: {
-    window_hours: number | null;
-    trade_count: number;
-    total_volume: number;
+// The subset of the KV namespace API auth.js uses, over Deno KV. Values
+// arrive as JSON text and are stored parsed.
+function createAuthKV(kv: Deno.Kv) {
+  return {
+    get: async (key: string) => (await kv.get(["auth", key])).value ?? null,
+    put: async (key: string, value: string) => {
+      await kv.set(["auth", key], JSON.parse(value));
+    },
+    delete: async (key: string) => {
+      await kv.delete(["auth", key]);
+    },
+    list: async ({ prefix = "" }: { prefix?: string } = {}) => {
+      const keys = [];
+      for await (const entry of kv.list({ prefix: ["auth"] })) {
+        const name = String(entry.key[1]);
+        if (name.startsWith(prefix)) keys.push({ name });
+      }
+      return { keys, list_complete: true };
+    },
   };
-  orderbook_midpoint: number | null;
-  fetched_at: string;
-  cached: boolean;
 }
 
-interface StaleVWAP {
-  price: number;
-  window_hours: number;
-  trade_count: number;
-  stored_at: string;
-}
+const authKV = createAuthKV(kv);
+
+const streamHub = createStreamHub();
+const serverStats = createServerStats({ scope: "process" });
+
+const serverRuntime = createRuntime({
+  apiKey: Deno.env.get("DOME_API_KEY") || "",
+  store: createDenoStore(kv),
+  domeBaseUrl: Deno.env.get("DOME_API_BASE") || undefined,
+  venues: {
+    exchange: {
+      baseUrl: Deno.env.get("EXCHANGE_API_BASE") || "",
+      apiKey: Deno.env.get("EXCHANGE_API_KEY") || "",
+      contractValue: Deno.env.get("EXCHANGE_CONTRACT_VALUE") || 1,
+      priceUnit: Deno.env.get("EXCHANGE_PRICE_UNIT") || "dollars",
+      takerFeeRate: Deno.env.get("EXCHANGE_TAKER_FEE_RATE") || 0,
+    },
+  },
+  onMetrics: (spec: object, metrics: object) => {
+    streamHub.publish(streamPayload(spec, metrics));
+  },
+  stats: serverStats,
+});
 
 // =============================================================================
-// DOME API FUNCTIONS
+// HTTP HANDLER
 // =============================================================================
 
-async function fetchOrderbook(platform: string, tokenId: string): Promise<OrderbookLevel[][] | null> {
-  if (!DOME_API_KEY) {
-    console.error("No DOME_API_KEY set");
-    return null;
-  }
+async function handleRequest(request: Request, runtime: ReturnType<typeof scopeToRequest>, clientIp: string | null): Promise<Response> {
+  const url = new URL(request.url);
 
-  const params = new URLSearchParams();
+  // Browsers only get CORS access from allowlisted origins
+  const origin = request.headers.get("Origin");
+  const corsHeaders: Record<string, string> = {
+    ...(openAccess ? { "Access-Control-Allow-Origin": "*" } : {}),
+    ...(!openAccess && origin && allowedOrigins.has(origin) ? { "Access-Control-Allow-Origin": origin } : {}),
+    "Vary": "Origin",
+    "Access-Control-Allow-Methods": "GET, POST, DELETE, OPTIONS",
+    "Access-Control-Allow-Headers": `Content-Type, ${AUTH_CONFIG.key_header}`,
+    "Access-Control-Expose-Headers": "Retry-After, X-RateLimit-Remaining, X-Request-Id",
+    "Content-Type": "application/json",
+  };
 
-  if (platform === "kalshi") {
-    params.set("ticker", tokenId);
-  } else {
-    params.set("token_id", tokenId);
+  if (request.method === "OPTIONS") {
+    return new Response(null, { headers: corsHeaders });
   }
 
-  const endpoint = platform === "kalshi"
-    ? `${DOME_REST_BASE}/kalshi/orderbooks?${params}`
-    : `${DOME_REST_BASE}/polymarket/orderbooks?${params}`;
-
-  try {
-    const response = await fetch(endpoint, {
-      headers: { Authorization: `Bearer ${DOME_API_KEY}` },
-    });
+  // GET /health
+  if (url.pathname === "/health") {
+    return new Response(
+      JSON.stringify({
+        status: "ok",
+        mode: "serverless",
+        cache_ttl_seconds: CONFIG.cache_ttl_ms / 1000,
+        dome_cache_ttl_seconds: CONFIG.dome_cache_ttl_seconds,
+        trades_max_pages: CONFIG.trades_max_pages,
+        dome_api_configured: !!runtime.apiKey,
+        platforms_configured: Object.fromEntries(
+          PLATFORMS.map(platform => [platform, !!getPlatformAdapter(platform).source(runtime)])
+        ),
+        kv_configured: true,
+        auth_enforced: !openAccess,
+        admin_configured: !!adminToken,
+        allowed_origins: [...allowedOrigins],
+        min_trades_for_vwap: CONFIG.min_trades_for_vwap,
+        vwap_windows: CONFIG.vwap_windows,
+        move_size: CONFIG.move_size,
+        cost_curve_moves: CONFIG.cost_curve_moves,
+        reportability_thresholds: CONFIG.reportability_thresholds,
+      }),
+      { headers: corsHeaders }
+    );
+  }
 
-    if (!response.ok) {
-      const text = await response.text();
-      console.error(`Orderbook fetch failed: ${response.status} - ${text}`);
-      return null;
-    }
+  // GET / - Basic info
+  if (url.pathname === "/") {
+    return new Response(
+      JSON.stringify({
+        name: "Bellwether Live Data Server",
+        version: "3.1.0-deno",
+        description: "Tiered pricing: 6h VWAP → 12h/24h VWAP → Orderbook midpoint → Stale VWAP",
+        endpoints: {
+          "/health": "Server health check",
+          "/api/metrics/server": "Upstream latency (p50/p95), status counts and error rates, and cache hit ratios since the server started",
+          "/api/metrics/:platform/:token_id": "Get tiered price + robustness and market status for a single-platform market, or its settlement once resolved (query: move, target, size, method)",
+          "/api/metrics/combined": "Get cross-platform tiered price + min robustness (query: legs=platform:token_id,... or pm_token, k_ticker; move, target, size, method)",
+          "POST /api/metrics/batch": "Get metrics for many markets at once (body: { markets: [...] })",
+          "/api/divergences": "Live cross-platform divergences and arbitrage (query: markets=polymarket:<token_id>|kalshi:<ticker>,...)",
+          "/api/depth/:platform/:token_id": "Cumulative depth in 1¢ buckets, notional within ±2/5/10¢ of mid, spread and imbalance for one book",
+          "/api/depth/combined": "Depth profile of each venue's book and of the books merged (query: legs=platform:token_id,... or pm_token, k_ticker)",
+          "/api/events/:platform/:event_id": "Per-outcome prices, overround, normalized distribution and cost to dethrone the leader for a multi-outcome event",
+          "/api/stream": "Server-Sent Events with updated metrics for subscribed markets (query: markets=polymarket:<token_id>,kalshi:<ticker>,polymarket:<token_id>|kalshi:<ticker>)",
+          "/api/keys": "Issue (POST), list (GET) or revoke (DELETE /api/keys/:id) client API keys; admin token only",
+        },
+        authentication: openAccess
+          ? "Open (BELLWETHER_OPEN=1)"
+          : `/api routes need an ${AUTH_CONFIG.key_header} header or an allowlisted browser origin`,
+        platforms: PLATFORMS,
+        price_tiers: PRICE_TIERS,
+        pricing_methods: describePricingMethods(),
+      }),
+      { headers: corsHeaders }
+    );
+  }
 
-    const data = await response.json();
+  // GET/POST /api/keys, DELETE /api/keys/:id - Client API keys (admin token only)
+  const keysMatch = url.pathname.match(/^\/api\/keys(?:\/([^/]+))?$/);
+  if (keysMatch) {
+    const keyId = keysMatch[1];
 
-    const snapshots = data.snapshots || data.data || (Array.isArray(data) ? data : []);
-    if (snapshots.length === 0) {
-      console.error("No orderbook snapshots returned");
-      return null;
+    if (!adminToken) {
+      return new Response(
+        JSON.stringify({ error: "Key management disabled", hint: "Set ADMIN_TOKEN" }),
+        { status: 403, headers: corsHeaders }
+      );
+    }
+    if (!secretsMatch(request.headers.get("Authorization") || "", `Bearer ${adminToken}`)) {
+      return new Response(
+        JSON.stringify({ error: "Unauthorized", hint: "Send Authorization: Bearer <ADMIN_TOKEN>" }),
+        { status: 401, headers: corsHeaders }
+      );
     }
 
-    const latestSnapshot = snapshots[0];
-
-    const bids: OrderbookLevel[] = [];
-    const asks: OrderbookLevel[] = [];
+    if (!keyId && request.method === "GET") {
+      return new Response(JSON.stringify({ keys: await listApiKeys(authKV) }), { headers: corsHeaders });
+    }
 
-    if (platform === "kalshi" && latestSnapshot.orderbook) {
-      const yesAsks = latestSnapshot.orderbook.yes_dollars || [];
-      for (const [priceStr, qty] of yesAsks) {
-        const price = Number(priceStr);
-        const size = Number(qty);
-        if (price > 0 && size > 0) {
-          asks.push({ price, size });
-        }
-      }
-      const noBids = latestSnapshot.orderbook.no_dollars || [];
-      for (const [priceStr, qty] of noBids) {
-        const price = 1 - Number(priceStr);
-        const size = Number(qty);
-        if (price > 0 && size > 0) {
-          bids.push({ price, size });
-        }
-      }
-    } else {
-      const rawBids = latestSnapshot.bids || [];
-      const rawAsks = latestSnapshot.asks || [];
-
-      for (const bid of rawBids) {
-        const price = Number(bid.price || bid.p);
-        const size = Number(bid.size || bid.s);
-        if (price > 0 && size > 0) {
-          bids.push({ price, size });
-        }
+    if (!keyId && request.method === "POST") {
+      let body;
+      try {
+        body = await request.json();
+      } catch (_err) {
+        return new Response(
+          JSON.stringify({ error: "Invalid JSON body" }),
+          { status: 400, headers: corsHeaders }
+        );
       }
 
-      for (const ask of rawAsks) {
-        const price = Number(ask.price || ask.p);
-        const size = Number(ask.size || ask.s);
-        if (price > 0 && size > 0) {
-          asks.push({ price, size });
-        }
+      const parsed = parseApiKeyRequest(body);
+      if (parsed.error) {
+        return new Response(
+          JSON.stringify({ error: "Invalid parameters", hint: parsed.error }),
+          { status: 400, headers: corsHeaders }
+        );
       }
-    }
-
-    bids.sort((a, b) => b.price - a.price);
-    asks.sort((a, b) => a.price - b.price);
-
-    return [bids, asks];
-  } catch (err) {
-    console.error(`Orderbook fetch error: ${err}`);
-    return null;
-  }
-}
-
-async function fetchTrades(platform: string, tokenId: string, windowHours: number): Promise<Trade[]> {
-  if (!DOME_API_KEY) return [];
-
-  const nowSec = Math.floor(Date.now() / 1000);
-  const startSec = nowSec - (windowHours * 60 * 60);
-
-  let endpoint: string;
-  const params = new URLSearchParams();
-
-  if (platform === "kalshi") {
-    params.set("ticker", tokenId);
-    params.set("start_time", startSec.toString());
-    params.set("end_time", nowSec.toString());
-    endpoint = `${DOME_REST_BASE}/kalshi/trades?${params}`;
-  } else {
-    params.set("token_id", tokenId);
-    params.set("start_time", startSec.toString());
-    params.set("end_time", nowSec.toString());
-    endpoint = `${DOME_REST_BASE}/polymarket/orders?${params}`;
-  }
 
-  try {
-    const response = await fetch(endpoint, {
-      headers: { Authorization: `Bearer ${DOME_API_KEY}` },
-    });
-
-    if (!response.ok) {
-      console.log(`Trades fetch returned ${response.status}, using empty trades`);
-      return [];
+      // The plaintext key is only ever returned here
+      return new Response(JSON.stringify(await createApiKey(authKV, parsed.fields)), { status: 201, headers: corsHeaders });
     }
 
-    const data = await response.json();
-    const trades: Trade[] = [];
-
-    const tradeList = Array.isArray(data) ? data : (data.trades || data.orders || data.data || []);
-
-    const startMs = startSec * 1000;
-
-    for (const trade of tradeList) {
-      const price = Number(trade.price || trade.p || trade.yes_price_dollars);
-      const size = Number(trade.size || trade.amount || trade.s || trade.count || 1);
-      let timestamp = Number(trade.timestamp || trade.t || trade.time || trade.created_at || trade.created_time);
-
-      if (timestamp < 1e12) {
-        timestamp = timestamp * 1000;
-      }
-
-      if (price > 0 && timestamp >= startMs) {
-        trades.push({ price, size, timestamp });
+    if (keyId && request.method === "DELETE") {
+      if (!(await deleteApiKey(authKV, keyId))) {
+        return new Response(JSON.stringify({ error: "API key not found" }), { status: 404, headers: corsHeaders });
       }
+      return new Response(JSON.stringify({ deleted: keyId }), { headers: corsHeaders });
     }
 
-    return trades;
-  } catch (err) {
-    console.error(`Trades fetch error: ${err}`);
-    return [];
-  }
-}
-
-// =============================================================================
-// CALCULATION FUNCTIONS
-// =============================================================================
-
-function computeVWAP(trades: Trade[]): { vwap: number | null; trade_count: number; total_volume: number } {
-  if (trades.length === 0) {
-    return { vwap: null, trade_count: 0, total_volume: 0 };
-  }
-
-  let sumPriceVolume = 0;
-  let sumVolume = 0;
-
-  for (const trade of trades) {
-    sumPriceVolume += trade.price * trade.size;
-    sumVolume += trade.size;
+    return new Response(
+      JSON.stringify({ error: "Method not allowed", hint: "GET or POST /api/keys, DELETE /api/keys/:id" }),
+      { status: 405, headers: corsHeaders }
+    );
   }
 
-  return {
-    vwap: sumVolume > 0 ? Math.round((sumPriceVolume / sumVolume) * 10000) / 10000 : null,
-    trade_count: trades.length,
-    total_volume: Math.round(sumVolume),
-  };
-}
-
-function computeCostToMove5Cents(asks: OrderbookLevel[]): number | null {
-  if (asks.length === 0) return null;
-
-  const startingPrice = asks[0].price;
-  const targetPrice = startingPrice + 0.05;
-
-  let spent = 0;
+  // Everything below needs a client API key or an allowlisted browser origin
+  if (!openAccess) {
+    const access = await identifyClient(request, authKV, allowedOrigins, clientIp);
+    if (!access.client) {
+      return new Response(
+        JSON.stringify({ error: access.error, hint: access.hint }),
+        { status: access.status, headers: corsHeaders }
+      );
+    }
+    const client = access.client;
 
-  for (const ask of asks) {
-    if (ask.price >= targetPrice) {
-      return Math.round(spent);
+    const limit = await limiter.take(client.id, client.limits, await getRequestCost(request, url));
+    if (!limit.allowed) {
+      const tooLarge = limit.retry_after === null;
+      return new Response(
+        JSON.stringify({
+          error: "Rate limit exceeded",
+          hint: tooLarge
+            ? `This request costs more than your burst of ${client.limits.burst}; split it up`
+            : `Retry in ${limit.retry_after}s (limit ${client.limits.rate_per_minute}/min)`,
+        }),
+        {
+          status: 429,
+          headers: { ...corsHeaders, ...(tooLarge ? {} : { "Retry-After": String(limit.retry_after) }) },
+        }
+      );
     }
-    const levelCost = ask.price * ask.size;
-    spent += levelCost;
+    corsHeaders["X-RateLimit-Remaining"] = String(limit.remaining);
   }
 
-  return null;
-}
-
-function computeOrderbookMidpoint(bids: OrderbookLevel[], asks: OrderbookLevel[]): number | null {
-  if (bids.length === 0 || asks.length === 0) return null;
-  const bestBid = bids[0].price;
-  const bestAsk = asks[0].price;
-  return Math.round(((bestBid + bestAsk) / 2) * 10000) / 10000;
-}
-
-function getBaseReportability(costToMove5c: number | null): Reportability {
-  if (costToMove5c === null || costToMove5c < 10000) return "fragile";
-  if (costToMove5c < 100000) return "caution";
-  return "reportable";
-}
-
-function downgradeReportability(r: Reportability): Reportability {
-  if (r === "reportable") return "caution";
-  if (r === "caution") return "fragile";
-  return "fragile";
-}
-
-function capReportability(r: Reportability, maxLevel: Reportability): Reportability {
-  const levels: Reportability[] = ["fragile", "caution", "reportable"];
-  const currentIdx = levels.indexOf(r);
-  const maxIdx = levels.indexOf(maxLevel);
-  return levels[Math.min(currentIdx, maxIdx)];
-}
-
-// =============================================================================
-// TIERED PRICE CALCULATION
-// =============================================================================
+  // POST /api/metrics/batch - Many single- and cross-platform markets in one request
+  if (url.pathname === "/api/metrics/batch") {
+    if (request.method !== "POST") {
+      return new Response(
+        JSON.stringify({ error: "Method not allowed", hint: "Use POST with a JSON body" }),
+        { status: 405, headers: corsHeaders }
+      );
+    }
 
-async function computeTieredPrice(
-  platform: string,
-  tokenId: string,
-  bids: OrderbookLevel[],
-  asks: OrderbookLevel[]
-): Promise<TieredPriceResult> {
-  // Fetch 24h trades once, then filter for smaller windows in memory
-  const allTrades = await fetchTrades(platform, tokenId, 24);
-  const now = Date.now();
-
-  // Try progressively larger windows by filtering the same trade data
-  for (const windowHours of CONFIG.vwap_windows) {
-    const cutoff = now - (windowHours * 60 * 60 * 1000);
-    const windowTrades = allTrades.filter(t => t.timestamp >= cutoff);
-    const vwapResult = computeVWAP(windowTrades);
-
-    if (vwapResult.trade_count >= CONFIG.min_trades_for_vwap) {
-      // Success! Store this as the last known good VWAP
-      await storeLastVWAP(tokenId, vwapResult.vwap!, windowHours, vwapResult.trade_count);
-
-      const tier: PriceTier = windowHours === 6 ? 1 : 2;
-      const source = windowHours === 6 ? "6h_vwap" : (windowHours === 12 ? "12h_vwap" : "24h_vwap");
-      const label = `${windowHours}h VWAP`;
-
-      return {
-        tier,
-        price: vwapResult.vwap,
-        label,
-        window_hours: windowHours,
-        trade_count: vwapResult.trade_count,
-        total_volume: vwapResult.total_volume,
-        source,
-      };
+    let body;
+    try {
+      body = await request.json();
+    } catch (_err) {
+      return new Response(
+        JSON.stringify({ error: "Invalid JSON body" }),
+        { status: 400, headers: corsHeaders }
+      );
     }
-  }
 
-  // Tier 3: No sufficient trades even in 24h - try orderbook midpoint
-  const midpoint = computeOrderbookMidpoint(bids, asks);
-  if (midpoint !== null) {
-    return {
-      tier: 3,
-      price: midpoint,
-      label: "Order book midpoint",
-      window_hours: null,
-      trade_count: 0,
-      total_volume: 0,
-      source: "orderbook_midpoint",
-    };
-  }
+    const batch = await getBatchMetrics(runtime, body?.markets);
+    if (batch.error) {
+      return new Response(JSON.stringify(batch), { status: 400, headers: corsHeaders });
+    }
 
-  // Tier 4: No orderbook either - use stale VWAP if available
-  const stale = await getLastVWAP(tokenId);
-  if (stale) {
-    return {
-      tier: 4,
-      price: stale.price,
-      label: "Last VWAP (stale)",
-      window_hours: stale.window_hours,
-      trade_count: stale.trade_count,
-      total_volume: 0,
-      source: "stale_vwap",
-    };
+    return new Response(JSON.stringify(batch), { headers: corsHeaders });
   }
 
-  // No data at all
-  return {
-    tier: 4,
-    price: null,
-    label: "No data",
-    window_hours: null,
-    trade_count: 0,
-    total_volume: 0,
-    source: "stale_vwap",
-  };
-}
+  // GET /api/divergences?markets=... - Live cross-platform spreads and arbitrage
+  // (no stored history here, so persistence is null)
+  if (url.pathname === "/api/divergences") {
+    const { markets, error } = parseDivergenceMarkets(url.searchParams.get("markets"));
+    if (error) {
+      return new Response(
+        JSON.stringify({ error: "Invalid parameters", hint: error }),
+        { status: 400, headers: corsHeaders }
+      );
+    }
 
-async function computeCrossplatformTieredPrice(
-  pmToken: string | null,
-  kTicker: string | null,
-  pmBids: OrderbookLevel[],
-  pmAsks: OrderbookLevel[],
-  kBids: OrderbookLevel[],
-  kAsks: OrderbookLevel[]
-): Promise<TieredPriceResult> {
-  // Combine orderbooks for midpoint calculation
-  const allBids = [...pmBids, ...kBids].sort((a, b) => b.price - a.price);
-  const allAsks = [...pmAsks, ...kAsks].sort((a, b) => a.price - b.price);
-
-  const cacheKey = `${pmToken || ""}_${kTicker || ""}`;
-
-  // Fetch 24h trades once from each platform, then filter for smaller windows
-  const allTrades: Trade[] = [];
-  if (pmToken) {
-    const pmTrades = await fetchTrades("polymarket", pmToken, 24);
-    allTrades.push(...pmTrades);
-  }
-  if (kTicker) {
-    const kTrades = await fetchTrades("kalshi", kTicker, 24);
-    allTrades.push(...kTrades);
+    return new Response(JSON.stringify(await getDivergences(runtime, markets)), { headers: corsHeaders });
   }
 
-  const now = Date.now();
-
-  // Try progressively larger windows by filtering the same trade data
-  for (const windowHours of CONFIG.vwap_windows) {
-    const cutoff = now - (windowHours * 60 * 60 * 1000);
-    const windowTrades = allTrades.filter(t => t.timestamp >= cutoff);
-    const vwapResult = computeVWAP(windowTrades);
-
-    if (vwapResult.trade_count >= CONFIG.min_trades_for_vwap) {
-      await storeLastVWAP(cacheKey, vwapResult.vwap!, windowHours, vwapResult.trade_count);
-
-      const tier: PriceTier = windowHours === 6 ? 1 : 2;
-      const source = windowHours === 6 ? "6h_vwap" : (windowHours === 12 ? "12h_vwap" : "24h_vwap");
-      const label = `${windowHours}h VWAP across platforms`;
-
-      return {
-        tier,
-        price: vwapResult.vwap,
-        label,
-        window_hours: windowHours,
-        trade_count: vwapResult.trade_count,
-        total_volume: vwapResult.total_volume,
-        source,
-      };
+  // GET /api/stream?markets=... - SSE metrics updates for subscribed markets
+  if (url.pathname === "/api/stream") {
+    const { keys, error } = parseStreamMarkets(url.searchParams.get("markets"));
+    if (error) {
+      return new Response(
+        JSON.stringify({ error: "Invalid parameters", hint: error }),
+        { status: 400, headers: corsHeaders }
+      );
     }
-  }
 
-  // Tier 3: Orderbook midpoint
-  const midpoint = computeOrderbookMidpoint(allBids, allAsks);
-  if (midpoint !== null) {
-    return {
-      tier: 3,
-      price: midpoint,
-      label: "Order book midpoint",
-      window_hours: null,
-      trade_count: 0,
-      total_volume: 0,
-      source: "orderbook_midpoint",
-    };
-  }
-
-  // Tier 4: Stale VWAP
-  const stale = await getLastVWAP(cacheKey);
-  if (stale) {
-    return {
-      tier: 4,
-      price: stale.price,
-      label: "Last VWAP (stale)",
-      window_hours: stale.window_hours,
-      trade_count: stale.trade_count,
-      total_volume: 0,
-      source: "stale_vwap",
-    };
+    return new Response(streamHub.subscribe(keys, request.signal), {
+      headers: { ...SSE_HEADERS, ...corsHeaders, "Content-Type": SSE_HEADERS["Content-Type"] },
+    });
   }
 
-  return {
-    tier: 4,
-    price: null,
-    label: "No data",
-    window_hours: null,
-    trade_count: 0,
-    total_volume: 0,
-    source: "stale_vwap",
-  };
-}
-
-// =============================================================================
-// STALE VWAP STORAGE
-// =============================================================================
-
-async function storeLastVWAP(key: string, price: number, windowHours: number, tradeCount: number): Promise<void> {
-  const stale: StaleVWAP = {
-    price,
-    window_hours: windowHours,
-    trade_count: tradeCount,
-    stored_at: new Date().toISOString(),
-  };
-  // Store indefinitely (no expiration) - this is the last known good value
-  await kv.set(["stale_vwap", key], stale);
-}
-
-async function getLastVWAP(key: string): Promise<StaleVWAP | null> {
-  const result = await kv.get<StaleVWAP>(["stale_vwap", key]);
-  return result.value || null;
-}
-
-// =============================================================================
-// CACHE FUNCTIONS
-// =============================================================================
-
-async function getCachedMetrics(tokenId: string): Promise<MarketMetrics | null> {
-  const result = await kv.get<MarketMetrics>(["metrics", tokenId]);
-
-  if (!result.value) return null;
+  // GET /api/depth/combined - Each venue's depth profile and the books merged
+  if (url.pathname === "/api/depth/combined") {
+    const { legs, error } = parseCombinedParams(url.searchParams);
+    if (error) {
+      return new Response(
+        JSON.stringify({ error: "Invalid parameters", hint: `${error}. Provide legs=platform:token_id,...` }),
+        { status: 400, headers: corsHeaders }
+      );
+    }
 
-  const fetchedAt = new Date(result.value.fetched_at).getTime();
-  if (Date.now() - fetchedAt > CONFIG.cache_ttl_ms) {
-    return null;
+    return new Response(JSON.stringify(await getCombinedDepthProfile(runtime, legs)), { headers: corsHeaders });
   }
 
-  return { ...result.value, cached: true };
-}
-
-async function cacheMetrics(tokenId: string, metrics: MarketMetrics): Promise<void> {
-  await kv.set(["metrics", tokenId], metrics, { expireIn: CONFIG.cache_ttl_ms });
-}
+  // GET /api/depth/:platform/:token_id - Depth buckets, notional near mid, spread, imbalance
+  const depthMatch = url.pathname.match(/^\/api\/depth\/([a-z]+)\/(.+)$/);
+  if (depthMatch && getPlatformAdapter(depthMatch[1])) {
+    const platform = depthMatch[1];
+    const tokenId = depthMatch[2];
 
-// =============================================================================
-// MAIN FETCH FUNCTION
-// =============================================================================
-
-async function getMarketMetrics(platform: string, tokenId: string): Promise<MarketMetrics | null> {
-  const cached = await getCachedMetrics(tokenId);
-  if (cached) {
-    return cached;
-  }
-
-  const orderbook = await fetchOrderbook(platform, tokenId);
-  if (!orderbook) {
-    return null;
-  }
+    const invalid = validateMarketId(platform, tokenId);
+    if (invalid) {
+      return new Response(
+        JSON.stringify({ error: "Invalid parameters", hint: invalid }),
+        { status: 400, headers: corsHeaders }
+      );
+    }
 
-  const [bids, asks] = orderbook;
-
-  // Compute tiered price
-  const tieredPrice = await computeTieredPrice(platform, tokenId, bids, asks);
-
-  // Compute robustness
-  const costToMove5c = computeCostToMove5Cents(asks);
-  const rawReportability = getBaseReportability(costToMove5c);
-
-  // Adjust reportability based on tier
-  let reportability: Reportability;
-  if (tieredPrice.tier === 1) {
-    reportability = rawReportability;
-  } else if (tieredPrice.tier === 2) {
-    reportability = downgradeReportability(rawReportability);
-  } else if (tieredPrice.tier === 3) {
-    reportability = capReportability(rawReportability, "caution");
-  } else {
-    reportability = "fragile";
-  }
+    const depth = await getDepthProfile(runtime, platform, tokenId);
+    if (!depth) {
+      return new Response(
+        JSON.stringify({
+          error: "Failed to fetch orderbook",
+          hint: "Check that the token_id is valid and the platform is correct"
+        }),
+        { status: 404, headers: corsHeaders }
+      );
+    }
 
-  // Get current price (most recent trade in any window)
-  const recentTrades = await fetchTrades(platform, tokenId, 24);
-  let currentPrice: number | null = null;
-  if (recentTrades.length > 0) {
-    const sortedTrades = [...recentTrades].sort((a, b) => b.timestamp - a.timestamp);
-    currentPrice = sortedTrades[0].price;
+    return new Response(JSON.stringify(depth), { headers: corsHeaders });
   }
 
-  const midpoint = computeOrderbookMidpoint(bids, asks);
-
-  const metrics: MarketMetrics = {
-    token_id: tokenId,
-    platform,
-    bellwether_price: tieredPrice.price,
-    price_tier: tieredPrice.tier,
-    price_label: tieredPrice.label,
-    price_source: tieredPrice.source,
-    current_price: currentPrice,
-    robustness: {
-      cost_to_move_5c: costToMove5c,
-      reportability,
-      raw_reportability: rawReportability,
-    },
-    vwap_details: {
-      window_hours: tieredPrice.window_hours,
-      trade_count: tieredPrice.trade_count,
-      total_volume: tieredPrice.total_volume,
-    },
-    orderbook_midpoint: midpoint,
-    fetched_at: new Date().toISOString(),
-    cached: false,
-  };
-
-  await cacheMetrics(tokenId, metrics);
+  // GET /api/events/:platform/:event_id - Every outcome of a multi-outcome event
+  const eventMatch = url.pathname.match(/^\/api\/events\/([a-z]+)\/(.+)$/);
+  if (eventMatch && getPlatformAdapter(eventMatch[1])) {
+    const platform = eventMatch[1];
+    const eventId = eventMatch[2];
 
-  return metrics;
-}
-
-// =============================================================================
-// HTTP HANDLER
-// =============================================================================
-
-async function handleRequest(request: Request): Promise<Response> {
-  const url = new URL(request.url);
-
-  const corsHeaders = {
-    "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Methods": "GET, OPTIONS",
-    "Access-Control-Allow-Headers": "Content-Type",
-    "Content-Type": "application/json",
-  };
+    const invalid = validateEventId(platform, eventId);
+    if (invalid) {
+      return new Response(
+        JSON.stringify({ error: "Invalid parameters", hint: invalid }),
+        { status: 400, headers: corsHeaders }
+      );
+    }
 
-  if (request.method === "OPTIONS") {
-    return new Response(null, { headers: corsHeaders });
-  }
+    const event = await getEventMetrics(runtime, platform, eventId);
+    if (!event) {
+      return new Response(
+        JSON.stringify({
+          error: "Failed to fetch event data",
+          hint: "Check that the event_id is valid and the platform is correct"
+        }),
+        { status: 404, headers: corsHeaders }
+      );
+    }
 
-  // GET /health
-  if (url.pathname === "/health") {
-    return new Response(
-      JSON.stringify({
-        status: "ok",
-        mode: "serverless",
-        cache_ttl_seconds: CONFIG.cache_ttl_ms / 1000,
-        dome_api_configured: !!DOME_API_KEY,
-        min_trades_for_vwap: CONFIG.min_trades_for_vwap,
-        vwap_windows: CONFIG.vwap_windows,
-      }),
-      { headers: corsHeaders }
-    );
+    return new Response(JSON.stringify(event), { headers: corsHeaders });
   }
 
-  // GET / - Basic info
-  if (url.pathname === "/") {
+  // GET /api/metrics/server - Upstream latency, error rates and cache hit ratios
+  if (url.pathname === "/api/metrics/server") {
     return new Response(
-      JSON.stringify({
-        name: "Bellwether Live Data Server",
-        version: "3.0.0-tiered",
-        description: "Tiered pricing: 6h VWAP → 12h/24h VWAP → Orderbook midpoint → Stale VWAP",
-        endpoints: {
-          "/health": "Server health check",
-          "/api/metrics/:platform/:token_id": "Get tiered price + robustness for a single-platform market",
-          "/api/metrics/combined": "Get cross-platform tiered price + min robustness (query: pm_token, k_ticker)",
-        },
-        price_tiers: {
-          1: "6h VWAP (10+ trades) - Full reportability",
-          2: "12h/24h VWAP (10+ trades) - Reportability downgraded one level",
-          3: "Order book midpoint - Capped at Caution",
-          4: "Last known VWAP (stale) - Always Fragile",
-        },
-      }),
+      JSON.stringify({ ...serverStats.snapshot(), fetched_at: new Date().toISOString() }),
       { headers: corsHeaders }
     );
   }
 
   // GET /api/metrics/:platform/:token_id
-  const metricsMatch = url.pathname.match(/^\/api\/metrics\/(polymarket|kalshi)\/(.+)$/);
-  if (metricsMatch) {
+  const metricsMatch = url.pathname.match(/^\/api\/metrics\/([a-z]+)\/(.+)$/);
+  if (metricsMatch && getPlatformAdapter(metricsMatch[1])) {
     const platform = metricsMatch[1];
     const tokenId = metricsMatch[2];
 
-    const metrics = await getMarketMetrics(platform, tokenId);
+    const invalid = validateMarketId(platform, tokenId);
+    if (invalid) {
+      return new Response(
+        JSON.stringify({ error: "Invalid parameters", hint: invalid }),
+        { status: 400, headers: corsHeaders }
+      );
+    }
+
+    const { options, error } = parseRobustnessOptions(url.searchParams);
+    if (error) {
+      return new Response(
+        JSON.stringify({ error: "Invalid parameters", hint: error }),
+        { status: 400, headers: corsHeaders }
+      );
+    }
+
+    const metrics = await getMarketMetrics(runtime, platform, tokenId, options);
 
     if (!metrics) {
       return new Response(
@@ -673,110 +479,27 @@ async function handleRequest(request: Request): Promise<Response> {
 
   // GET /api/metrics/combined - Cross-platform tiered price and min robustness
   if (url.pathname === "/api/metrics/combined") {
-    const pmToken = url.searchParams.get("pm_token");
-    const kTicker = url.searchParams.get("k_ticker");
+    const { legs, error: legsError } = parseCombinedParams(url.searchParams);
 
-    if (!pmToken && !kTicker) {
+    if (legsError) {
       return new Response(
         JSON.stringify({
-          error: "Missing parameters",
-          hint: "Provide at least one of: pm_token, k_ticker"
+          error: "Invalid parameters",
+          hint: `${legsError}. Provide legs=platform:token_id,... or at least one of: pm_token, k_ticker`
         }),
         { status: 400, headers: corsHeaders }
       );
     }
 
-    // Fetch orderbooks from both platforms in parallel
-    const [pmOrderbook, kOrderbook] = await Promise.all([
-      pmToken ? fetchOrderbook("polymarket", pmToken) : null,
-      kTicker ? fetchOrderbook("kalshi", kTicker) : null,
-    ]);
-
-    const pmBids = pmOrderbook?.[0] || [];
-    const pmAsks = pmOrderbook?.[1] || [];
-    const kBids = kOrderbook?.[0] || [];
-    const kAsks = kOrderbook?.[1] || [];
-
-    // Compute tiered price across platforms
-    const tieredPrice = await computeCrossplatformTieredPrice(
-      pmToken, kTicker, pmBids, pmAsks, kBids, kAsks
-    );
-
-    // Use minimum robustness (weakest link)
-    const pmCost = pmAsks.length > 0 ? computeCostToMove5Cents(pmAsks) : null;
-    const kCost = kAsks.length > 0 ? computeCostToMove5Cents(kAsks) : null;
-
-    let minCost: number | null = null;
-    let weakestPlatform = "unknown";
-
-    if (pmCost !== null && kCost !== null) {
-      minCost = Math.min(pmCost, kCost);
-      weakestPlatform = pmCost <= kCost ? "polymarket" : "kalshi";
-    } else if (pmCost !== null) {
-      minCost = pmCost;
-      weakestPlatform = "polymarket";
-    } else if (kCost !== null) {
-      minCost = kCost;
-      weakestPlatform = "kalshi";
-    }
-
-    const rawReportability = getBaseReportability(minCost);
-
-    // Adjust reportability based on tier
-    let reportability: Reportability;
-    if (tieredPrice.tier === 1) {
-      reportability = rawReportability;
-    } else if (tieredPrice.tier === 2) {
-      reportability = downgradeReportability(rawReportability);
-    } else if (tieredPrice.tier === 3) {
-      reportability = capReportability(rawReportability, "caution");
-    } else {
-      reportability = "fragile";
-    }
-
-    // Get current prices from each platform
-    let pmCurrentPrice: number | null = null;
-    let kCurrentPrice: number | null = null;
-
-    if (pmToken) {
-      const pmTrades = await fetchTrades("polymarket", pmToken, 24);
-      if (pmTrades.length > 0) {
-        pmCurrentPrice = [...pmTrades].sort((a, b) => b.timestamp - a.timestamp)[0].price;
-      }
-    }
-    if (kTicker) {
-      const kTrades = await fetchTrades("kalshi", kTicker, 24);
-      if (kTrades.length > 0) {
-        kCurrentPrice = [...kTrades].sort((a, b) => b.timestamp - a.timestamp)[0].price;
-      }
+    const { options, error } = parseRobustnessOptions(url.searchParams);
+    if (error) {
+      return new Response(
+        JSON.stringify({ error: "Invalid parameters", hint: error }),
+        { status: 400, headers: corsHeaders }
+      );
     }
 
-    const combined = {
-      bellwether_price: tieredPrice.price,
-      price_tier: tieredPrice.tier,
-      price_label: tieredPrice.label,
-      price_source: tieredPrice.source,
-      platform_prices: {
-        polymarket: pmCurrentPrice,
-        kalshi: kCurrentPrice,
-      },
-      robustness: {
-        cost_to_move_5c: minCost,
-        reportability,
-        raw_reportability: rawReportability,
-        weakest_platform: weakestPlatform,
-      },
-      vwap_details: {
-        window_hours: tieredPrice.window_hours,
-        trade_count: tieredPrice.trade_count,
-        total_volume: tieredPrice.total_volume,
-      },
-      orderbook_midpoint: computeOrderbookMidpoint(
-        [...pmBids, ...kBids].sort((a, b) => b.price - a.price),
-        [...pmAsks, ...kAsks].sort((a, b) => a.price - b.price)
-      ),
-      fetched_at: new Date().toISOString(),
-    };
+    const combined = await getCombinedMetrics(runtime, legs, options);
 
     return new Response(JSON.stringify(combined), { headers: corsHeaders });
   }
@@ -785,7 +508,7 @@ async function handleRequest(request: Request): Promise<Response> {
   const legacyMatch = url.pathname.match(/^\/metrics\/(.+)$/);
   if (legacyMatch) {
     const tokenId = legacyMatch[1];
-    const metrics = await getMarketMetrics("polymarket", tokenId);
+    const metrics = await getMarketMetrics(runtime, "polymarket", tokenId);
 
     if (!metrics) {
       return new Response(
@@ -800,11 +523,37 @@ async function handleRequest(request: Request): Promise<Response> {
   return new Response(
     JSON.stringify({
       error: "Not found",
-      available_endpoints: ["/", "/health", "/api/metrics/:platform/:token_id", "/api/metrics/combined"]
+      available_endpoints: ["/", "/health", "/api/metrics/:platform/:token_id", "/api/metrics/combined", "/api/metrics/batch", "/api/metrics/server", "/api/divergences", "/api/depth/:platform/:token_id", "/api/depth/combined", "/api/events/:platform/:event_id", "/api/stream"]
     }),
     { status: 404, headers: corsHeaders }
   );
 }
 
+// One request: a runtime scoped to it, a request log line and X-Request-Id
+async function serve(request: Request, info: Deno.ServeHandlerInfo): Promise<Response> {
+  const requestId = requestIdFor(request);
+  const runtime = scopeToRequest(serverRuntime, requestId);
+  const url = new URL(request.url);
+  const started = Date.now();
+
+  let response: Response;
+  try {
+    const clientIp = info.remoteAddr.transport === "tcp" ? info.remoteAddr.hostname : null;
+    response = await handleRequest(request, runtime, clientIp);
+  } catch (err) {
+    runtime.logger.error("request_error", { method: request.method, path: url.pathname, error: err });
+    response = new Response(
+      JSON.stringify({ error: "Internal error", request_id: requestId }),
+      { status: 500, headers: { "Content-Type": "application/json" } }
+    );
+  }
+
+  serverStats.recordRequest(response.status);
+  runtime.logger.info("request", { method: request.method, path: url.pathname, status: response.status, duration_ms: Date.now() - started });
+
+  response.headers.set("X-Request-Id", requestId);
+  return response;
+}
+
 // Start HTTP server
-Deno.serve({ port: 8000 }, handleRequest);
+Deno.serve({ port: 8000 }, serve);
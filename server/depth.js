@@ -0,0 +1,162 @@
+/**
+ * Order-book depth
+ *
+ * GET /api/depth/:platform/:token_id profiles the liquidity resting on one
+ * book, and GET /api/depth/combined?legs= each venue's book plus the books
+ * merged into one. A profile reports:
+ *   buckets   - size and notional per 1¢ price bucket on each side, with
+ *               running totals from the touch outward (bids round down to
+ *               their bucket, asks up; empty buckets are left out)
+ *   near_mid  - notional within ±2/5/10¢ of the midpoint, per side
+ *   spread    - best ask minus best bid; negative when merged venues cross
+ *   imbalance - (bid - ask) / (bid + ask) notional within ±imbalance_band of
+ *               the midpoint: +1 all bids, -1 all asks
+ * Sizes are in $1 units (see platforms.js), so notional is size x price and
+ * books from different venues add up.
+ */
+
+import { computeOrderbookMidpoint, loadOrderbook } from "./pricing-core.js";
+import { legKey } from "./platforms.js";
+
+export const DEPTH_CONFIG = {
+  bucket_size: 0.01,
+  bands: [0.02, 0.05, 0.10], // Distances from the midpoint reported in near_mid
+  imbalance_band: 0.05,
+};
+
+// Float slack when comparing prices to bucket and band edges
+const EPSILON = 1e-9;
+
+function round(value, places = 4) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+// =============================================================================
+// PROFILE
+// =============================================================================
+
+// Levels grouped into price buckets, best first, with running totals
+function bucketLevels(levels, side) {
+  const size = DEPTH_CONFIG.bucket_size;
+  const buckets = new Map(); // bucket index -> { size, notional }
+
+  for (const level of levels) {
+    const index = side === "bids" ? Math.floor(level.price / size + EPSILON) : Math.ceil(level.price / size - EPSILON);
+    const bucket = buckets.get(index) || { size: 0, notional: 0 };
+    bucket.size += level.size;
+    bucket.notional += level.size * level.price;
+    buckets.set(index, bucket);
+  }
+
+  const ordered = [...buckets.entries()].sort((a, b) => (side === "bids" ? b[0] - a[0] : a[0] - b[0]));
+  let cumulativeSize = 0;
+  let cumulativeNotional = 0;
+
+  return ordered.map(([index, bucket]) => {
+    cumulativeSize += bucket.size;
+    cumulativeNotional += bucket.notional;
+    return {
+      price: round(index * size),
+      size: round(bucket.size, 2),
+      notional: round(bucket.notional, 2),
+      cumulative_size: round(cumulativeSize, 2),
+      cumulative_notional: round(cumulativeNotional, 2),
+    };
+  });
+}
+
+function notionalWithin(levels, from, to) {
+  return levels
+    .filter(level => level.price >= from - EPSILON && level.price <= to + EPSILON)
+    .reduce((sum, level) => sum + level.size * level.price, 0);
+}
+
+function imbalanceRatio(bidNotional, askNotional) {
+  const total = bidNotional + askNotional;
+  return total > 0 ? round((bidNotional - askNotional) / total) : null;
+}
+
+// Notional on each side within band of the midpoint
+function nearMid(bids, asks, midpoint, band) {
+  const bidNotional = notionalWithin(bids, midpoint - band, midpoint);
+  const askNotional = notionalWithin(asks, midpoint, midpoint + band);
+  return {
+    within: band,
+    bid_notional: round(bidNotional, 2),
+    ask_notional: round(askNotional, 2),
+    total_notional: round(bidNotional + askNotional, 2),
+    imbalance: imbalanceRatio(bidNotional, askNotional),
+  };
+}
+
+// Depth profile of a book (levels in any order)
+export function profileBook(bids, asks) {
+  const sortedBids = [...bids].sort((a, b) => b.price - a.price);
+  const sortedAsks = [...asks].sort((a, b) => a.price - b.price);
+  const midpoint = computeOrderbookMidpoint(sortedBids, sortedAsks);
+  const bestBid = sortedBids.length > 0 ? sortedBids[0].price : null;
+  const bestAsk = sortedAsks.length > 0 ? sortedAsks[0].price : null;
+
+  const imbalance = midpoint !== null ? nearMid(sortedBids, sortedAsks, midpoint, DEPTH_CONFIG.imbalance_band) : null;
+
+  return {
+    midpoint,
+    best_bid: bestBid,
+    best_ask: bestAsk,
+    spread: midpoint !== null ? round(bestAsk - bestBid) : null,
+    imbalance: imbalance ? imbalance.imbalance : null,
+    imbalance_band: DEPTH_CONFIG.imbalance_band,
+    near_mid: midpoint !== null ? DEPTH_CONFIG.bands.map(band => nearMid(sortedBids, sortedAsks, midpoint, band)) : null,
+    levels: { bids: sortedBids.length, asks: sortedAsks.length },
+    buckets: {
+      bucket_size: DEPTH_CONFIG.bucket_size,
+      bids: bucketLevels(sortedBids, "bids"),
+      asks: bucketLevels(sortedAsks, "asks"),
+    },
+  };
+}
+
+function observedAt(orderbook) {
+  return orderbook[2] !== null && orderbook[2] !== undefined ? new Date(orderbook[2]).toISOString() : null;
+}
+
+// =============================================================================
+// ENTRY POINTS
+// =============================================================================
+
+// One market's depth profile. Resolves to null when there is no book.
+export async function getDepthProfile(runtime, platform, tokenId) {
+  const orderbook = await loadOrderbook(runtime, platform, tokenId);
+  if (!orderbook) return null;
+
+  const [bids, asks] = orderbook;
+  return {
+    platform,
+    token_id: tokenId,
+    ...profileBook(bids, asks),
+    observed_at: observedAt(orderbook),
+    fetched_at: new Date().toISOString(),
+  };
+}
+
+// Each leg's profile (null without a book) and the profile of all the
+// legs' books merged
+export async function getCombinedDepthProfile(runtime, legs) {
+  const orderbooks = await Promise.all(legs.map(leg => loadOrderbook(runtime, leg.platform, leg.token_id)));
+
+  const venues = Object.fromEntries(legs.map((leg, i) => {
+    const orderbook = orderbooks[i];
+    return [leg.platform, orderbook
+      ? { token_id: leg.token_id, ...profileBook(orderbook[0], orderbook[1]), observed_at: observedAt(orderbook) }
+      : null];
+  }));
+
+  const books = orderbooks.filter(Boolean);
+  return {
+    legs: legs.map(legKey),
+    venues,
+    combined: profileBook(books.flatMap(book => book[0]), books.flatMap(book => book[1])),
+    fetched_at: new Date().toISOString(),
+  };
+}
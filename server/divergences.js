@@ -0,0 +1,276 @@
+/**
+ * Cross-platform divergences
+ *
+ * GET /api/divergences compares the live orderbooks of a market listed on
+ * more than one platform. For each market (legs joined by |, as in stream
+ * keys) it reports:
+ *   divergence  - highest minus lowest leg midpoint, in points
+ *   arbitrage   - buying Yes on one venue and selling it (buying No) on
+ *                 another. no_risk when one venue's bid is above another's
+ *                 ask; fee_adjusted once both venues' taker fees are paid.
+ *                 Executable size walks both books while the edge holds.
+ *   persistence - how long the divergence has held across the stored
+ *                 history snapshots of both legs, when history is available
+ */
+
+import { CONFIG, computeOrderbookMidpoint, loadOrderbook, mapWithConcurrency } from "./pricing-core.js";
+import { getPlatformAdapter, legKey, parseLegs } from "./platforms.js";
+
+export const DIVERGENCE_CONFIG = {
+  min_points: 5, // Midpoint spread (percentage points) that counts as divergent
+  lookback_hours: 24, // History searched for the start of a divergence
+};
+
+// Legs a request may compare: each is one orderbook pull, so as many as
+// CONFIG.subrequest_limit allows
+export function maxDivergenceLegs() {
+  return CONFIG.subrequest_limit;
+}
+
+// Markets a request may compare when each has the minimum two legs
+export function maxDivergenceMarkets() {
+  return Math.max(1, Math.floor(maxDivergenceLegs() / 2));
+}
+
+// The leading markets whose legs fit in one request
+export function fitDivergenceLegs(markets) {
+  const fitted = [];
+  let legs = 0;
+  for (const market of markets) {
+    if (legs + market.length > maxDivergenceLegs()) break;
+    fitted.push(market);
+    legs += market.length;
+  }
+  return fitted;
+}
+
+// Parse the comma-separated markets query param into { markets } (lists of
+// legs) or { error }
+export function parseDivergenceMarkets(value) {
+  const keys = [...new Set((value || "").split(",").map(key => key.trim()).filter(Boolean))];
+
+  if (keys.length === 0) {
+    return { error: "Provide markets as a comma-separated list, e.g. polymarket:<token_id>|kalshi:<ticker>" };
+  }
+  if (keys.length > maxDivergenceMarkets()) {
+    return { error: `At most ${maxDivergenceMarkets()} markets per request` };
+  }
+
+  const markets = [];
+  for (const key of keys) {
+    const parsed = parseLegs(key.split("|"));
+    if (parsed.error) {
+      return { error: `Invalid market key: ${key} (${parsed.error})` };
+    }
+    if (parsed.legs.length < 2) {
+      return { error: `Market ${key} needs legs on at least two platforms` };
+    }
+    markets.push(parsed.legs);
+  }
+
+  if (fitDivergenceLegs(markets).length < markets.length) {
+    return { error: `At most ${maxDivergenceLegs()} legs per request across all markets` };
+  }
+
+  return { markets };
+}
+
+// =============================================================================
+// ARBITRAGE
+// =============================================================================
+
+function roundPrice(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+// Walk the buy venue's asks up and the sell venue's bids down while each
+// unit still has a positive edgeOf(ask, bid). Returns size in $1 units, the
+// dollars spent across both legs, the fees paid and the profit at that edge.
+function walkBooks(asks, bids, edgeOf, feesOf) {
+  let size = 0;
+  let cost = 0;
+  let fees = 0;
+  let profit = 0;
+  let i = 0;
+  let j = 0;
+  let askLeft = asks[0]?.size ?? 0;
+  let bidLeft = bids[0]?.size ?? 0;
+
+  while (i < asks.length && j < bids.length) {
+    const ask = asks[i].price;
+    const bid = bids[j].price;
+    const edge = edgeOf(ask, bid);
+    if (edge <= 0) break;
+
+    const qty = Math.min(askLeft, bidLeft);
+    size += qty;
+    cost += qty * (ask + (1 - bid));
+    fees += qty * feesOf(ask, bid);
+    profit += qty * edge;
+
+    askLeft -= qty;
+    bidLeft -= qty;
+    if (askLeft <= 0) askLeft = asks[++i]?.size ?? 0;
+    if (bidLeft <= 0) bidLeft = bids[++j]?.size ?? 0;
+  }
+
+  return {
+    size: Math.round(size),
+    cost_usd: Math.round(cost),
+    fees_usd: Math.round(fees),
+    profit_usd: Math.round(profit),
+  };
+}
+
+// Best buy/sell pairing across legs, judged at the top of the books
+function computeArbitrage(runtime, quotes) {
+  let best = null;
+  for (const buy of quotes) {
+    for (const sell of quotes) {
+      if (buy === sell || buy.asks.length === 0 || sell.bids.length === 0) continue;
+      const edge = sell.bids[0].price - buy.asks[0].price;
+      if (!best || edge > best.edge) best = { buy, sell, edge };
+    }
+  }
+  if (!best) return null;
+
+  const { buy, sell } = best;
+  const buyFee = getPlatformAdapter(buy.platform).taker_fee;
+  const sellFee = getPlatformAdapter(sell.platform).taker_fee;
+  // Selling Yes at bid is buying No at 1 - bid
+  const feesOf = (ask, bid) => buyFee(ask, runtime) + sellFee(1 - bid, runtime);
+
+  const topAsk = buy.asks[0].price;
+  const topBid = sell.bids[0].price;
+  const grossEdge = topBid - topAsk;
+  const netEdge = grossEdge - feesOf(topAsk, topBid);
+
+  const noRisk = walkBooks(buy.asks, sell.bids, (ask, bid) => bid - ask, feesOf);
+  const feeAdjusted = walkBooks(buy.asks, sell.bids, (ask, bid) => bid - ask - feesOf(ask, bid), feesOf);
+
+  return {
+    buy: buy.platform,
+    sell: sell.platform,
+    // Before fees; fees_usd is what that size would pay
+    no_risk: {
+      available: grossEdge > 0,
+      edge: roundPrice(grossEdge),
+      ...noRisk,
+    },
+    fee_adjusted: {
+      available: netEdge > 0,
+      edge: roundPrice(netEdge),
+      ...feeAdjusted,
+    },
+  };
+}
+
+// =============================================================================
+// PERSISTENCE
+// =============================================================================
+
+// Walk back through snapshot buckets where every leg has a midpoint while
+// the spread stays at or above min_points. histories holds each leg's
+// points ({ t, midpoint }), oldest first.
+function computePersistence(histories, intervalMs, divergentNow, now) {
+  if (!divergentNow) {
+    return { divergent_since: null, minutes: 0, snapshots: 0 };
+  }
+
+  const buckets = new Map(); // bucket -> midpoints by leg
+  histories.forEach((points, leg) => {
+    for (const point of points) {
+      if (point.midpoint === null || point.midpoint === undefined) continue;
+      const bucket = Math.floor(point.t / intervalMs);
+      if (!buckets.has(bucket)) buckets.set(bucket, { t: point.t, midpoints: [] });
+      buckets.get(bucket).midpoints[leg] = point.midpoint;
+    }
+  });
+
+  let since = now;
+  let snapshots = 0;
+  const ordered = [...buckets.entries()].sort((a, b) => b[0] - a[0]).map(([, entry]) => entry);
+
+  for (const { t, midpoints } of ordered) {
+    const complete = midpoints.filter(m => m !== undefined);
+    if (complete.length < histories.length) break;
+
+    const points = (Math.max(...complete) - Math.min(...complete)) * 100;
+    if (points < DIVERGENCE_CONFIG.min_points) break;
+
+    since = t;
+    snapshots += 1;
+  }
+
+  return {
+    divergent_since: new Date(since).toISOString(),
+    minutes: Math.round((now - since) / 60000),
+    snapshots,
+  };
+}
+
+// =============================================================================
+// ENTRY POINT
+// =============================================================================
+
+async function getMarketDivergence(runtime, legs, history) {
+  const orderbooks = await Promise.all(legs.map(leg => loadOrderbook(runtime, leg.platform, leg.token_id)));
+  const quotes = legs.map((leg, i) => {
+    const [bids, asks] = orderbooks[i] || [[], []];
+    return { ...leg, bids, asks, midpoint: computeOrderbookMidpoint(bids, asks) };
+  });
+
+  const midpoints = quotes.map(q => q.midpoint).filter(m => m !== null);
+  const divergencePoints = midpoints.length >= 2
+    ? Math.round((Math.max(...midpoints) - Math.min(...midpoints)) * 1000) / 10
+    : null;
+
+  const arbitrage = computeArbitrage(runtime, quotes);
+  const divergent = (divergencePoints !== null && divergencePoints >= DIVERGENCE_CONFIG.min_points) ||
+    !!arbitrage?.fee_adjusted.available;
+
+  let persistence = null;
+  if (history) {
+    const now = Date.now();
+    const from = now - DIVERGENCE_CONFIG.lookback_hours * 60 * 60 * 1000;
+    const histories = await Promise.all(legs.map(leg => history.read(leg.platform, leg.token_id, from, now)));
+    persistence = computePersistence(histories, history.interval_ms, divergent, now);
+  }
+
+  return {
+    market: legs.map(legKey).join("|"),
+    legs: quotes.map(q => ({
+      platform: q.platform,
+      token_id: q.token_id,
+      best_bid: q.bids[0]?.price ?? null,
+      best_ask: q.asks[0]?.price ?? null,
+      midpoint: q.midpoint,
+    })),
+    divergence_points: divergencePoints,
+    divergent,
+    arbitrage,
+    persistence,
+  };
+}
+
+// Evaluate each market (a list of legs). history, when given, is
+// { read(platform, tokenId, fromMs, toMs), interval_ms } over stored
+// snapshots. Most actionable first: fee-adjusted profit, then spread.
+export async function getDivergences(runtime, markets, history = null) {
+  const results = await mapWithConcurrency(
+    markets,
+    CONFIG.batch_concurrency,
+    (legs) => getMarketDivergence(runtime, legs, history)
+  );
+
+  results.sort((a, b) =>
+    (b.arbitrage?.fee_adjusted.profit_usd ?? 0) - (a.arbitrage?.fee_adjusted.profit_usd ?? 0) ||
+    (b.divergence_points ?? -1) - (a.divergence_points ?? -1)
+  );
+
+  return {
+    markets: results,
+    min_points: DIVERGENCE_CONFIG.min_points,
+    fetched_at: new Date().toISOString(),
+  };
+}
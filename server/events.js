@@ -0,0 +1,150 @@
+/**
+ * Multi-outcome events
+ *
+ * GET /api/events/:platform/:event_id prices every outcome of an event
+ * (Fed chair nominee, primary winner, ...), each outcome being a binary
+ * market whose Yes price is that outcome's probability. It reports:
+ *   outcomes     - each outcome's Bellwether price, interval, tier and
+ *                  reportability (see getMarketMetrics), highest first
+ *   overround    - Yes prices summed, minus 1: above 0 the outcomes are
+ *                  overpriced together, below 0 underpriced
+ *   distribution - each outcome's share of the summed prices, so the
+ *                  probabilities add up to 1
+ *   leader       - the top outcome and the cheapest way to push it out of
+ *                  first place on the books: selling it down to the
+ *                  runner-up's midpoint, or buying the runner-up up to its own
+ *
+ * An event with more outcomes than one request can price (maxEventOutcomes)
+ * is truncated: the first outcomes are priced and listed, and price_sum,
+ * overround, distribution and leader are null, since any dropped outcome
+ * could change them.
+ */
+
+import { simulateMoveToPrice } from "./orderbook-simulator.js";
+import { CONFIG, computeOrderbookMidpoint, getMarketMetrics, loadEvent, loadOrderbook, mapWithConcurrency, maxMarketsPerRequest } from "./pricing-core.js";
+
+// Outcomes priced per request: as many markets as a batch, less the event
+// lookup itself
+export function maxEventOutcomes() {
+  return maxMarketsPerRequest(1);
+}
+
+function roundPrice(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+// =============================================================================
+// LEADER
+// =============================================================================
+
+// Cost of pushing one outcome's book to a price, or null without the depth
+function costToReach(book, targetPrice) {
+  const result = simulateMoveToPrice(book, targetPrice);
+  if (!result) return null;
+  return {
+    target_price: targetPrice,
+    cost: Math.round(result.total_cost),
+    final_price: result.final_price,
+    levels_consumed: result.levels_consumed,
+  };
+}
+
+// The top two outcomes by price and what it costs to swap them on the
+// books. Each attack is judged against the other outcome's midpoint (its
+// Bellwether price when it has no book).
+function computeLeader(ranked, books) {
+  if (ranked.length === 0) return null;
+
+  const [leader, runnerUp] = ranked;
+  const summary = { name: leader.name, market_id: leader.market_id, bellwether_price: leader.bellwether_price };
+  if (!runnerUp) return { ...summary, runner_up: null, margin: null, cost_to_dethrone: null };
+
+  const leaderBook = books.get(leader.market_id);
+  const runnerUpBook = books.get(runnerUp.market_id);
+  const leaderMid = leader.orderbook_midpoint ?? leader.bellwether_price;
+  const runnerUpMid = runnerUp.orderbook_midpoint ?? runnerUp.bellwether_price;
+
+  let costToDethrone;
+  if (leaderMid <= runnerUpMid) {
+    // The books already have them level or swapped
+    costToDethrone = { cost: 0, via: null, sell_leader: null, buy_runner_up: null };
+  } else {
+    const sellLeader = costToReach(leaderBook, runnerUpMid);
+    const buyRunnerUp = costToReach(runnerUpBook, leaderMid);
+    const options = [["sell_leader", sellLeader], ["buy_runner_up", buyRunnerUp]].filter(([, option]) => option);
+    const cheapest = options.sort((a, b) => a[1].cost - b[1].cost)[0] || null;
+
+    costToDethrone = {
+      cost: cheapest ? cheapest[1].cost : null,
+      via: cheapest ? cheapest[0] : null,
+      sell_leader: sellLeader,
+      buy_runner_up: buyRunnerUp,
+    };
+  }
+
+  return {
+    ...summary,
+    runner_up: { name: runnerUp.name, market_id: runnerUp.market_id, bellwether_price: runnerUp.bellwether_price },
+    margin: roundPrice(leader.bellwether_price - runnerUp.bellwether_price),
+    cost_to_dethrone: costToDethrone,
+  };
+}
+
+// =============================================================================
+// ENTRY POINT
+// =============================================================================
+
+// Price an event's outcomes. Resolves to null when the event is unknown.
+export async function getEventMetrics(runtime, platform, eventId) {
+  const event = await loadEvent(runtime, platform, eventId);
+  if (!event) return null;
+
+  const outcomes = event.outcomes.slice(0, maxEventOutcomes());
+  const priced = await mapWithConcurrency(outcomes, CONFIG.batch_concurrency, async (outcome) => {
+    const [metrics, orderbook] = await Promise.all([
+      getMarketMetrics(runtime, platform, outcome.market_id),
+      loadOrderbook(runtime, platform, outcome.market_id),
+    ]);
+    const [bids, asks] = orderbook || [[], []];
+    return { outcome, metrics, book: { bids, asks }, midpoint: computeOrderbookMidpoint(bids, asks) };
+  });
+
+  const rows = priced.map(({ outcome, metrics, midpoint }) => ({
+    name: outcome.name,
+    market_id: outcome.market_id,
+    bellwether_price: metrics?.bellwether_price ?? null,
+    price_interval: metrics?.price_interval ?? null,
+    price_tier: metrics?.price_tier ?? null,
+    price_label: metrics?.price_label ?? null,
+    orderbook_midpoint: midpoint,
+    reportability: metrics?.robustness.reportability ?? null,
+    cost_to_move_5c: metrics?.robustness.cost_to_move_5c ?? null,
+  }));
+
+  // Highest price first; unpriced outcomes last, in event order
+  const ranked = rows.filter(row => row.bellwether_price !== null)
+    .sort((a, b) => b.bellwether_price - a.bellwether_price);
+  const priceSum = ranked.reduce((sum, row) => sum + row.bellwether_price, 0);
+
+  const books = new Map(priced.map(({ outcome, book }) => [outcome.market_id, book]));
+
+  // The event-wide figures need every outcome
+  const truncated = event.outcomes.length > outcomes.length;
+  const complete = !truncated && ranked.length > 0;
+
+  return {
+    platform,
+    event_id: eventId,
+    title: event.title,
+    outcome_count: event.outcomes.length,
+    truncated,
+    outcomes: [...ranked, ...rows.filter(row => row.bellwether_price === null)],
+    price_sum: complete ? roundPrice(priceSum) : null,
+    overround: complete ? roundPrice(priceSum - 1) : null,
+    distribution: complete && priceSum > 0
+      ? ranked.map(row => ({ name: row.name, market_id: row.market_id, probability: roundPrice(row.bellwether_price / priceSum) }))
+      : null,
+    leader: truncated ? null : computeLeader(ranked, books),
+    fetched_at: new Date().toISOString(),
+  };
+}
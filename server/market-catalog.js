@@ -0,0 +1,277 @@
+/**
+ * Market catalog
+ *
+ * Resolves monitor markets to the identifiers the pricing endpoints take,
+ * so clients look markets up instead of downloading data/token_id_lookup.json:
+ *   GET /api/markets/search?q= - markets matching every word of q (the last
+ *                                as a prefix, for type-ahead), by volume
+ *   GET /api/markets/:key      - one market by its monitor key, or by a
+ *                                Polymarket market id or token id or a
+ *                                Kalshi ticker
+ *   PUT /api/markets           - replace the catalog (admin token only)
+ *                                from { markets, elections, token_lookup }:
+ *                                the entries of monitor_markets.json and
+ *                                monitor_elections.json and the
+ *                                token_id_lookup.json map
+ *
+ * KV holds the entries in chunks plus an index of words and identifiers,
+ * all under a version that catalog:meta points to once everything is
+ * written, so a rebuild never serves half a catalog. Entries are numbered
+ * by volume, highest first, so index postings are already in rank order.
+ * Isolates keep the current version's index and chunks in memory.
+ */
+
+export const CATALOG_CONFIG = {
+  chunk_size: 500, // Entries per KV value
+  max_entries: 50000,
+  search_limit: 10, // Results per search unless ?limit= says otherwise
+  max_search_limit: 50,
+  min_query_length: 2,
+};
+
+const META_KEY = "catalog:meta";
+
+// Words too common in market questions to narrow a search
+const STOPWORDS = new Set(["a", "an", "and", "be", "by", "for", "in", "is", "of", "on", "or", "the", "to", "who", "will", "win"]);
+
+let loaded = null; // { meta, index, chunks: Map } for the current version
+
+// =============================================================================
+// ENTRIES
+// =============================================================================
+
+function words(text) {
+  return String(text || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "") // Accents, split off by NFKD
+    .split(/[^a-z0-9]+/)
+    .filter(word => word && !STOPWORDS.has(word));
+}
+
+// A catalog entry from a monitor market or election. Polymarket token ids
+// come from the entry itself when present, else from the lookup by market id.
+function catalogEntry(market, kind, tokenLookup) {
+  const pmMarketId = market.pm_market_id ? String(market.pm_market_id) : null;
+  const pmToken = market.pm_token_id || (pmMarketId && tokenLookup[pmMarketId]) || null;
+  const kTicker = market.k_ticker || market.k_market_id || null;
+
+  // Elections link to their venues without market ids
+  const polymarket = pmMarketId || pmToken || market.pm_url
+    ? { market_id: pmMarketId, token_id: pmToken ? String(pmToken) : null, event_slug: market.pm_event_slug || null, url: market.pm_url || null }
+    : null;
+  const kalshi = kTicker || market.k_url
+    ? { ticker: kTicker ? String(kTicker) : null, event_ticker: market.k_event_ticker || null, url: market.k_url || null }
+    : null;
+
+  return {
+    key: market.key,
+    kind,
+    label: market.label || null,
+    question: market.pm_question || market.k_question || market.label || null,
+    category: market.category || market.type || null,
+    region: market.region || null,
+    country: market.country || null,
+    year: market.year ?? null,
+    is_completed: !!market.is_completed,
+    total_volume: Number(market.total_volume) || 0,
+    polymarket,
+    kalshi,
+    // Ready for /api/metrics/combined?legs= and /api/stream
+    legs: [
+      polymarket?.token_id ? `polymarket:${polymarket.token_id}` : null,
+      kalshi?.ticker ? `kalshi:${kalshi.ticker}` : null,
+    ].filter(Boolean),
+  };
+}
+
+// Validate a PUT /api/markets body into { entries } (by volume, highest
+// first) or { error }
+export function parseCatalogUpload(body) {
+  const markets = body?.markets ?? [];
+  const elections = body?.elections ?? [];
+  const tokenLookup = body?.token_lookup ?? {};
+
+  if (!Array.isArray(markets) || !Array.isArray(elections)) {
+    return { error: "markets and elections must be arrays of monitor entries" };
+  }
+  if (typeof tokenLookup !== "object" || Array.isArray(tokenLookup)) {
+    return { error: "token_lookup must map Polymarket market ids to token ids" };
+  }
+
+  const entries = new Map();
+  for (const [list, kind] of [[elections, "election"], [markets, "market"]]) {
+    for (const market of list) {
+      if (typeof market?.key !== "string" || !market.key) {
+        return { error: "Every entry needs a key" };
+      }
+      if (!entries.has(market.key)) entries.set(market.key, catalogEntry(market, kind, tokenLookup));
+    }
+  }
+
+  if (entries.size === 0) return { error: "Provide at least one market or election" };
+  if (entries.size > CATALOG_CONFIG.max_entries) {
+    return { error: `At most ${CATALOG_CONFIG.max_entries} entries per catalog` };
+  }
+
+  return { entries: [...entries.values()].sort((a, b) => b.total_volume - a.total_volume) };
+}
+
+// =============================================================================
+// INDEX
+// =============================================================================
+
+// map[key] when map holds key itself. Index keys come from market text and
+// queries, so "constructor" must not find Object.prototype.constructor.
+function own(map, key) {
+  return Object.hasOwn(map, key) ? map[key] : undefined;
+}
+
+// { words: { word: [entry numbers] }, ids: { identifier: entry number } }
+function buildIndex(entries) {
+  const index = { words: {}, ids: {} };
+
+  entries.forEach((entry, n) => {
+    for (const word of new Set(words(`${entry.question} ${entry.label}`))) {
+      if (!own(index.words, word)) index.words[word] = [];
+      index.words[word].push(n);
+    }
+
+    index.ids[entry.key] = n;
+    if (entry.polymarket?.market_id) index.ids[`polymarket:${entry.polymarket.market_id}`] ??= n;
+    if (entry.polymarket?.token_id) index.ids[`polymarket:${entry.polymarket.token_id}`] ??= n;
+    if (entry.kalshi?.ticker) index.ids[`kalshi:${entry.kalshi.ticker.toUpperCase()}`] ??= n;
+  });
+
+  return index;
+}
+
+// Entry number for a monitor key or a bare market id, token id or ticker
+function resolveId(index, id) {
+  return own(index.ids, id) ?? own(index.ids, `polymarket:${id}`) ?? own(index.ids, `kalshi:${id.toUpperCase()}`) ?? null;
+}
+
+// Entry numbers containing every query word, the last one as a prefix,
+// in rank order
+function matchWords(index, queryWords) {
+  const last = queryWords[queryWords.length - 1];
+  const prefixed = new Set();
+  for (const [word, postings] of Object.entries(index.words)) {
+    if (word.startsWith(last)) postings.forEach(n => prefixed.add(n));
+  }
+
+  const sets = queryWords.slice(0, -1).map(word => new Set(own(index.words, word) || []));
+  return [...prefixed].filter(n => sets.every(set => set.has(n))).sort((a, b) => a - b);
+}
+
+// =============================================================================
+// STORAGE (Cloudflare KV)
+// =============================================================================
+
+// Write a new version of the catalog, switch to it, and drop the old one
+export async function writeCatalog(kv, entries) {
+  const version = `${Date.now().toString(36)}${crypto.randomUUID().slice(0, 8)}`;
+  const chunks = [];
+  for (let i = 0; i < entries.length; i += CATALOG_CONFIG.chunk_size) {
+    chunks.push(entries.slice(i, i + CATALOG_CONFIG.chunk_size));
+  }
+
+  await Promise.all(chunks.map((chunk, i) => kv.put(`catalog:${version}:chunk:${i}`, JSON.stringify(chunk))));
+  await kv.put(`catalog:${version}:index`, JSON.stringify(buildIndex(entries)));
+
+  const previous = await kv.get(META_KEY, { type: "json" });
+  const meta = { version, built_at: new Date().toISOString(), entries: entries.length, chunks: chunks.length };
+  await kv.put(META_KEY, JSON.stringify(meta));
+
+  if (previous?.version && previous.version !== version) {
+    let cursor;
+    do {
+      const page = await kv.list({ prefix: `catalog:${previous.version}:`, cursor });
+      await Promise.all(page.keys.map(key => kv.delete(key.name)));
+      cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+  }
+
+  return meta;
+}
+
+// The current version, or null before a catalog has been uploaded
+async function loadCatalog(kv) {
+  const meta = await kv.get(META_KEY, { type: "json", cacheTtl: 60 });
+  if (!meta) return null;
+
+  if (loaded?.meta.version !== meta.version) {
+    const index = await kv.get(`catalog:${meta.version}:index`, { type: "json" });
+    if (!index) return null;
+    loaded = { meta, index, chunks: new Map() };
+  }
+  return loaded;
+}
+
+async function loadEntries(kv, catalog, numbers) {
+  const chunkIds = [...new Set(numbers.map(n => Math.floor(n / CATALOG_CONFIG.chunk_size)))];
+  await Promise.all(chunkIds.filter(id => !catalog.chunks.has(id)).map(async (id) => {
+    const chunk = await kv.get(`catalog:${catalog.meta.version}:chunk:${id}`, { type: "json" });
+    catalog.chunks.set(id, chunk || []);
+  }));
+
+  return numbers
+    .map(n => catalog.chunks.get(Math.floor(n / CATALOG_CONFIG.chunk_size))[n % CATALOG_CONFIG.chunk_size])
+    .filter(Boolean);
+}
+
+function describeCatalog(meta) {
+  return { version: meta.version, built_at: meta.built_at, entries: meta.entries };
+}
+
+// =============================================================================
+// LOOKUPS
+// =============================================================================
+
+// Parse ?q= and ?limit= into { query, limit } or { error }
+export function parseSearchParams(searchParams) {
+  const query = (searchParams.get("q") || "").trim();
+  if (query.length < CATALOG_CONFIG.min_query_length) {
+    return { error: `q must be at least ${CATALOG_CONFIG.min_query_length} characters` };
+  }
+
+  const raw = searchParams.get("limit");
+  const limit = raw === null ? CATALOG_CONFIG.search_limit : Number(raw);
+  if (!Number.isInteger(limit) || limit < 1 || limit > CATALOG_CONFIG.max_search_limit) {
+    return { error: `limit must be an integer between 1 and ${CATALOG_CONFIG.max_search_limit}` };
+  }
+
+  return { query, limit };
+}
+
+// Search results, or null without a catalog. A query that is itself an
+// identifier puts that market first.
+export async function searchCatalog(kv, query, limit) {
+  const catalog = await loadCatalog(kv);
+  if (!catalog) return null;
+
+  const exact = resolveId(catalog.index, query);
+  const queryWords = words(query);
+  const matches = queryWords.length > 0 ? matchWords(catalog.index, queryWords) : [];
+  const ranked = exact !== null ? [exact, ...matches.filter(n => n !== exact)] : matches;
+
+  const results = await loadEntries(kv, catalog, ranked.slice(0, limit));
+  return {
+    query,
+    results,
+    count: results.length,
+    total_matches: ranked.length,
+    catalog: describeCatalog(catalog.meta),
+  };
+}
+
+// { market, catalog } for an identifier (market null when unknown), or
+// null without a catalog
+export async function resolveMarket(kv, id) {
+  const catalog = await loadCatalog(kv);
+  if (!catalog) return null;
+
+  const n = resolveId(catalog.index, id);
+  const [market] = n !== null ? await loadEntries(kv, catalog, [n]) : [];
+  return { market: market || null, catalog: describeCatalog(catalog.meta) };
+}
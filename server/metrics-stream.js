@@ -0,0 +1,149 @@
+/**
+ * Live metrics stream
+ *
+ * Server-Sent Events fan-out for GET /api/stream?markets=... Subscribers
+ * name markets by stream key and receive a "metrics" event each time the
+ * metrics for one of them are recomputed (pricing-core.js onMetrics).
+ *
+ * Stream keys:
+ *   polymarket:<token_id>, kalshi:<ticker>   single-platform markets
+ *   polymarket:<token_id>|kalshi:<ticker>    combined markets, legs joined by |
+ *                                            (any platforms in platforms.js)
+ *
+ * The hub only holds connections; the Cloudflare Worker runs it inside a
+ * Durable Object so every isolate publishes to the same subscribers, and
+ * the Deno server runs one in-process.
+ */
+
+import { CONFIG } from "./pricing-core.js";
+import { combinedLegs, legKey, parseLegs } from "./platforms.js";
+
+// CORS headers are added by each server
+export const SSE_HEADERS = {
+  "Content-Type": "text/event-stream",
+  "Cache-Control": "no-cache",
+};
+
+// Stream key for a pricing-core metrics spec
+export function marketStreamKey(spec) {
+  if (spec.platform) return legKey(spec);
+  return combinedLegs(spec).map(legKey).join("|");
+}
+
+// Parse the comma-separated markets query param into { keys } or { error }
+export function parseStreamMarkets(value) {
+  const keys = [...new Set((value || "").split(",").map(key => key.trim()).filter(Boolean))];
+
+  if (keys.length === 0) {
+    return { error: "Provide markets as a comma-separated list, e.g. polymarket:<token_id>,kalshi:<ticker>" };
+  }
+  if (keys.length > CONFIG.stream_max_markets) {
+    return { error: `At most ${CONFIG.stream_max_markets} markets per stream` };
+  }
+
+  for (const key of keys) {
+    const parsed = parseLegs(key.split("|"));
+    if (parsed.error) {
+      return { error: `Invalid market key: ${key} (${parsed.error})` };
+    }
+  }
+
+  return { keys };
+}
+
+// The part of a metrics payload pushed to subscribers
+export function streamPayload(spec, metrics) {
+  return {
+    market: marketStreamKey(spec),
+    bellwether_price: metrics.bellwether_price,
+    price_interval: metrics.price_interval,
+    price_tier: metrics.price_tier,
+    price_label: metrics.price_label,
+    price_source: metrics.price_source,
+    robustness: metrics.robustness,
+    ...(metrics.platform_prices ? { platform_prices: metrics.platform_prices } : {}),
+    freshness: metrics.freshness,
+    market_info: metrics.market, // market is the stream key
+    fetched_at: metrics.fetched_at,
+  };
+}
+
+export function createStreamHub() {
+  const encoder = new TextEncoder();
+  const subscribers = new Set(); // { keys: Set, controller }
+  let heartbeat = null;
+
+  function remove(subscriber) {
+    subscribers.delete(subscriber);
+    if (subscribers.size === 0 && heartbeat !== null) {
+      clearInterval(heartbeat);
+      heartbeat = null;
+    }
+  }
+
+  function send(subscriber, text) {
+    try {
+      subscriber.controller.enqueue(encoder.encode(text));
+    } catch (_err) {
+      // Client went away without the stream being cancelled
+      remove(subscriber);
+    }
+  }
+
+  return {
+    get size() {
+      return subscribers.size;
+    },
+
+    // SSE body for a subscriber to keys; ends when the client disconnects
+    // or signal aborts
+    subscribe(keys, signal) {
+      const subscriber = { keys: new Set(keys), controller: null };
+
+      const body = new ReadableStream({
+        start(controller) {
+          subscriber.controller = controller;
+          subscribers.add(subscriber);
+          send(subscriber, `retry: 5000\n: subscribed to ${keys.length} market(s)\n\n`);
+
+          // Comment lines keep proxies from closing idle connections
+          if (heartbeat === null) {
+            heartbeat = setInterval(() => {
+              for (const s of subscribers) send(s, ": ping\n\n");
+            }, CONFIG.stream_heartbeat_seconds * 1000);
+          }
+        },
+        cancel() {
+          remove(subscriber);
+        },
+      });
+
+      signal?.addEventListener("abort", () => {
+        remove(subscriber);
+        try {
+          subscriber.controller?.close();
+        } catch (_err) {
+          // Already closed
+        }
+      });
+
+      return body;
+    },
+
+    // Deliver a streamPayload to subscribers of its market; returns the
+    // number of subscribers reached
+    publish(payload) {
+      const text = `event: metrics\ndata: ${JSON.stringify(payload)}\n\n`;
+      let delivered = 0;
+
+      for (const subscriber of subscribers) {
+        if (subscriber.keys.has(payload.market)) {
+          send(subscriber, text);
+          delivered += 1;
+        }
+      }
+
+      return delivered;
+    },
+  };
+}
@@ -0,0 +1,143 @@
+/**
+ * Observability
+ *
+ * Structured logs and server stats shared by the Cloudflare Worker and the
+ * Deno server.
+ *
+ * Logs are one JSON object per line: { time, level, msg, ...fields }, msg a
+ * snake_case event name. A logger made for a request (logger.child) adds
+ * its request_id to every line, so one request's lines can be pulled
+ * together; code without a request in hand logs through the base logger.
+ *
+ * Server stats count, per upstream (dome, exchange - see platforms.js),
+ * responses by status and a rolling window of latencies, and per cache
+ * layer, hits and misses. They are kept in memory since the process or
+ * isolate started, so on Workers /api/metrics/server reports the isolate
+ * that served it, not the deployment: Cloudflare runs many isolates and
+ * recycles them freely, and each counts only its own traffic. Every
+ * snapshot carries the instance_id and started_at of what it covers, so
+ * readings from different isolates aren't mistaken for one series.
+ */
+
+export const OBSERVABILITY_CONFIG = {
+  latency_samples: 500, // Most recent calls per upstream kept for percentiles
+};
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,64}$/;
+
+// =============================================================================
+// LOGGING
+// =============================================================================
+
+function writeLine(level, line) {
+  if (level === "error") console.error(line);
+  else if (level === "warn") console.warn(line);
+  else console.log(line);
+}
+
+// A logger with { info, warn, error }(msg, fields) and child(fields), which
+// binds fields to every line. Errors in fields are logged as their message.
+export function createLogger(context = {}) {
+  const log = (level) => (msg, fields = {}) => {
+    const entry = { time: new Date().toISOString(), level, msg, ...context };
+    for (const [key, value] of Object.entries(fields)) {
+      entry[key] = value instanceof Error ? value.message : value;
+    }
+    writeLine(level, JSON.stringify(entry));
+  };
+
+  return {
+    info: log("info"),
+    warn: log("warn"),
+    error: log("error"),
+    child: (fields) => createLogger({ ...context, ...fields }),
+  };
+}
+
+export const logger = createLogger();
+
+// The caller's X-Request-Id when it looks like one, else a fresh id
+export function requestIdFor(request) {
+  const given = request.headers.get("X-Request-Id");
+  return given && REQUEST_ID_PATTERN.test(given) ? given : crypto.randomUUID();
+}
+
+// =============================================================================
+// SERVER STATS
+// =============================================================================
+
+// Dome degradation, as opposed to a bad market id: network failures,
+// rate limiting and server errors
+function isUpstreamError(status) {
+  return status === "error" || status === 429 || status >= 500;
+}
+
+// Nearest-rank percentile of sorted values
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+}
+
+function ratio(part, total) {
+  return total > 0 ? Math.round(part / total * 10000) / 10000 : null;
+}
+
+// scope names what the counters cover ("isolate" on Workers, "process" for
+// the Deno server)
+export function createServerStats({ scope = "isolate", now = Date.now } = {}) {
+  const instanceId = crypto.randomUUID();
+  const startedAt = now();
+  const requests = { count: 0, statuses: {} };
+  const upstreams = new Map(); // name -> { calls, errors, statuses, latencies }
+  const caches = new Map(); // layer -> { hits, misses }
+
+  return {
+    recordRequest(status) {
+      requests.count += 1;
+      requests.statuses[status] = (requests.statuses[status] || 0) + 1;
+    },
+
+    // status is the HTTP status, or "error" when the call itself failed
+    recordUpstream(name, status, latencyMs) {
+      if (!upstreams.has(name)) upstreams.set(name, { calls: 0, errors: 0, statuses: {}, latencies: [] });
+      const upstream = upstreams.get(name);
+
+      upstream.calls += 1;
+      if (isUpstreamError(status)) upstream.errors += 1;
+      upstream.statuses[status] = (upstream.statuses[status] || 0) + 1;
+      upstream.latencies.push(latencyMs);
+      if (upstream.latencies.length > OBSERVABILITY_CONFIG.latency_samples) upstream.latencies.shift();
+    },
+
+    recordCache(layer, hit) {
+      if (!caches.has(layer)) caches.set(layer, { hits: 0, misses: 0 });
+      caches.get(layer)[hit ? "hits" : "misses"] += 1;
+    },
+
+    // Response body for /api/metrics/server
+    snapshot() {
+      return {
+        scope,
+        instance_id: instanceId,
+        started_at: new Date(startedAt).toISOString(),
+        uptime_seconds: Math.round((now() - startedAt) / 1000),
+        requests: { count: requests.count, statuses: { ...requests.statuses } },
+        upstreams: Object.fromEntries([...upstreams.entries()].map(([name, upstream]) => {
+          const sorted = [...upstream.latencies].sort((a, b) => a - b);
+          return [name, {
+            calls: upstream.calls,
+            errors: upstream.errors,
+            error_rate: ratio(upstream.errors, upstream.calls),
+            statuses: { ...upstream.statuses },
+            latency_ms: { p50: percentile(sorted, 0.5), p95: percentile(sorted, 0.95), samples: sorted.length },
+          }];
+        })),
+        cache: Object.fromEntries([...caches.entries()].map(([layer, { hits, misses }]) => [layer, {
+          hits,
+          misses,
+          hit_ratio: ratio(hits, hits + misses),
+        }])),
+      };
+    },
+  };
+}
@@ -0,0 +1,161 @@
+/**
+ * Order Book Simulator
+ *
+ * Executes hypothetical market orders against a normalized book
+ * ({ bids, asks } sorted best-first, prices in dollars) and prices the
+ * cost of pushing a market to a target price.
+ *
+ * Conventions:
+ * - Buying Yes walks the asks; selling Yes walks the bids.
+ * - A sell is priced as the equivalent No purchase: hitting a bid at p
+ *   commits (1 - p) per share, so both directions report capital at risk.
+ * - Partially consumed levels are filled only as far as needed.
+ */
+
+// Smallest fill that prints a trade at a level (one share / contract)
+const MIN_LOT = 1;
+
+const PRICE_EPSILON = 1e-9;
+
+// =============================================================================
+// MARKET ORDER EXECUTION
+// =============================================================================
+
+// Execute a market order. side: "buy" | "sell". Limit the order with any of:
+//   shares     - stop after this many shares
+//   notional   - stop after this much capital (see conventions above)
+//   limitPrice - do not fill beyond this price
+// With no limits the order sweeps the whole side. feePerShare(price), if
+// given, is the fee for one share filled at that level's (Yes) price; fees
+// are reported separately and do not count toward notional.
+export function simulateMarketOrder(book, side, { shares, notional, limitPrice, feePerShare } = {}) {
+  const levels = side === "buy" ? (book.asks || []) : (book.bids || []);
+  const capitalPerShare = (price) => (side === "buy" ? price : 1 - price);
+
+  let sharesFilled = 0;
+  let capital = 0;
+  let cashValue = 0; // Sum of price * size at Yes prices
+  let fees = 0;
+  let levelsConsumed = 0;
+  let finalPrice = null;
+  let partialLevel = false;
+
+  for (const level of levels) {
+    if (limitPrice !== undefined) {
+      const beyondLimit = side === "buy"
+        ? level.price > limitPrice + PRICE_EPSILON
+        : level.price < limitPrice - PRICE_EPSILON;
+      if (beyondLimit) break;
+    }
+
+    let take = level.size;
+    if (shares !== undefined) {
+      take = Math.min(take, shares - sharesFilled);
+    }
+    if (notional !== undefined) {
+      take = Math.min(take, (notional - capital) / capitalPerShare(level.price));
+    }
+    if (take <= PRICE_EPSILON) break;
+
+    sharesFilled += take;
+    capital += take * capitalPerShare(level.price);
+    cashValue += take * level.price;
+    if (feePerShare) fees += take * feePerShare(level.price);
+    levelsConsumed += 1;
+    finalPrice = level.price;
+    partialLevel = take < level.size;
+
+    if (partialLevel) break;
+  }
+
+  const requested = shares !== undefined || notional !== undefined;
+  const fullyFilled = shares !== undefined
+    ? sharesFilled >= shares - PRICE_EPSILON
+    : notional !== undefined
+      ? capital >= notional - PRICE_EPSILON
+      : true;
+
+  return {
+    side,
+    shares_filled: sharesFilled,
+    total_cost: capital,
+    fees,
+    avg_fill_price: sharesFilled > 0 ? cashValue / sharesFilled : null,
+    final_price: finalPrice,
+    levels_consumed: levelsConsumed,
+    partial_level: partialLevel,
+    fully_filled: requested ? fullyFilled : levelsConsumed === levels.length,
+  };
+}
+
+// =============================================================================
+// PRICE MOVES
+// =============================================================================
+
+export function bookMidpoint(book) {
+  const bids = book.bids || [];
+  const asks = book.asks || [];
+  if (bids.length === 0 || asks.length === 0) return null;
+  return (bids[0].price + asks[0].price) / 2;
+}
+
+// Cheapest order that makes a trade print at or through targetPrice.
+// Levels strictly better than the target are swept; the level that
+// straddles the target is only partially consumed (MIN_LOT) to print
+// there. Returns null when the book runs out before reaching the target.
+export function simulateMoveToPrice(book, targetPrice) {
+  const midpoint = bookMidpoint(book);
+  const bestAsk = book.asks?.[0]?.price ?? null;
+  const bestBid = book.bids?.[0]?.price ?? null;
+
+  let side;
+  if (midpoint !== null) {
+    side = targetPrice > midpoint ? "buy" : "sell";
+  } else if (bestAsk !== null && targetPrice > bestAsk) {
+    side = "buy";
+  } else if (bestBid !== null && targetPrice < bestBid) {
+    side = "sell";
+  } else {
+    return null;
+  }
+
+  const levels = side === "buy" ? (book.asks || []) : (book.bids || []);
+  const reached = (price) => (side === "buy"
+    ? price >= targetPrice - PRICE_EPSILON
+    : price <= targetPrice + PRICE_EPSILON);
+
+  const straddleIndex = levels.findIndex(level => reached(level.price));
+  if (straddleIndex === -1) return null; // Not enough depth
+
+  const sweepShares = levels.slice(0, straddleIndex).reduce((sum, level) => sum + level.size, 0);
+  const straddleLot = Math.min(MIN_LOT, levels[straddleIndex].size);
+
+  const fill = simulateMarketOrder(book, side, { shares: sweepShares + straddleLot });
+
+  return {
+    ...fill,
+    start_price: midpoint,
+    target_price: targetPrice,
+  };
+}
+
+// Move the price `move` dollars up or down from the midpoint. Without a
+// two-sided book the move is measured from the best price on the side
+// being walked.
+export function simulateMove(book, direction, move) {
+  const midpoint = bookMidpoint(book);
+  const reference = midpoint !== null
+    ? midpoint
+    : direction === "up" ? book.asks?.[0]?.price : book.bids?.[0]?.price;
+
+  if (reference === undefined || reference === null) return null;
+
+  const target = direction === "up" ? reference + move : reference - move;
+  if (target <= 0 || target >= 1) return null;
+
+  const result = simulateMoveToPrice(book, target);
+  if (result && result.start_price === null) {
+    result.start_price = reference;
+  }
+  return result;
+}
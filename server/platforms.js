@@ -0,0 +1,508 @@
+/**
+ * Platform adapters
+ *
+ * Everything platform-specific about pulling a market lives here, so
+ * pricing-core.js only sees normalized data:
+ *   orderbook - [bids, asks, observed_at] with levels { price, size },
+ *               Yes-side prices in dollars, and observed_at the snapshot
+ *               time in ms (null when the venue does not report one)
+ *   trades    - { price, size, timestamp, side, trader } with timestamp in
+ *               ms, side "buy" | "sell" (the taker's side on Yes) and
+ *               trader an address; side and trader are null when the
+ *               venue does not report them (see trade-cleaning.js)
+ * Sizes are in units that pay $1 at settlement, so size x price is a dollar
+ * amount that compares across venues.
+ *
+ * An adapter describes:
+ *   id, name            - platform key used in routes and stream keys, display name
+ *   id_param            - what the market identifier is called
+ *   id_pattern          - identifier format, checked before any upstream call
+ *   source(runtime)     - { baseUrl, headers }, or null when not configured
+ *   upstream            - name the source's latency and errors are counted
+ *                         under (see observability.js)
+ *   orderbookRequest(marketId) / tradesRequest(marketId, startSec, endSec)
+ *                       - { path, params } relative to the source
+ *   normalizeOrderbook(data, runtime) - [bids, asks, observed_at], or null when there is no book
+ *   parseTradesPage(data)    - { trades (raw), cursor, has_more }; has_more
+ *                              without a cursor means offset pagination
+ *   cursor_param        - query param carrying the next page's cursor
+ *   normalizeTrade(raw, runtime) - normalized trade
+ *   taker_fee(price, runtime) - fee in dollars per $1 unit bought at price
+ *                       (a Yes buy at p, or a Yes sell at p as a No buy at 1 - p)
+ *   event_id_pattern / eventRequest(eventId)
+ *                       - multi-outcome event identifier format and request
+ *   parseEvent(data)    - { title, outcomes: [{ name, market_id }] }, each
+ *                         outcome a binary market identified like any other,
+ *                         or null when the event is unknown
+ *   marketRequest(marketId) / parseMarket(data, marketId)
+ *                       - the market's metadata, normalized to { status,
+ *                         close_time, resolved_at, resolved_outcome,
+ *                         settlement_price } (see marketInfo), or null when
+ *                         the venue does not know the market
+ *
+ * Polymarket and Kalshi are read through Dome; a Polymarket share and a
+ * Kalshi contract both pay $1. The exchange adapter reads any venue that
+ * exposes a plain REST order book and trade tape (configured per runtime,
+ * see createRuntime venues), scaling sizes by the venue's contractValue and
+ * reading prices in its priceUnit.
+ */
+
+// =============================================================================
+// SHARED PARSING
+// =============================================================================
+
+// A price in its field's unit, "dollars" (0-1) or "cents" (0-100), in
+// dollars. The unit comes from the field, never from the value: 1 is a
+// dollar in one and a cent in the other.
+function toDollars(value, unit) {
+  const price = Number(value);
+  return unit === "cents" ? price / 100 : price;
+}
+
+function pushLevel(levels, price, size) {
+  if (price > 0 && price < 1 && size > 0) {
+    levels.push({ price, size });
+  }
+}
+
+// Numeric timestamps below 1e12 are seconds, otherwise milliseconds
+function toMillis(value) {
+  const timestamp = Number(value);
+  return timestamp < 1e12 ? timestamp * 1000 : timestamp;
+}
+
+function domeSource(runtime) {
+  if (!runtime.apiKey) return null;
+  return { baseUrl: runtime.domeBaseUrl, headers: { Authorization: `Bearer ${runtime.apiKey}` } };
+}
+
+// A time in s, ms or ISO form as ms, or null when missing
+function optionalMillis(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const numeric = Number(value);
+  if (Number.isFinite(numeric)) return toMillis(numeric);
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+// Snapshot time in ms, or null when the venue sends none
+function snapshotTime(snapshot) {
+  return optionalMillis(snapshot?.timestamp ?? snapshot?.t);
+}
+
+// Dome returns snapshot lists, usually newest first; take the newest by
+// timestamp rather than trusting the order
+function latestDomeSnapshot(data) {
+  const snapshots = data.snapshots || data.data || (Array.isArray(data) ? data : []);
+  return snapshots.reduce((latest, snapshot) => (
+    !latest || snapshotTime(snapshot) > snapshotTime(latest) ? snapshot : latest
+  ), null);
+}
+
+function parseDomeTradesPage(data) {
+  const pagination = Array.isArray(data) ? null : data.pagination;
+  const cursor = pagination?.pagination_key || pagination?.next_cursor || null;
+
+  return {
+    trades: Array.isArray(data) ? data : (data.trades || data.orders || data.data || []),
+    cursor,
+    has_more: pagination ? (pagination.has_more ?? !!cursor) : false,
+  };
+}
+
+// "buy"/"sell", or Kalshi's taker_side "yes"/"no", to a Yes-side direction
+function toSide(value) {
+  const side = String(value || "").toLowerCase();
+  if (side === "buy" || side === "yes") return "buy";
+  if (side === "sell" || side === "no") return "sell";
+  return null;
+}
+
+// Dome trade fields differ by platform and API version
+function normalizeDomeTrade(trade) {
+  return {
+    price: Number(trade.price || trade.p || trade.yes_price_dollars),
+    size: Number(trade.shares_normalized || trade.shares || trade.size || trade.amount || trade.s || trade.count || 1),
+    timestamp: toMillis(trade.timestamp || trade.t || trade.time || trade.created_at || trade.created_time),
+    side: toSide(trade.side || trade.taker_side),
+    trader: trade.user || trade.taker || null,
+  };
+}
+
+// Dome market listings, filtered to one event or one market
+function domeMarkets(data) {
+  const markets = data?.markets || data?.data || (Array.isArray(data) ? data : []);
+  return markets.length > 0 ? markets : null;
+}
+
+// Normalized market metadata:
+//   status           - "open", "closed" (halted or past its close, not yet
+//                      resolved) or "resolved"
+//   close_time       - when trading is scheduled to stop (ms), or null
+//   resolved_at      - when it resolved (ms), or null
+//   resolved_outcome - "yes", "no" or "split" (paid out in between)
+//   settlement_price - what the market's Yes side paid per $1 unit
+// A settlement price is what makes a market resolved.
+function marketInfo(status, closeTime, settlementPrice = null, resolvedAt = null) {
+  const resolved = settlementPrice !== null && Number.isFinite(settlementPrice);
+  return {
+    status: resolved ? "resolved" : status,
+    close_time: closeTime,
+    resolved_at: resolved ? resolvedAt : null,
+    resolved_outcome: !resolved ? null : settlementPrice === 1 ? "yes" : settlementPrice === 0 ? "no" : "split",
+    settlement_price: resolved ? settlementPrice : null,
+  };
+}
+
+// "yes"/"no" results to a settlement price, null otherwise
+function resultPrice(result) {
+  const outcome = String(result || "").toLowerCase();
+  return outcome === "yes" ? 1 : outcome === "no" ? 0 : null;
+}
+
+// =============================================================================
+// ADAPTERS
+// =============================================================================
+
+const polymarket = {
+  id: "polymarket",
+  name: "Polymarket",
+  id_param: "token_id",
+  id_pattern: /^\d+$/,
+  source: domeSource,
+  upstream: "dome",
+  cursor_param: "pagination_key",
+
+  orderbookRequest: (tokenId) => ({ path: "polymarket/orderbooks", params: { token_id: tokenId } }),
+
+  normalizeOrderbook(data) {
+    const snapshot = latestDomeSnapshot(data);
+    if (!snapshot) return null;
+
+    const bids = [];
+    const asks = [];
+    for (const bid of snapshot.bids || []) pushLevel(bids, Number(bid.price || bid.p), Number(bid.size || bid.s));
+    for (const ask of snapshot.asks || []) pushLevel(asks, Number(ask.price || ask.p), Number(ask.size || ask.s));
+    return [bids, asks, snapshotTime(snapshot)];
+  },
+
+  tradesRequest: (tokenId, startSec, endSec) => ({
+    path: "polymarket/orders",
+    params: { token_id: tokenId, start_time: startSec, end_time: endSec },
+  }),
+
+  parseTradesPage: parseDomeTradesPage,
+  normalizeTrade: normalizeDomeTrade,
+
+  // No trading fees on standard markets
+  taker_fee: () => 0,
+
+  event_id_pattern: /^[a-z0-9][a-z0-9-]*$/,
+  eventRequest: (slug) => ({ path: "polymarket/markets", params: { event_slug: slug, limit: 100 } }),
+
+  // Each outcome is its own market; side_a is its Yes token
+  parseEvent(data) {
+    const markets = domeMarkets(data);
+    if (!markets) return null;
+
+    return {
+      title: markets[0].event_title || markets[0].event_slug || null,
+      outcomes: markets
+        .filter(m => m.side_a?.id)
+        .map(m => ({ name: m.group_item_title || m.title || m.market_slug, market_id: String(m.side_a.id) })),
+    };
+  },
+
+  marketRequest: (tokenId) => ({ path: "polymarket/markets", params: { token_id: tokenId } }),
+
+  // The token may be either side of its market, so it settles at 1 when it
+  // is the winning side. winning_side is a side ({ id, label }) or its label.
+  parseMarket(data, tokenId) {
+    const market = domeMarkets(data)?.[0];
+    if (!market) return null;
+
+    const sides = [market.side_a, market.side_b].filter(Boolean);
+    const winner = market.winning_side;
+    const winning = winner && typeof winner === "object" ? winner : sides.find(side => side.label === winner);
+    const settlement = winning?.id !== undefined ? (String(winning.id) === tokenId ? 1 : 0) : null;
+
+    return marketInfo(
+      market.status === "closed" ? "closed" : "open",
+      optionalMillis(market.end_time),
+      settlement,
+      optionalMillis(market.completed_time ?? market.close_time)
+    );
+  },
+};
+
+const kalshi = {
+  id: "kalshi",
+  name: "Kalshi",
+  id_param: "ticker",
+  id_pattern: /^[A-Za-z0-9][A-Za-z0-9._-]*$/,
+  source: domeSource,
+  upstream: "dome",
+  cursor_param: "pagination_key",
+
+  orderbookRequest: (ticker) => ({ path: "kalshi/orderbooks", params: { ticker } }),
+
+  // yes/no arrays of [price, quantity], in dollars as yes_dollars/no_dollars
+  // or else in cents. Yes orders are bids; buying No at X is selling Yes at
+  // 1 - X, so No orders become asks.
+  normalizeOrderbook(data) {
+    const snapshot = latestDomeSnapshot(data);
+    if (!snapshot) return null;
+
+    const book = snapshot.orderbook || {};
+    const [yes, yesUnit] = book.yes_dollars ? [book.yes_dollars, "dollars"] : [book.yes || [], "cents"];
+    const [no, noUnit] = book.no_dollars ? [book.no_dollars, "dollars"] : [book.no || [], "cents"];
+    const bids = [];
+    const asks = [];
+    for (const [price, qty] of yes) pushLevel(bids, toDollars(price, yesUnit), Number(qty));
+    for (const [price, qty] of no) pushLevel(asks, 1 - toDollars(price, noUnit), Number(qty));
+    return [bids, asks, snapshotTime(snapshot)];
+  },
+
+  tradesRequest: (ticker, startSec, endSec) => ({
+    path: "kalshi/trades",
+    params: { ticker, start_time: startSec, end_time: endSec },
+  }),
+
+  parseTradesPage: parseDomeTradesPage,
+  normalizeTrade: normalizeDomeTrade,
+
+  // Kalshi's general schedule: 0.07 x P x (1 - P) per contract (before
+  // rounding the order total up to the cent)
+  taker_fee: (price) => 0.07 * price * (1 - price),
+
+  event_id_pattern: /^[A-Za-z0-9][A-Za-z0-9._-]*$/,
+  eventRequest: (eventTicker) => ({ path: "kalshi/markets", params: { event_ticker: eventTicker, limit: 100 } }),
+
+  parseEvent(data) {
+    const markets = domeMarkets(data);
+    if (!markets) return null;
+
+    return {
+      title: markets[0].event_title || markets[0].event_ticker || null,
+      outcomes: markets
+        .filter(m => m.market_ticker || m.ticker)
+        .map(m => ({ name: m.yes_subtitle || m.title || m.market_ticker || m.ticker, market_id: m.market_ticker || m.ticker })),
+    };
+  },
+
+  marketRequest: (ticker) => ({ path: "kalshi/markets", params: { market_ticker: ticker } }),
+
+  // result is "yes" or "no" once settled; Kalshi calls a tradable market
+  // "active", Dome "open"
+  parseMarket(data) {
+    const market = domeMarkets(data)?.[0];
+    if (!market) return null;
+
+    const status = String(market.status || "").toLowerCase();
+    return marketInfo(
+      status === "open" || status === "active" ? "open" : "closed",
+      optionalMillis(market.close_time ?? market.end_time),
+      resultPrice(market.result),
+      optionalMillis(market.settlement_time ?? market.close_time)
+    );
+  },
+};
+
+// A conventional exchange API:
+//   GET {base}/orderbook?symbol=  -> { bids: [[price, size]], asks: [[price, size]], timestamp? }
+//   GET {base}/trades?symbol=&start_time=&end_time=&limit=&cursor=
+//                                 -> { trades: [{ price, size, timestamp, side?, trader? }], next_cursor }
+//   GET {base}/events?event_id=   -> { title, markets: [{ symbol, name }] }
+//   GET {base}/markets?symbol=    -> { symbol, status, close_time?, result?, settlement_price?, settled_at? }
+// Prices as probabilities in dollars (0-1), or in cents with the venues
+// option priceUnit "cents"; sizes in contracts; timestamps in s or ms.
+// settlement_price is in dollars per contract dollar (0-1) and wins over a
+// "yes"/"no" result.
+
+// Dollars paid per exchange contract (venues option contractValue, default 1)
+function exchangeContractValue(runtime) {
+  const value = Number(runtime?.venues?.exchange?.contractValue);
+  return value > 0 ? value : 1;
+}
+
+// Unit of book and trade prices (venues option priceUnit, default "dollars")
+function exchangePriceUnit(runtime) {
+  return String(runtime?.venues?.exchange?.priceUnit || "").toLowerCase() === "cents" ? "cents" : "dollars";
+}
+
+// Taker fee as a fraction of notional (venues option takerFeeRate, default 0)
+function exchangeFeeRate(runtime) {
+  const value = Number(runtime?.venues?.exchange?.takerFeeRate);
+  return value > 0 ? value : 0;
+}
+
+const exchange = {
+  id: "exchange",
+  name: "Exchange",
+  id_param: "symbol",
+  id_pattern: /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/,
+  cursor_param: "cursor",
+  upstream: "exchange",
+
+  source(runtime) {
+    const venue = runtime.venues?.exchange;
+    if (!venue?.baseUrl) return null;
+    return {
+      baseUrl: venue.baseUrl.replace(/\/$/, ""),
+      headers: venue.apiKey ? { Authorization: `Bearer ${venue.apiKey}` } : {},
+    };
+  },
+
+  orderbookRequest: (symbol) => ({ path: "orderbook", params: { symbol } }),
+
+  normalizeOrderbook(data, runtime) {
+    if (!data || (!data.bids && !data.asks)) return null;
+
+    const unit = exchangeContractValue(runtime);
+    const priceUnit = exchangePriceUnit(runtime);
+    const bids = [];
+    const asks = [];
+    for (const [price, size] of data.bids || []) pushLevel(bids, toDollars(price, priceUnit), Number(size) * unit);
+    for (const [price, size] of data.asks || []) pushLevel(asks, toDollars(price, priceUnit), Number(size) * unit);
+    return [bids, asks, snapshotTime(data)];
+  },
+
+  tradesRequest: (symbol, startSec, endSec) => ({
+    path: "trades",
+    params: { symbol, start_time: startSec, end_time: endSec },
+  }),
+
+  parseTradesPage: (data) => ({
+    trades: data.trades || [],
+    cursor: data.next_cursor || null,
+    has_more: !!data.next_cursor,
+  }),
+
+  normalizeTrade: (trade, runtime) => ({
+    price: toDollars(trade.price, exchangePriceUnit(runtime)),
+    size: Number(trade.size || trade.quantity || 1) * exchangeContractValue(runtime),
+    timestamp: toMillis(trade.timestamp),
+    side: toSide(trade.side),
+    trader: trade.trader || null,
+  }),
+
+  taker_fee: (price, runtime) => exchangeFeeRate(runtime) * price,
+
+  event_id_pattern: /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/,
+  eventRequest: (eventId) => ({ path: "events", params: { event_id: eventId } }),
+
+  parseEvent(data) {
+    if (!Array.isArray(data?.markets) || data.markets.length === 0) return null;
+    return {
+      title: data.title || null,
+      outcomes: data.markets.filter(m => m.symbol).map(m => ({ name: m.name || m.symbol, market_id: m.symbol })),
+    };
+  },
+
+  marketRequest: (symbol) => ({ path: "markets", params: { symbol } }),
+
+  parseMarket(data) {
+    if (!data?.status) return null;
+
+    const status = String(data.status).toLowerCase();
+    const settlement = data.settlement_price !== undefined && data.settlement_price !== null
+      ? Number(data.settlement_price)
+      : resultPrice(data.result);
+    return marketInfo(
+      status === "open" || status === "active" || status === "trading" ? "open" : "closed",
+      optionalMillis(data.close_time),
+      settlement,
+      optionalMillis(data.settled_at)
+    );
+  },
+};
+
+const ADAPTERS = { polymarket, kalshi, exchange };
+
+export const PLATFORMS = Object.keys(ADAPTERS);
+
+export function getPlatformAdapter(platform) {
+  return Object.hasOwn(ADAPTERS, platform) ? ADAPTERS[platform] : null;
+}
+
+// Error message for a bad platform/identifier pair, or null when valid
+export function validateMarketId(platform, marketId) {
+  const adapter = getPlatformAdapter(platform);
+  if (!adapter) {
+    return `Unknown platform "${platform}" (supported: ${PLATFORMS.join(", ")})`;
+  }
+  if (!marketId || !adapter.id_pattern.test(marketId)) {
+    return `Invalid ${adapter.name} ${adapter.id_param}: ${marketId || "(empty)"}`;
+  }
+  return null;
+}
+
+// Error message for a bad platform/event pair, or null when valid
+export function validateEventId(platform, eventId) {
+  const adapter = getPlatformAdapter(platform);
+  if (!adapter) {
+    return `Unknown platform "${platform}" (supported: ${PLATFORMS.join(", ")})`;
+  }
+  if (!eventId || !adapter.event_id_pattern.test(eventId)) {
+    return `Invalid ${adapter.name} event id: ${eventId || "(empty)"}`;
+  }
+  return null;
+}
+
+// =============================================================================
+// COMBINED MARKET LEGS
+// =============================================================================
+
+// A combined market is a list of legs, { platform, token_id }, at most one
+// per platform. As strings a leg is "platform:token_id" (also the stream key).
+
+export function legKey(leg) {
+  return `${leg.platform}:${leg.token_id}`;
+}
+
+// Parse legs given as "platform:id" strings or { platform, token_id }
+// objects into { legs } or { error }
+export function parseLegs(input) {
+  const items = Array.isArray(input) ? input : [];
+  if (items.length === 0) {
+    return { error: "Provide at least one leg as platform:token_id" };
+  }
+
+  const legs = [];
+  for (const item of items) {
+    const [platform, tokenId] = typeof item === "string"
+      ? item.trim().split(/:(.*)/s)
+      : [item?.platform, item?.token_id !== undefined ? String(item.token_id) : undefined];
+
+    const invalid = validateMarketId(platform, tokenId);
+    if (invalid) return { error: invalid };
+    if (legs.some(leg => leg.platform === platform)) {
+      return { error: `At most one ${platform} leg per combined market` };
+    }
+    legs.push({ platform, token_id: tokenId });
+  }
+
+  return { legs };
+}
+
+// Legs for a combined spec: { legs } or the original { pm_token, k_ticker }
+export function combinedLegs(spec) {
+  if (Array.isArray(spec.legs)) return spec.legs;
+
+  return [
+    spec.pm_token ? { platform: "polymarket", token_id: String(spec.pm_token) } : null,
+    spec.k_ticker ? { platform: "kalshi", token_id: String(spec.k_ticker) } : null,
+  ].filter(Boolean);
+}
+
+// Legs from /api/metrics/combined query params: legs=platform:id,... or
+// the original pm_token/k_ticker pair. Returns { legs } or { error }.
+export function parseCombinedParams(searchParams) {
+  const legs = searchParams.get("legs");
+  if (legs) return parseLegs(legs.split(","));
+
+  return parseLegs(combinedLegs({
+    pm_token: searchParams.get("pm_token"),
+    k_ticker: searchParams.get("k_ticker"),
+  }));
+}
@@ -0,0 +1,1758 @@
+/**
+ * Bellwether Pricing Core
+ *
+ * Runtime-agnostic pricing shared by the Cloudflare Worker and the Deno
+ * server, so both return identical payloads for identical inputs.
+ *
+ * Tiered Pricing System:
+ * - Tier 1: 6h VWAP (10+ trades) - Full reportability
+ * - Tier 2: 12h/24h VWAP (10+ trades) - Reportability downgraded one level
+ * - Tier 3: Order book midpoint (no trades) - Capped at Caution
+ * - Tier 4: Last known VWAP (stale) - Always Fragile
+ *
+ * price_interval is an uncertainty band around the price: the VWAP's
+ * standard error from its trades, widened by the spread and by tier (see
+ * computeIntervalHalfWidth). Only tiered prices have one; a price from
+ * another ?method= strategy reports null.
+ *
+ * Every price component carries its observation time: freshness holds
+ * observed_at and age_seconds for the price, the book and the last trade.
+ * A component older than CONFIG.max_price_age_hours is not used, so past
+ * that age the server publishes no price rather than a stale one.
+ *
+ * Trades are cleaned before any VWAP (see trade-cleaning.js); responses
+ * report what was excluded in vwap_details.trade_cleaning.
+ *
+ * ?method= swaps the tiered VWAP for another strategy in
+ * pricing-strategies.js; every response names it under pricing.
+ *
+ * Combined markets price each platform on its own and blend the results by
+ * book depth and recent volume (see computeCrossplatformTieredPrice).
+ *
+ * Market metadata (status, close time, resolution) comes from the platform
+ * adapters and is reported under market. A resolved market is priced at its
+ * settlement value, with nothing computed from its book or trades (see
+ * settledFields).
+ *
+ * Entry points supply a runtime (see createRuntime):
+ *   apiKey      - Dome API key
+ *   store       - { get(key), put(key, value, ttlSeconds) } holding JSON
+ *                 values, or null to run without caching
+ *   domeBaseUrl - optional override of the Dome REST base
+ *   venues      - upstreams for platforms not read through Dome, keyed by
+ *                 platform: { exchange: { baseUrl, apiKey, contractValue, priceUnit, takerFeeRate } }
+ *   history     - optional { read(platform, tokenId, fromMs, toMs) } over
+ *                 stored snapshots ({ t, midpoint, ... }), for strategies
+ *                 that price off past midpoints
+ *   onMetrics   - optional hook called with (spec, metrics) whenever
+ *                 metrics are recomputed rather than served from cache
+ *   logger      - structured logger (see observability.js); scopeToRequest
+ *                 binds the request id
+ *   stats       - optional server stats, fed with upstream latencies and
+ *                 statuses and cache hits (see createServerStats)
+ *
+ * A runtime also carries a per-request memo of Dome pulls. Entry points
+ * that keep one runtime for their lifetime (the Deno server) take a fresh
+ * memo per request with scopeToRequest.
+ */
+
+import { simulateMarketOrder, simulateMove, simulateMoveToPrice } from "./orderbook-simulator.js";
+import { combinedLegs, getPlatformAdapter, legKey, parseLegs, validateMarketId } from "./platforms.js";
+import { DEFAULT_PRICING_METHOD, getPricingStrategy, parsePricingOptions } from "./pricing-strategies.js";
+import { capTraderShare, cleanTrades, summarizeCleaning } from "./trade-cleaning.js";
+import { logger as baseLogger } from "./observability.js";
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+export const DOME_REST_BASE = "https://api.domeapi.io/v1";
+
+export const CONFIG = {
+  cache_ttl_ms: 600000, // 10 minutes cache TTL
+  dome_cache_ttl_seconds: 60, // Raw Dome orderbook/trade responses (KV minimum is 60)
+  market_info_ttl_seconds: 300, // Market metadata (status, close time, resolution) changes rarely
+  trades_page_limit: 1000, // Trades requested per Dome page
+  trades_max_pages: 5, // Pages (subrequests) per trade pull before reporting it truncated
+  min_trades_for_vwap: 10,
+  vwap_windows: [6, 12, 24],
+  move_size: 0.05, // Price move used for cost_to_move_5c and reportability
+  cost_curve_moves: [0.02, 0.05, 0.10], // Move sizes reported in robustness.cost_curve
+  max_execution_size: 10000000, // Largest ?size= notional (USD) for executable prices
+  reportability_thresholds: {
+    caution: 10000, // Min cost to move (USD) to rate above fragile
+    reportable: 100000, // Min cost to move (USD) to rate reportable
+  },
+  subrequest_limit: 50, // Upstream fetches per request (the Workers free plan; SUBREQUEST_LIMIT raises it)
+  batch_concurrency: 4, // Markets fetched from Dome at once within a batch
+  stale_vwap_ttl_seconds: 604800, // Keep the last good VWAP for 7 days
+  max_price_age_hours: 120, // Oldest observation (book snapshot, stored VWAP) a published price may rest on
+  combine_weights: { depth: 0.5, recency: 0.5 }, // How cross-platform leg weights split between book depth and recent volume
+  combine_recency_half_life_hours: 6, // Decay of trade volume when weighting legs by recency
+  price_interval: {
+    z: 1.96, // Standard errors either side of a VWAP (95%)
+    spread_share: 0.5, // Share of the bid-ask spread added to the half-width
+    tier_multipliers: { 1: 1, 2: 1.5, 3: 2 }, // Widening for weaker tiers
+    min_half_width: 0.005,
+    stale_half_width: 0.1, // Tier 4: the last good VWAP may be days old
+  },
+  stream_max_markets: 50, // Markets per /api/stream subscription
+  stream_heartbeat_seconds: 25, // Keep-alive comments on idle streams
+};
+
+export const PRICE_TIERS = {
+  1: "6h VWAP (10+ trades) - Full reportability",
+  2: "12h/24h VWAP (10+ trades) - Reportability downgraded one level",
+  3: "Order book midpoint - Capped at Caution",
+  4: "Last known VWAP (stale) - Always Fragile",
+};
+
+// Non-secret overrides from the environment (wrangler.toml [vars] or
+// Deno env). env is a plain object of strings.
+export function applyConfigOverrides(env) {
+  const number = (value) => (value !== undefined && value !== "" && Number.isFinite(Number(value)) ? Number(value) : null);
+
+  const caution = number(env.REPORTABILITY_CAUTION_USD);
+  const reportable = number(env.REPORTABILITY_REPORTABLE_USD);
+  const moveSize = number(env.MOVE_SIZE);
+  const domeCacheTtl = number(env.DOME_CACHE_TTL_SECONDS);
+  const maxPages = number(env.TRADES_MAX_PAGES);
+  const maxPriceAge = number(env.MAX_PRICE_AGE_HOURS);
+  const subrequestLimit = number(env.SUBREQUEST_LIMIT);
+
+  if (caution !== null) CONFIG.reportability_thresholds.caution = caution;
+  if (reportable !== null) CONFIG.reportability_thresholds.reportable = reportable;
+  if (moveSize !== null) CONFIG.move_size = moveSize;
+  if (domeCacheTtl !== null) CONFIG.dome_cache_ttl_seconds = domeCacheTtl;
+  if (maxPages !== null && maxPages >= 1) CONFIG.trades_max_pages = Math.floor(maxPages);
+  if (maxPriceAge !== null && maxPriceAge > 0) CONFIG.max_price_age_hours = maxPriceAge;
+  if (subrequestLimit !== null && subrequestLimit >= 1) CONFIG.subrequest_limit = Math.floor(subrequestLimit);
+  if (env.COST_CURVE_MOVES) {
+    const moves = String(env.COST_CURVE_MOVES).split(",").map(Number).filter(m => m > 0 && m < 1);
+    if (moves.length > 0) CONFIG.cost_curve_moves = moves;
+  }
+}
+
+/**
+ * @param {{ apiKey?: string, store?: object | null, domeBaseUrl?: string, venues?: object, history?: object | null, onMetrics?: Function | null, logger?: object, stats?: object | null }} [options]
+ */
+export function createRuntime({ apiKey = "", store = null, domeBaseUrl = DOME_REST_BASE, venues = {}, history = null, onMetrics = null, logger = baseLogger, stats = null } = {}) {
+  return { apiKey, store, domeBaseUrl, venues, history, onMetrics, logger, stats, memo: new Map() };
+}
+
+// Same runtime with an empty memo, for serving one request
+export function scopeToRequest(runtime, requestId = null) {
+  return { ...runtime, memo: new Map(), logger: requestId ? runtime.logger.child({ request_id: requestId }) : runtime.logger };
+}
+
+// =============================================================================
+// UPSTREAM API FUNCTIONS (via platform adapters)
+// =============================================================================
+
+// Join an adapter request onto its source
+function upstreamUrl(source, { path, params }) {
+  const query = new URLSearchParams(Object.entries(params).map(([k, v]) => [k, String(v)]));
+  return `${source.baseUrl}/${path}?${query}`;
+}
+
+// fetch() an adapter request, timing it into the runtime's stats
+async function fetchUpstream(runtime, adapter, source, request) {
+  const started = Date.now();
+  try {
+    const response = await fetch(upstreamUrl(source, request), { headers: source.headers });
+    runtime.stats?.recordUpstream(adapter.upstream, response.status, Date.now() - started);
+    return response;
+  } catch (err) {
+    runtime.stats?.recordUpstream(adapter.upstream, "error", Date.now() - started);
+    throw err;
+  }
+}
+
+export async function fetchOrderbook(runtime, platform, tokenId) {
+  const adapter = getPlatformAdapter(platform);
+  const source = adapter?.source(runtime);
+  if (!source) {
+    runtime.logger.error("upstream_not_configured", { platform });
+    return null;
+  }
+
+  try {
+    const response = await fetchUpstream(runtime, adapter, source, adapter.orderbookRequest(tokenId));
+
+    if (!response.ok) {
+      const text = await response.text();
+      runtime.logger.error("orderbook_fetch_failed", { platform, market_id: tokenId, status: response.status, body: text.slice(0, 200) });
+      return null;
+    }
+
+    const book = adapter.normalizeOrderbook(await response.json(), runtime);
+    if (!book) {
+      runtime.logger.warn("orderbook_empty", { platform, market_id: tokenId });
+      return null;
+    }
+
+    const [bids, asks, observedAt] = book;
+    bids.sort((a, b) => b.price - a.price);
+    asks.sort((a, b) => a.price - b.price);
+
+    // Without a venue timestamp the book is as of this fetch
+    return [bids, asks, observedAt ?? Date.now()];
+  } catch (err) {
+    runtime.logger.error("orderbook_fetch_error", { platform, market_id: tokenId, error: err });
+    return null;
+  }
+}
+
+// An event's outcome markets, { title, outcomes } (see platforms.js), or null
+export async function fetchEvent(runtime, platform, eventId) {
+  const adapter = getPlatformAdapter(platform);
+  const source = adapter?.source(runtime);
+  if (!source) {
+    runtime.logger.error("upstream_not_configured", { platform });
+    return null;
+  }
+
+  try {
+    const response = await fetchUpstream(runtime, adapter, source, adapter.eventRequest(eventId));
+
+    if (!response.ok) {
+      const text = await response.text();
+      runtime.logger.error("event_fetch_failed", { platform, event_id: eventId, status: response.status, body: text.slice(0, 200) });
+      return null;
+    }
+
+    const event = adapter.parseEvent(await response.json());
+    if (!event || event.outcomes.length === 0) {
+      runtime.logger.warn("event_empty", { platform, event_id: eventId });
+      return null;
+    }
+    return event;
+  } catch (err) {
+    runtime.logger.error("event_fetch_error", { platform, event_id: eventId, error: err });
+    return null;
+  }
+}
+
+// A market's metadata, { status, close_time, ... } (see platforms.js), or
+// null when the venue does not report it
+export async function fetchMarketInfo(runtime, platform, tokenId) {
+  const adapter = getPlatformAdapter(platform);
+  const source = adapter?.source(runtime);
+  if (!source) return null;
+
+  try {
+    const response = await fetchUpstream(runtime, adapter, source, adapter.marketRequest(tokenId));
+
+    if (!response.ok) {
+      runtime.logger.warn("market_info_fetch_failed", { platform, market_id: tokenId, status: response.status });
+      return null;
+    }
+
+    return adapter.parseMarket(await response.json(), tokenId);
+  } catch (err) {
+    runtime.logger.error("market_info_fetch_error", { platform, market_id: tokenId, error: err });
+    return null;
+  }
+}
+
+export async function fetchTrades(runtime, platform, tokenId, windowHours) {
+  return (await requestTrades(runtime, platform, tokenId, windowHours))?.trades || [];
+}
+
+// Pull every page of trades in the window, following the platform's cursor
+// or offset pagination, up to CONFIG.trades_max_pages.
+// Resolves to { trades, complete, pages }, where complete is false when the
+// page cap or a failed later page cut the window short. Resolves to null
+// when the first page fails, so failures are never written to the Dome cache.
+async function requestTrades(runtime, platform, tokenId, windowHours) {
+  const adapter = getPlatformAdapter(platform);
+  const source = adapter?.source(runtime);
+  if (!source) return null;
+
+  const nowSec = Math.floor(Date.now() / 1000);
+  const startSec = nowSec - (windowHours * 60 * 60);
+  const startMs = startSec * 1000;
+
+  const request = adapter.tradesRequest(tokenId, startSec, nowSec);
+  const trades = [];
+  let pages = 0;
+  let offset = 0;
+  let cursor = null;
+  let complete = false;
+
+  while (pages < CONFIG.trades_max_pages) {
+    const params = { ...request.params, limit: CONFIG.trades_page_limit };
+    if (cursor) {
+      params[adapter.cursor_param] = cursor;
+    } else if (offset > 0) {
+      params.offset = offset;
+    }
+
+    let data;
+    try {
+      const response = await fetchUpstream(runtime, adapter, source, { path: request.path, params });
+
+      if (!response.ok) {
+        runtime.logger.warn("trades_fetch_failed", { platform, market_id: tokenId, status: response.status, page: pages + 1 });
+        break;
+      }
+
+      data = await response.json();
+    } catch (err) {
+      runtime.logger.error("trades_fetch_error", { platform, market_id: tokenId, page: pages + 1, error: err });
+      break;
+    }
+
+    pages += 1;
+
+    const page = adapter.parseTradesPage(data);
+    let reachedStart = false;
+
+    for (const raw of page.trades) {
+      const trade = adapter.normalizeTrade(raw, runtime);
+      // A row without a usable time can't be placed in any window
+      if (!Number.isFinite(trade.timestamp)) continue;
+      if (trade.timestamp < startMs) {
+        reachedStart = true;
+      } else if (trade.price > 0) {
+        trades.push(trade);
+      }
+    }
+
+    if (!page.has_more || page.trades.length === 0 || reachedStart) {
+      complete = true;
+      break;
+    }
+
+    if (page.cursor) {
+      cursor = page.cursor;
+    } else {
+      offset += page.trades.length;
+    }
+  }
+
+  if (pages === 0) return null;
+
+  if (!complete) {
+    runtime.logger.warn("trades_truncated", { platform, market_id: tokenId, pages });
+  }
+
+  return { trades, complete, pages };
+}
+
+// =============================================================================
+// UPSTREAM FETCH LAYER
+// =============================================================================
+
+// Pricing reads Dome through loadOrderbook/loadTrades, which check in turn:
+//   1. the runtime's per-request memo (one pull per market per request)
+//   2. calls already in flight in this isolate (concurrent requests share one)
+//   3. the short-lived Dome cache in the store (dome_ keys, separate from
+//      the computed-metrics cache)
+// and only then call Dome. Platforms with their own upstream (see
+// platforms.js) go through the same layers; their responses share the
+// dome_ cache keys.
+
+const inflight = new Map();
+
+function coalesce(key, load) {
+  if (inflight.has(key)) return inflight.get(key);
+
+  const promise = load().finally(() => inflight.delete(key));
+  inflight.set(key, promise);
+  return promise;
+}
+
+async function getCachedDomeResponse(runtime, key, ttlSeconds) {
+  if (!runtime.store) return null;
+
+  try {
+    const cached = await runtime.store.get(`dome_${key}`);
+    const fresh = !!cached && Date.now() - new Date(cached.fetched_at).getTime() <= ttlSeconds * 1000;
+    runtime.stats?.recordCache("dome", fresh);
+    return fresh ? cached : null;
+  } catch (err) {
+    runtime.logger.error("dome_cache_read_error", { key, error: err });
+    return null;
+  }
+}
+
+async function cacheDomeResponse(runtime, key, value, ttlSeconds) {
+  if (!runtime.store) return;
+
+  try {
+    await runtime.store.put(`dome_${key}`, { value, fetched_at: new Date().toISOString() }, ttlSeconds);
+  } catch (err) {
+    runtime.logger.error("dome_cache_write_error", { key, error: err });
+  }
+}
+
+// fetcher resolves to null on failure; failures are not cached
+function loadFromDome(runtime, key, fetcher, ttlSeconds = CONFIG.dome_cache_ttl_seconds) {
+  if (runtime.memo?.has(key)) return runtime.memo.get(key);
+
+  const promise = coalesce(`${runtime.domeBaseUrl}|${key}`, async () => {
+    const cached = await getCachedDomeResponse(runtime, key, ttlSeconds);
+    if (cached) return cached.value;
+
+    const value = await fetcher();
+    if (value !== null) {
+      await cacheDomeResponse(runtime, key, value, ttlSeconds);
+    }
+    return value;
+  });
+
+  runtime.memo?.set(key, promise);
+  return promise;
+}
+
+export function loadOrderbook(runtime, platform, tokenId) {
+  return loadFromDome(runtime, `orderbook_${platform}_${tokenId}`, () => fetchOrderbook(runtime, platform, tokenId));
+}
+
+export function loadEvent(runtime, platform, eventId) {
+  return loadFromDome(runtime, `event_${platform}_${eventId}`, () => fetchEvent(runtime, platform, eventId));
+}
+
+export function loadMarketInfo(runtime, platform, tokenId) {
+  return loadFromDome(
+    runtime,
+    `market_${platform}_${tokenId}`,
+    () => fetchMarketInfo(runtime, platform, tokenId),
+    CONFIG.market_info_ttl_seconds
+  );
+}
+
+// Resolves to { trades, complete, pages } (see requestTrades); a failed
+// pull is an empty, incomplete set
+export async function loadTrades(runtime, platform, tokenId, windowHours) {
+  const pull = await loadFromDome(
+    runtime,
+    `trades_${platform}_${tokenId}_${windowHours}`,
+    () => requestTrades(runtime, platform, tokenId, windowHours)
+  );
+  if (!pull) return { trades: [], complete: false, pages: 0 };
+
+  // A cached pull may have started slightly earlier than this window
+  const cutoff = Date.now() - windowHours * 60 * 60 * 1000;
+  return { ...pull, trades: pull.trades.filter(t => t.timestamp >= cutoff) };
+}
+
+// =============================================================================
+// CALCULATION FUNCTIONS
+// =============================================================================
+
+export function computeVWAP(trades) {
+  if (trades.length === 0) {
+    return { vwap: null, trade_count: 0, total_volume: 0 };
+  }
+
+  let sumPriceVolume = 0;
+  let sumVolume = 0;
+
+  for (const trade of trades) {
+    sumPriceVolume += trade.price * trade.size;
+    sumVolume += trade.size;
+  }
+
+  return {
+    vwap: sumVolume > 0 ? Math.round((sumPriceVolume / sumVolume) * 10000) / 10000 : null,
+    trade_count: trades.length,
+    total_volume: Math.round(sumVolume),
+  };
+}
+
+// Cost to push price UP by `move` dollars from the midpoint (buying into asks)
+function computeCostToMoveUp(bids, asks, move = CONFIG.move_size) {
+  const result = simulateMove({ bids, asks }, "up", move);
+  return result ? Math.round(result.total_cost) : null;
+}
+
+// Cost to push price DOWN by `move` dollars from the midpoint (selling into
+// bids, priced as the equivalent No purchase)
+function computeCostToMoveDown(bids, asks, move = CONFIG.move_size) {
+  const result = simulateMove({ bids, asks }, "down", move);
+  return result ? Math.round(result.total_cost) : null;
+}
+
+// Summarize a simulator fill for the API response
+function summarizeFill(result) {
+  if (!result) return null;
+  return {
+    cost: Math.round(result.total_cost),
+    avg_fill_price: result.avg_fill_price !== null ? Math.round(result.avg_fill_price * 10000) / 10000 : null,
+    final_price: result.final_price,
+    levels_consumed: result.levels_consumed,
+  };
+}
+
+// Returns minimum cost to move price `move` dollars in EITHER direction
+// This is the vulnerability - manipulator picks the cheaper direction
+function computeCostToMove(bids, asks, move = CONFIG.move_size) {
+  const costUp = computeCostToMoveUp(bids, asks, move);
+  const costDown = computeCostToMoveDown(bids, asks, move);
+
+  if (costUp === null && costDown === null) return null;
+  if (costUp === null) return costDown;
+  if (costDown === null) return costUp;
+  return Math.min(costUp, costDown);
+}
+
+// Cost to push the price to an absolute level, e.g. 0.5 to flip a market
+function computeCostToReachPrice(bids, asks, targetPrice) {
+  const midpoint = computeOrderbookMidpoint(bids, asks);
+  if (midpoint === targetPrice) {
+    return { target_price: targetPrice, direction: "none", cost: 0 };
+  }
+
+  const result = simulateMoveToPrice({ bids, asks }, targetPrice);
+  if (!result) {
+    return { target_price: targetPrice, direction: null, cost: null };
+  }
+
+  return {
+    target_price: targetPrice,
+    direction: result.side === "buy" ? "up" : "down",
+    ...summarizeFill(result),
+  };
+}
+
+// Cost in each direction for every move size in CONFIG.cost_curve_moves
+function computeCostCurve(bids, asks) {
+  return CONFIG.cost_curve_moves.map(move => ({
+    move,
+    cost_up: computeCostToMoveUp(bids, asks, move),
+    cost_down: computeCostToMoveDown(bids, asks, move),
+    cost: computeCostToMove(bids, asks, move),
+  }));
+}
+
+// Optional per-request robustness: a custom move size and/or a target price
+function computeCustomRobustness(bids, asks, options) {
+  const result = {};
+
+  if (options.move !== undefined) {
+    const up = summarizeFill(simulateMove({ bids, asks }, "up", options.move));
+    const down = summarizeFill(simulateMove({ bids, asks }, "down", options.move));
+    result.custom_move = {
+      move: options.move,
+      cost_up: up ? up.cost : null,
+      cost_down: down ? down.cost : null,
+      cost: computeCostToMove(bids, asks, options.move),
+      up,
+      down,
+    };
+  }
+
+  if (options.target !== undefined) {
+    result.target = computeCostToReachPrice(bids, asks, options.target);
+  }
+
+  return result;
+}
+
+// Per-request options that change the payload, so bypass the shared cache
+function hasCustomRobustness(options) {
+  return options.move !== undefined || options.target !== undefined || options.size !== undefined ||
+    (options.pricing !== undefined && options.pricing.method !== DEFAULT_PRICING_METHOD);
+}
+
+// Parse ?move= and ?target= (both in dollars, strictly between 0 and 1),
+// ?size= (a notional in USD) and ?method= with its params
+export function parseRobustnessOptions(searchParams) {
+  const { pricing, error } = parsePricingOptions(searchParams);
+  if (error) return { error };
+  const options = { pricing };
+
+  for (const name of ["move", "target"]) {
+    const raw = searchParams.get(name);
+    if (raw === null) continue;
+
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value <= 0 || value >= 1) {
+      return { error: `${name} must be a price in dollars between 0 and 1 (e.g. 0.02)` };
+    }
+    options[name] = value;
+  }
+
+  const size = searchParams.get("size");
+  if (size !== null) {
+    const value = Number(size);
+    if (!Number.isFinite(value) || value <= 0 || value > CONFIG.max_execution_size) {
+      return { error: `size must be a notional in USD between 0 and ${CONFIG.max_execution_size} (e.g. 1000)` };
+    }
+    options.size = value;
+  }
+
+  return { options };
+}
+
+// =============================================================================
+// EXECUTABLE PRICE
+// =============================================================================
+
+// Spend `size` dollars on one side of a book, paying the venue's taker fee
+// on top. price is the effective Yes price including fees: what a buyer
+// really pays per share, or what a seller really receives.
+function computeExecutableSide(platform, runtime, bids, asks, side, size) {
+  const fee = getPlatformAdapter(platform).taker_fee;
+  // A sell is a No purchase at 1 - p, and is charged as one
+  const feePerShare = side === "buy" ? (price) => fee(price, runtime) : (price) => fee(1 - price, runtime);
+  const fill = simulateMarketOrder({ bids, asks }, side, { notional: size, feePerShare });
+  if (fill.shares_filled <= 0) return null;
+
+  const perShare = (fill.total_cost + fill.fees) / fill.shares_filled;
+  return {
+    price: Math.round((side === "buy" ? perShare : 1 - perShare) * 10000) / 10000,
+    avg_fill_price: Math.round(fill.avg_fill_price * 10000) / 10000,
+    fees_usd: Math.round(fill.fees * 100) / 100,
+    shares: Math.round(fill.shares_filled),
+    filled_usd: Math.round(fill.total_cost * 100) / 100,
+    fully_filled: fill.fully_filled,
+    levels_consumed: fill.levels_consumed,
+  };
+}
+
+// Effective buy and sell price for a `size` dollar order, per platform.
+// books: [{ platform, bids, asks }]
+function computeExecutablePrices(runtime, books, size) {
+  return {
+    size,
+    platforms: Object.fromEntries(books.map(({ platform, bids, asks }) => [platform, {
+      buy: computeExecutableSide(platform, runtime, bids, asks, "buy", size),
+      sell: computeExecutableSide(platform, runtime, bids, asks, "sell", size),
+    }])),
+  };
+}
+
+// Lower cost is the weaker platform; null means no usable book. Ties go to
+// the earlier leg.
+function pickWeakestPlatform(candidates) {
+  let weakest = { cost: null, platform: "unknown" };
+  for (const { platform, cost } of candidates) {
+    if (cost !== null && (weakest.cost === null || cost < weakest.cost)) {
+      weakest = { cost, platform };
+    }
+  }
+  return weakest;
+}
+
+export function computeOrderbookMidpoint(bids, asks) {
+  if (bids.length === 0 || asks.length === 0) return null;
+  const bestBid = bids[0].price;
+  const bestAsk = asks[0].price;
+  return Math.round(((bestBid + bestAsk) / 2) * 10000) / 10000;
+}
+
+function getBaseReportability(costToMove) {
+  const thresholds = CONFIG.reportability_thresholds;
+  if (costToMove === null || costToMove < thresholds.caution) return "fragile";
+  if (costToMove < thresholds.reportable) return "caution";
+  return "reportable";
+}
+
+function downgradeReportability(r) {
+  if (r === "reportable") return "caution";
+  if (r === "caution") return "fragile";
+  return "fragile";
+}
+
+function capReportability(r, maxLevel) {
+  const levels = ["fragile", "caution", "reportable"];
+  const currentIdx = levels.indexOf(r);
+  const maxIdx = levels.indexOf(maxLevel);
+  return levels[Math.min(currentIdx, maxIdx)];
+}
+
+// =============================================================================
+// CACHE FUNCTIONS (using the runtime store)
+// =============================================================================
+
+async function getCachedMetrics(runtime, key) {
+  if (!runtime.store) return null;
+
+  try {
+    const cached = await runtime.store.get(key);
+    const fresh = !!cached && Date.now() - new Date(cached.fetched_at).getTime() <= CONFIG.cache_ttl_ms;
+    runtime.stats?.recordCache("metrics", fresh);
+    return fresh ? { ...cached, cached: true } : null;
+  } catch (err) {
+    runtime.logger.error("cache_read_error", { key, error: err });
+    return null;
+  }
+}
+
+async function cacheMetrics(runtime, key, metrics) {
+  if (!runtime.store) return;
+
+  try {
+    await runtime.store.put(key, metrics, Math.ceil(CONFIG.cache_ttl_ms / 1000));
+  } catch (err) {
+    runtime.logger.error("cache_write_error", { key, error: err });
+  }
+}
+
+async function getStaleVWAP(runtime, key) {
+  if (!runtime.store) return null;
+
+  try {
+    return await runtime.store.get(`stale_${key}`);
+  } catch (err) {
+    return null;
+  }
+}
+
+async function storeStaleVWAP(runtime, key, price, windowHours, tradeCount, now = Date.now()) {
+  if (!runtime.store) return;
+
+  try {
+    const stale = {
+      price,
+      window_hours: windowHours,
+      trade_count: tradeCount,
+      stored_at: new Date(now).toISOString(),
+    };
+    await runtime.store.put(`stale_${key}`, stale, CONFIG.stale_vwap_ttl_seconds);
+  } catch (err) {
+    runtime.logger.error("stale_vwap_write_error", { key, error: err });
+  }
+}
+
+// =============================================================================
+// PRICE INTERVAL
+// =============================================================================
+
+// Standard error of a VWAP: the volume-weighted standard deviation of trade
+// prices over the square root of the effective number of trades
+function computeVWAPStandardError(trades, vwap) {
+  let sumWeight = 0;
+  let sumSquaredWeight = 0;
+  let sumDeviation = 0;
+  for (const t of trades) {
+    sumWeight += t.size;
+    sumSquaredWeight += t.size * t.size;
+    sumDeviation += t.size * (t.price - vwap) ** 2;
+  }
+  if (sumWeight <= 0) return 0;
+
+  const effectiveCount = (sumWeight * sumWeight) / sumSquaredWeight;
+  return Math.sqrt(sumDeviation / sumWeight) / Math.sqrt(effectiveCount);
+}
+
+function computeSpread(bids, asks) {
+  return bids.length > 0 && asks.length > 0 ? asks[0].price - bids[0].price : 0;
+}
+
+// Half-width of the band for a tier 1-3 price, given the standard error of
+// its trades (0 for a midpoint) and the book spread
+function computeIntervalHalfWidth(standardError, spread, tier) {
+  const { z, spread_share: spreadShare, tier_multipliers: multipliers, min_half_width: minimum } = CONFIG.price_interval;
+  return Math.max(minimum, (z * standardError + spreadShare * spread) * multipliers[tier]);
+}
+
+// { low, high, method } around price, clamped to 0-1; null without a price
+function priceInterval(price, interval) {
+  if (price === null || price === undefined || !interval) return null;
+  return {
+    low: Math.round(Math.max(0, price - interval.half_width) * 10000) / 10000,
+    high: Math.round(Math.min(1, price + interval.half_width) * 10000) / 10000,
+    method: interval.method,
+  };
+}
+
+// =============================================================================
+// FRESHNESS
+// =============================================================================
+
+// { observed_at, age_seconds } for a time in ms, or null without one
+function observation(timestampMs, now) {
+  if (timestampMs === null || timestampMs === undefined || !Number.isFinite(timestampMs)) return null;
+  return {
+    observed_at: new Date(timestampMs).toISOString(),
+    age_seconds: Math.max(0, Math.round((now - timestampMs) / 1000)),
+  };
+}
+
+// Whether an observation is past CONFIG.max_price_age_hours
+function isTooOld(timestampMs, now) {
+  return timestampMs !== null && timestampMs !== undefined &&
+    now - timestampMs > CONFIG.max_price_age_hours * 60 * 60 * 1000;
+}
+
+function newestTradeTime(trades) {
+  return trades.reduce((newest, t) => (newest === null || t.timestamp > newest ? t.timestamp : newest), null);
+}
+
+// =============================================================================
+// TIERED PRICE CALCULATION
+// =============================================================================
+
+// First window in CONFIG.vwap_windows with enough cleaned trades, as
+// { window_hours, vwap (see computeVWAP), trade_cleaning }, or null. Each
+// window's trades are capped per trader on their own volume.
+function findWindowVWAP(cleaned, now) {
+  for (const windowHours of CONFIG.vwap_windows) {
+    const cutoff = now - (windowHours * 60 * 60 * 1000);
+    const capResult = capTraderShare(cleaned.kept.filter(t => t.timestamp >= cutoff));
+    const vwapResult = computeVWAP(capResult.trades);
+
+    if (vwapResult.trade_count >= CONFIG.min_trades_for_vwap) {
+      return {
+        window_hours: windowHours,
+        vwap: vwapResult,
+        trades: capResult.trades,
+        trade_cleaning: summarizeCleaning(cleaned.excluded, cutoff, capResult),
+      };
+    }
+  }
+  return null;
+}
+
+// Cleaning summary over the whole 24h pull, when no window had a VWAP
+function summarizePullCleaning(cleaned, now) {
+  const hours = CONFIG.vwap_windows[CONFIG.vwap_windows.length - 1];
+  return summarizeCleaning(cleaned.excluded, now - hours * 60 * 60 * 1000, null);
+}
+
+// Clean one 24h pull, walk CONFIG.vwap_windows over it, then fall back to
+// the orderbook midpoint (Tier 3) and finally the last good VWAP (Tier 4).
+// observed_ms is when the price's source was seen: the newest trade in the
+// window, the book snapshot or when the stale VWAP was stored. Books and
+// stale VWAPs past CONFIG.max_price_age_hours are skipped. now is the
+// moment being priced (see replayTieredPrice).
+async function computeTieredFromTrades(runtime, staleKey, allTrades, bids, asks, bookObservedMs, labelSuffix, now = Date.now()) {
+  const cleaned = cleanTrades(allTrades, bids, asks, now);
+
+  // Try progressively larger windows by filtering the same trade data
+  const found = findWindowVWAP(cleaned, now);
+  if (found) {
+    const { window_hours: windowHours, vwap: vwapResult } = found;
+
+    // Success! Store this as the last known good VWAP
+    await storeStaleVWAP(runtime, staleKey, vwapResult.vwap, windowHours, vwapResult.trade_count, now);
+
+    const tier = windowHours === 6 ? 1 : 2;
+    const source = windowHours === 6 ? "6h_vwap" : (windowHours === 12 ? "12h_vwap" : "24h_vwap");
+    const label = `${windowHours}h VWAP${labelSuffix}`;
+
+    return {
+      tier,
+      price: vwapResult.vwap,
+      label,
+      window_hours: windowHours,
+      trade_count: vwapResult.trade_count,
+      total_volume: vwapResult.total_volume,
+      source,
+      trade_cleaning: found.trade_cleaning,
+      interval: {
+        half_width: computeIntervalHalfWidth(computeVWAPStandardError(found.trades, vwapResult.vwap), computeSpread(bids, asks), tier),
+        method: "vwap_standard_error",
+      },
+      observed_ms: newestTradeTime(found.trades),
+      stored_at: null,
+    };
+  }
+
+  const tradeCleaning = summarizePullCleaning(cleaned, now);
+
+  // Tier 3: No sufficient trades even in 24h - try orderbook midpoint
+  const midpoint = computeOrderbookMidpoint(bids, asks);
+  if (midpoint !== null && !isTooOld(bookObservedMs, now)) {
+    return {
+      tier: 3,
+      price: midpoint,
+      label: "Order book midpoint",
+      window_hours: null,
+      trade_count: 0,
+      total_volume: 0,
+      source: "orderbook_midpoint",
+      trade_cleaning: tradeCleaning,
+      interval: { half_width: computeIntervalHalfWidth(0, computeSpread(bids, asks), 3), method: "orderbook_spread" },
+      observed_ms: bookObservedMs,
+      stored_at: null,
+    };
+  }
+
+  // Tier 4: No orderbook either - use stale VWAP if available and not too old
+  const stale = await getStaleVWAP(runtime, staleKey);
+  const storedMs = stale ? Date.parse(stale.stored_at) : null;
+  if (stale && isTooOld(storedMs, now)) {
+    return {
+      tier: 4,
+      price: null,
+      label: "Last VWAP too old",
+      window_hours: stale.window_hours,
+      trade_count: 0,
+      total_volume: 0,
+      source: "expired",
+      trade_cleaning: tradeCleaning,
+      interval: null,
+      observed_ms: storedMs,
+      stored_at: stale.stored_at,
+    };
+  }
+  if (stale) {
+    return {
+      tier: 4,
+      price: stale.price,
+      label: "Last VWAP (stale)",
+      window_hours: stale.window_hours,
+      trade_count: stale.trade_count,
+      total_volume: 0,
+      source: "stale_vwap",
+      trade_cleaning: tradeCleaning,
+      interval: { half_width: CONFIG.price_interval.stale_half_width, method: "stale" },
+      observed_ms: storedMs,
+      stored_at: stale.stored_at,
+    };
+  }
+
+  // No data at all - return null price, always fragile
+  return {
+    tier: 4,
+    price: null,
+    label: "Insufficient data",
+    window_hours: null,
+    trade_count: 0,
+    total_volume: 0,
+    source: "no_data",
+    trade_cleaning: tradeCleaning,
+    interval: null,
+    observed_ms: null,
+    stored_at: null,
+  };
+}
+
+async function computeTieredPrice(runtime, platform, tokenId, bids, asks, bookObservedMs) {
+  // Fetch 24h trades once, then filter for smaller windows in memory
+  const pull = await loadTrades(runtime, platform, tokenId, 24);
+  const tiered = await computeTieredFromTrades(runtime, legKey({ platform, token_id: tokenId }), pull.trades, bids, asks, bookObservedMs, "");
+  return { ...tiered, trades_complete: pull.complete, trade_pages: pull.pages };
+}
+
+// Dollar value resting within CONFIG.move_size of the midpoint
+function computeBookDepth(bids, asks) {
+  const midpoint = computeOrderbookMidpoint(bids, asks);
+  if (midpoint === null) return 0;
+
+  const near = (levels, inBand) => levels
+    .filter(level => inBand(level.price))
+    .reduce((sum, level) => sum + level.price * level.size, 0);
+
+  return Math.round(
+    near(bids, price => price >= midpoint - CONFIG.move_size) +
+    near(asks, price => price <= midpoint + CONFIG.move_size)
+  );
+}
+
+// Dollar volume of trades, each decayed by its age
+function computeRecentVolume(trades, now) {
+  const halfLifeMs = CONFIG.combine_recency_half_life_hours * 60 * 60 * 1000;
+  return Math.round(trades.reduce(
+    (sum, t) => sum + t.price * t.size * Math.pow(0.5, (now - t.timestamp) / halfLifeMs),
+    0
+  ));
+}
+
+// One leg's own price (its tiered VWAP, else its book midpoint unless past
+// CONFIG.max_price_age_hours) plus the depth and recency its weight is built
+// from. Sizes are already in $1-payout units (see platforms.js), so dollar
+// figures compare across venues. book is { bids, asks, observed_ms }.
+function computeLegComponent(leg, trades, book, now) {
+  // Excluded prints count toward neither the price nor the leg's weight
+  const cleaned = cleanTrades(trades, book.bids, book.asks, now);
+  const base = {
+    platform: leg.platform,
+    depth_usd: computeBookDepth(book.bids, book.asks),
+    recent_volume_usd: computeRecentVolume(cleaned.kept, now),
+  };
+
+  const spread = computeSpread(book.bids, book.asks);
+  const found = findWindowVWAP(cleaned, now);
+  if (found) {
+    const windowHours = found.window_hours;
+    const tier = windowHours === 6 ? 1 : 2;
+    return {
+      ...base,
+      price: found.vwap.vwap,
+      tier,
+      source: `${windowHours}h_vwap`,
+      window_hours: windowHours,
+      trade_count: found.vwap.trade_count,
+      total_volume: found.vwap.total_volume,
+      trade_cleaning: found.trade_cleaning,
+      half_width: computeIntervalHalfWidth(computeVWAPStandardError(found.trades, found.vwap.vwap), spread, tier),
+      observed_ms: newestTradeTime(found.trades),
+    };
+  }
+
+  const midpoint = isTooOld(book.observed_ms, now) ? null : computeOrderbookMidpoint(book.bids, book.asks);
+  return {
+    ...base,
+    price: midpoint,
+    tier: midpoint !== null ? 3 : null,
+    source: midpoint !== null ? "orderbook_midpoint" : "no_data",
+    window_hours: null,
+    trade_count: 0,
+    total_volume: 0,
+    trade_cleaning: summarizePullCleaning(cleaned, now),
+    half_width: midpoint !== null ? computeIntervalHalfWidth(0, spread, 3) : null,
+    observed_ms: midpoint !== null ? book.observed_ms : null,
+  };
+}
+
+// Band for legs combined with weights: their half-widths added as
+// independent errors, plus how far the legs disagree around the combined
+// price (weighted standard deviation)
+function combineIntervalHalfWidth(components, weights, price) {
+  const error = Math.sqrt(components.reduce((sum, c, i) => sum + (weights[i] * c.half_width) ** 2, 0));
+  const disagreement = Math.sqrt(components.reduce((sum, c, i) => sum + weights[i] * (c.price - price) ** 2, 0));
+  return error + disagreement;
+}
+
+// Leg cleaning summaries added up for a combined market
+function sumTradeCleaning(summaries) {
+  return summaries.reduce((total, c) => ({
+    excluded_trades: total.excluded_trades + c.excluded_trades,
+    excluded_reasons: {
+      off_book: total.excluded_reasons.off_book + c.excluded_reasons.off_book,
+      wash: total.excluded_reasons.wash + c.excluded_reasons.wash,
+    },
+    capped_traders: total.capped_traders + c.capped_traders,
+    capped_volume: total.capped_volume + c.capped_volume,
+  }), { excluded_trades: 0, excluded_reasons: { off_book: 0, wash: 0 }, capped_traders: 0, capped_volume: 0 });
+}
+
+// Normalized weights for components: each leg's share of total depth and of
+// total recent volume, mixed by CONFIG.combine_weights. Equal weights when
+// neither measure has anything to go on.
+function weightComponents(components) {
+  const { depth, recency } = CONFIG.combine_weights;
+  const totalDepth = components.reduce((sum, c) => sum + c.depth_usd, 0);
+  const totalRecent = components.reduce((sum, c) => sum + c.recent_volume_usd, 0);
+
+  const raw = components.map(c =>
+    (totalDepth > 0 ? depth * c.depth_usd / totalDepth : 0) +
+    (totalRecent > 0 ? recency * c.recent_volume_usd / totalRecent : 0)
+  );
+  const total = raw.reduce((sum, w) => sum + w, 0);
+
+  return raw.map(w => (total > 0 ? w / total : 1 / components.length));
+}
+
+function weightedAverage(values, weights) {
+  const sum = values.reduce((acc, value, i) => acc + value * weights[i], 0);
+  return Math.round(sum * 10000) / 10000;
+}
+
+// Price each leg on its own, then combine by liquidity weight instead of
+// pooling trades (which would let the busier venue dominate). Legs with a
+// VWAP are combined when any exist (Tier 1 if all are 6h, else Tier 2);
+// otherwise leg midpoints are (Tier 3); then the last combined VWAP (Tier 4).
+// books holds each leg's { bids, asks }.
+async function computeCrossplatformTieredPrice(runtime, legs, books) {
+  const now = Date.now();
+  const staleKey = legs.map(legKey).join("|");
+
+  // Fetch 24h trades once from each platform, then filter for smaller windows
+  const pulls = await Promise.all(legs.map(leg => loadTrades(runtime, leg.platform, leg.token_id, 24)));
+  const components = legs.map((leg, i) => computeLegComponent(leg, pulls[i].trades, books[i], now));
+
+  const traded = components.filter(c => c.tier === 1 || c.tier === 2);
+  const contributing = traded.length > 0 ? traded : components.filter(c => c.tier === 3);
+  const weights = weightComponents(contributing);
+
+  const combination = {
+    method: "liquidity_weighted",
+    weights: CONFIG.combine_weights,
+    recency_half_life_hours: CONFIG.combine_recency_half_life_hours,
+    legs: components.map(c => {
+      const index = contributing.indexOf(c);
+      return {
+        platform: c.platform,
+        price: c.price,
+        source: c.source,
+        window_hours: c.window_hours,
+        trade_count: c.trade_count,
+        depth_usd: c.depth_usd,
+        recent_volume_usd: c.recent_volume_usd,
+        ...(observation(c.observed_ms, now) || { observed_at: null, age_seconds: null }),
+        excluded_trades: c.trade_cleaning.excluded_trades,
+        weight: index >= 0 ? Math.round(weights[index] * 10000) / 10000 : 0,
+      };
+    }),
+  };
+
+  const pullSummary = {
+    trades_complete: pulls.every(pull => pull.complete),
+    trade_pages: pulls.reduce((sum, pull) => sum + pull.pages, 0),
+    platform_vwaps: Object.fromEntries(components.map(c => [c.platform, c.tier === 1 || c.tier === 2 ? c.price : null])),
+    combination,
+    trade_cleaning: sumTradeCleaning(components.map(c => c.trade_cleaning)),
+  };
+
+  if (contributing.length > 0) {
+    const price = weightedAverage(contributing.map(c => c.price), weights);
+    const totals = {
+      trade_count: contributing.reduce((sum, c) => sum + c.trade_count, 0),
+      total_volume: contributing.reduce((sum, c) => sum + c.total_volume, 0),
+    };
+    const interval = { half_width: combineIntervalHalfWidth(contributing, weights, price), method: "liquidity_weighted_legs" };
+    // A blend is as old as its oldest contributing leg
+    const observedMs = Math.min(...contributing.map(c => c.observed_ms ?? now));
+
+    if (traded.length > 0) {
+      // The widest window any leg needed sets the tier
+      const windowHours = Math.max(...traded.map(c => c.window_hours));
+      await storeStaleVWAP(runtime, staleKey, price, windowHours, totals.trade_count);
+
+      return {
+        tier: windowHours === 6 ? 1 : 2,
+        price,
+        label: `${windowHours}h VWAP across platforms`,
+        window_hours: windowHours,
+        ...totals,
+        source: `${windowHours}h_vwap`,
+        ...pullSummary,
+        interval,
+        observed_ms: observedMs,
+        stored_at: null,
+      };
+    }
+
+    return {
+      tier: 3,
+      price,
+      label: "Order book midpoint",
+      window_hours: null,
+      ...totals,
+      source: "orderbook_midpoint",
+      ...pullSummary,
+      interval,
+      observed_ms: observedMs,
+      stored_at: null,
+    };
+  }
+
+  // Tier 4: no VWAP or book on any leg - use the last combined VWAP unless
+  // it is past CONFIG.max_price_age_hours
+  const stale = await getStaleVWAP(runtime, staleKey);
+  const storedMs = stale ? Date.parse(stale.stored_at) : null;
+  const usable = stale && !isTooOld(storedMs, now);
+  return {
+    tier: 4,
+    price: usable ? stale.price : null,
+    label: usable ? "Last VWAP (stale)" : (stale ? "Last VWAP too old" : "Insufficient data"),
+    window_hours: stale ? stale.window_hours : null,
+    trade_count: usable ? stale.trade_count : 0,
+    total_volume: 0,
+    source: usable ? "stale_vwap" : (stale ? "expired" : "no_data"),
+    ...pullSummary,
+    interval: usable ? { half_width: CONFIG.price_interval.stale_half_width, method: "stale" } : null,
+    observed_ms: storedMs,
+    stored_at: stale ? stale.stored_at : null,
+  };
+}
+
+// =============================================================================
+// PRICING STRATEGIES
+// =============================================================================
+
+// One leg's price under a strategy from pricing-strategies.js, or null
+async function priceLegWithStrategy(runtime, leg, book, strategy, params, now) {
+  const pull = await loadTrades(runtime, leg.platform, leg.token_id, 24);
+  const midpoints = strategy.uses_history && runtime.history
+    ? await runtime.history.read(leg.platform, leg.token_id, now - params.window_hours * 60 * 60 * 1000, now)
+    : [];
+
+  return strategy.price({
+    trades: cleanTrades(pull.trades, book.bids, book.asks, now).kept,
+    midpoint: computeOrderbookMidpoint(book.bids, book.asks),
+    midpoints,
+    now,
+  }, params);
+}
+
+// The price, label, source and interval a response reports, plus its
+// pricing block naming the method and params. The tier (and so
+// reportability) always comes from the tiered VWAP, and a strategy with
+// nothing to go on falls back to it. The interval is the tiered price's:
+// strategies have none.
+// Combined legs priced by a strategy are blended with the tiered
+// combination's liquidity weights.
+async function applyPricingStrategy(runtime, legs, books, tiered, pricing) {
+  const method = pricing?.method || DEFAULT_PRICING_METHOD;
+  const tieredResult = { price: tiered.price, label: tiered.label, source: tiered.source, interval: tiered.interval };
+
+  if (method === DEFAULT_PRICING_METHOD) {
+    return {
+      ...tieredResult,
+      pricing: { method, params: { vwap_windows: CONFIG.vwap_windows, min_trades: CONFIG.min_trades_for_vwap } },
+    };
+  }
+
+  const strategy = getPricingStrategy(method);
+  const now = Date.now();
+  const results = await Promise.all(legs.map((leg, i) => priceLegWithStrategy(runtime, leg, books[i], strategy, pricing.params, now)));
+
+  const components = [];
+  results.forEach((result, i) => {
+    if (!result || result.price === null) return;
+    const liquidity = tiered.combination?.legs[i];
+    components.push({
+      ...result,
+      platform: legs[i].platform,
+      depth_usd: liquidity?.depth_usd ?? 0,
+      recent_volume_usd: liquidity?.recent_volume_usd ?? 0,
+    });
+  });
+
+  if (components.length === 0) {
+    return { ...tieredResult, pricing: { method, params: pricing.params, fallback: DEFAULT_PRICING_METHOD } };
+  }
+
+  const weights = weightComponents(components);
+
+  return {
+    price: weightedAverage(components.map(c => c.price), weights),
+    label: legs.length > 1 ? `${components[0].label} across platforms` : components[0].label,
+    source: components[0].source,
+    interval: null,
+    pricing: legs.length > 1
+      ? {
+        method,
+        params: pricing.params,
+        legs: components.map((c, i) => ({
+          platform: c.platform,
+          price: c.price,
+          ...c.details,
+          weight: Math.round(weights[i] * 10000) / 10000,
+        })),
+      }
+      : { method, params: pricing.params, ...components[0].details },
+  };
+}
+
+// Adjust reportability based on tier
+function applyTierToReportability(rawReportability, tier) {
+  if (tier === 1) return rawReportability;
+  if (tier === 2) return downgradeReportability(rawReportability);
+  if (tier === 3) return capReportability(rawReportability, "caution");
+  // Tier 4 (stale/insufficient data) is always fragile
+  return "fragile";
+}
+
+// =============================================================================
+// MARKET STATUS
+// =============================================================================
+
+function isoOrNull(timestampMs) {
+  return timestampMs === null || timestampMs === undefined ? null : new Date(timestampMs).toISOString();
+}
+
+// The market block of a response, or null when the venue gave no metadata.
+// time_to_close_seconds is only set while the market is open.
+function summarizeMarket(info, now) {
+  if (!info) return null;
+  return {
+    status: info.status,
+    close_time: isoOrNull(info.close_time),
+    time_to_close_seconds: info.status === "open" && info.close_time !== null
+      ? Math.max(0, Math.round((info.close_time - now) / 1000))
+      : null,
+    resolved_at: isoOrNull(info.resolved_at),
+    resolved_outcome: info.resolved_outcome,
+    settlement_price: info.settlement_price,
+  };
+}
+
+function settlementLabel(info) {
+  if (info.resolved_outcome === "yes") return "Settled Yes";
+  if (info.resolved_outcome === "no") return "Settled No";
+  return `Settled at ${Math.round(info.settlement_price * 100)}¢`;
+}
+
+// Price, freshness and robustness of a resolved market. The settlement
+// value is final and exact: no interval or tier, and reportable since no
+// order can move it.
+function settledFields(info, now) {
+  return {
+    bellwether_price: info.settlement_price,
+    price_interval: null,
+    price_tier: null,
+    price_label: settlementLabel(info),
+    price_source: "settlement",
+    pricing: null,
+    freshness: {
+      price: observation(info.resolved_at ?? info.close_time, now),
+      max_price_age_hours: CONFIG.max_price_age_hours,
+      expired: false,
+    },
+    robustness: {
+      cost_to_move_5c: null,
+      move_size: CONFIG.move_size,
+      cost_curve: [],
+      reportability: "reportable",
+      raw_reportability: "reportable",
+    },
+    vwap_details: null,
+    orderbook_midpoint: null,
+  };
+}
+
+// Of a combined market's legs, the one that settled, else the open leg
+// closing first: its status and close time stand for the whole market
+function pickCombinedMarket(infos) {
+  const known = infos.filter(Boolean);
+  const resolved = known.find(info => info.status === "resolved");
+  if (resolved) return resolved;
+
+  const closing = known
+    .filter(info => info.status === "open" && info.close_time !== null)
+    .sort((a, b) => a.close_time - b.close_time);
+  return closing[0] || known.find(info => info.status === "open") || known[0] || null;
+}
+
+// Cache freshly computed metrics and hand them to onMetrics; custom
+// robustness queries are neither
+async function publishMetrics(runtime, cacheKey, spec, metrics, custom) {
+  if (!custom) {
+    await cacheMetrics(runtime, cacheKey, metrics);
+    if (runtime.onMetrics) {
+      await runtime.onMetrics(spec, metrics);
+    }
+  }
+  return metrics;
+}
+
+// =============================================================================
+// HISTORICAL REPLAY
+// =============================================================================
+
+// The tiered price and reportability a market would have published at
+// asOfMs, from its trade history and, when one was recorded, a book
+// ({ bids, asks, observed_ms }). Trades after asOfMs are ignored, as is a
+// book observed later or past CONFIG.max_price_age_hours; without a book
+// the cost to move is unknown, so reportability is fragile as it is live.
+// Replay one market in time order on one runtime so its stored VWAP can
+// stand in (Tier 4) when trading pauses - with its own store, never the
+// live one (see backfill.js).
+export async function replayTieredPrice(runtime, key, trades, asOfMs, book = null) {
+  const usableBook = book && book.observed_ms <= asOfMs && !isTooOld(book.observed_ms, asOfMs) ? book : null;
+  const bids = usableBook?.bids || [];
+  const asks = usableBook?.asks || [];
+
+  // Same 24h pull the live price is computed from
+  const pullHours = CONFIG.vwap_windows[CONFIG.vwap_windows.length - 1];
+  const pulled = trades.filter(t => t.timestamp <= asOfMs && t.timestamp >= asOfMs - pullHours * 60 * 60 * 1000);
+
+  const tiered = await computeTieredFromTrades(runtime, key, pulled, bids, asks, usableBook?.observed_ms ?? null, "", asOfMs);
+  const costToMove5c = usableBook ? computeCostToMove(bids, asks) : null;
+  const rawReportability = getBaseReportability(costToMove5c);
+
+  return {
+    as_of: new Date(asOfMs).toISOString(),
+    bellwether_price: tiered.price,
+    price_tier: tiered.tier,
+    price_label: tiered.label,
+    price_source: tiered.source,
+    window_hours: tiered.window_hours,
+    trade_count: tiered.trade_count,
+    cost_to_move_5c: costToMove5c,
+    reportability: applyTierToReportability(rawReportability, tiered.tier),
+    raw_reportability: rawReportability,
+    price_observed_at: isoOrNull(tiered.observed_ms),
+  };
+}
+
+// =============================================================================
+// MAIN FETCH FUNCTION
+// =============================================================================
+
+export async function getMarketMetrics(runtime, platform, tokenId, options = {}) {
+  // Custom move/target/size queries need the live book, so they bypass the shared cache
+  const custom = hasCustomRobustness(options);
+  const cacheKey = legKey({ platform, token_id: tokenId });
+
+  if (!custom) {
+    const cached = await getCachedMetrics(runtime, cacheKey);
+    if (cached) {
+      return cached;
+    }
+  }
+
+  // A resolved market is worth its settlement, whatever is left on the book,
+  // so its book and trades are never fetched
+  const marketInfo = await loadMarketInfo(runtime, platform, tokenId);
+  if (marketInfo?.status === "resolved") {
+    const now = Date.now();
+    return publishMetrics(runtime, cacheKey, { platform, token_id: tokenId }, {
+      token_id: tokenId,
+      platform,
+      ...settledFields(marketInfo, now),
+      current_price: null,
+      market: summarizeMarket(marketInfo, now),
+      orderbook_summary: null,
+      fetched_at: new Date(now).toISOString(),
+      cached: false,
+    }, custom);
+  }
+
+  // The trade pull is shared with computeTieredPrice via the request memo
+  const [orderbook, recentPull] = await Promise.all([
+    loadOrderbook(runtime, platform, tokenId),
+    loadTrades(runtime, platform, tokenId, 24),
+  ]);
+
+  if (!orderbook) {
+    return null;
+  }
+
+  const [bids, asks, bookObservedMs] = orderbook;
+
+  // Compute tiered price
+  const tieredPrice = await computeTieredPrice(runtime, platform, tokenId, bids, asks, bookObservedMs);
+
+  // Compute robustness (min of up and down directions)
+  const costToMove5c = computeCostToMove(bids, asks);
+  const rawReportability = getBaseReportability(costToMove5c);
+
+  const reportability = applyTierToReportability(rawReportability, tieredPrice.tier);
+
+  // Get current price (most recent trade in any window)
+  const lastTrade = latestTrade(recentPull);
+  const now = Date.now();
+
+  const midpoint = computeOrderbookMidpoint(bids, asks);
+  const priced = await applyPricingStrategy(runtime, [{ platform, token_id: tokenId }], [{ bids, asks }], tieredPrice, options.pricing);
+
+  // Debug: compute both directions separately
+  const costUp = computeCostToMoveUp(bids, asks);
+  const costDown = computeCostToMoveDown(bids, asks);
+
+  const metrics = {
+    token_id: tokenId,
+    platform,
+    bellwether_price: priced.price,
+    price_interval: priceInterval(priced.price, priced.interval),
+    price_tier: tieredPrice.tier,
+    price_label: priced.label,
+    price_source: priced.source,
+    pricing: priced.pricing,
+    current_price: lastTrade ? lastTrade.price : null,
+    market: summarizeMarket(marketInfo, now),
+    freshness: {
+      price: observation(tieredPrice.observed_ms, now),
+      orderbook: observation(bookObservedMs, now),
+      current_price: observation(lastTrade?.timestamp, now),
+      max_price_age_hours: CONFIG.max_price_age_hours,
+      expired: tieredPrice.source === "expired",
+    },
+    robustness: {
+      cost_to_move_5c: costToMove5c,
+      cost_to_move_up_5c: costUp,
+      cost_to_move_down_5c: costDown,
+      move_size: CONFIG.move_size,
+      cost_curve: computeCostCurve(bids, asks),
+      ...computeCustomRobustness(bids, asks, options),
+      reportability,
+      raw_reportability: rawReportability,
+    },
+    vwap_details: {
+      window_hours: tieredPrice.window_hours,
+      trade_count: tieredPrice.trade_count,
+      total_volume: tieredPrice.total_volume,
+      trades_complete: tieredPrice.trades_complete,
+      trade_pages: tieredPrice.trade_pages,
+      trade_cleaning: tieredPrice.trade_cleaning,
+      stored_at: tieredPrice.stored_at,
+    },
+    orderbook_midpoint: midpoint,
+    orderbook_summary: {
+      bid_levels: bids.length,
+      ask_levels: asks.length,
+      best_bid: bids.length > 0 ? bids[0].price : null,
+      best_ask: asks.length > 0 ? asks[0].price : null,
+      top_5_bids: bids.slice(0, 5).map(b => ({ price: b.price, size: b.size })),
+      top_5_asks: asks.slice(0, 5).map(a => ({ price: a.price, size: a.size })),
+    },
+    ...(options.size !== undefined
+      ? { executable: computeExecutablePrices(runtime, [{ platform, bids, asks }], options.size) }
+      : {}),
+    fetched_at: new Date().toISOString(),
+    cached: false,
+  };
+
+  return publishMetrics(runtime, cacheKey, { platform, token_id: tokenId }, metrics, custom);
+}
+
+// Leg midpoints weighted by book depth, rather than one midpoint of the
+// merged books (whose best bid and ask can come from different venues)
+function computeCombinedMidpoint(books) {
+  const quoted = books
+    .map(book => ({ midpoint: computeOrderbookMidpoint(book.bids, book.asks), depth: computeBookDepth(book.bids, book.asks) }))
+    .filter(q => q.midpoint !== null);
+  if (quoted.length === 0) return null;
+
+  const totalDepth = quoted.reduce((sum, q) => sum + q.depth, 0);
+  const weights = quoted.map(q => (totalDepth > 0 ? q.depth / totalDepth : 1 / quoted.length));
+  return weightedAverage(quoted.map(q => q.midpoint), weights);
+}
+
+// Most recent trade in a pull, or null without trades
+function latestTrade(pull) {
+  if (pull.trades.length === 0) return null;
+  return [...pull.trades].sort((a, b) => b.timestamp - a.timestamp)[0];
+}
+
+// legs: [{ platform, token_id }], at most one per platform (see platforms.js)
+export async function getCombinedMetrics(runtime, legs, options = {}) {
+  const cacheKey = `combined_${legs.map(legKey).join("|")}`;
+  const custom = hasCustomRobustness(options);
+
+  if (!custom) {
+    const cached = await getCachedMetrics(runtime, cacheKey);
+    if (cached) {
+      return cached;
+    }
+  }
+
+  // Every leg's metadata first: a settled market needs no books or trades
+  const marketInfos = await Promise.all(legs.map(leg => loadMarketInfo(runtime, leg.platform, leg.token_id)));
+  const marketInfo = pickCombinedMarket(marketInfos);
+  const markets = Object.fromEntries(legs.map((leg, i) => [leg.platform, summarizeMarket(marketInfos[i], Date.now())]));
+
+  // Once any venue has settled the question, the combined market has too
+  if (marketInfo?.status === "resolved") {
+    const now = Date.now();
+    return publishMetrics(runtime, cacheKey, { legs }, {
+      legs: legs.map(legKey),
+      ...settledFields(marketInfo, now),
+      platform_prices: Object.fromEntries(legs.map((leg, i) => [leg.platform, marketInfos[i]?.settlement_price ?? null])),
+      market: summarizeMarket(marketInfo, now),
+      markets,
+      fetched_at: new Date(now).toISOString(),
+      cached: false,
+    }, custom);
+  }
+
+  const orderbooks = await Promise.all(legs.map(leg => loadOrderbook(runtime, leg.platform, leg.token_id)));
+  const books = orderbooks.map(orderbook => ({
+    bids: orderbook?.[0] || [],
+    asks: orderbook?.[1] || [],
+    observed_ms: orderbook?.[2] ?? null,
+  }));
+
+  // Compute tiered price across platforms
+  const tieredPrice = await computeCrossplatformTieredPrice(runtime, legs, books);
+
+  // Use minimum robustness (weakest link across platforms AND directions).
+  // Legs without a usable book have no cost.
+  const legBooks = legs.map((leg, i) => {
+    const { bids, asks } = books[i];
+    return { platform: leg.platform, bids, asks, hasBook: bids.length > 0 || asks.length > 0 };
+  });
+
+  const weakest = pickWeakestPlatform(legBooks.map(({ platform, bids, asks, hasBook }) => ({
+    platform,
+    cost: hasBook ? computeCostToMove(bids, asks) : null,
+  })));
+  const minCost = weakest.cost;
+  const weakestPlatform = weakest.platform;
+
+  // Cost curve: weakest platform at each move size
+  const curves = legBooks.map(({ bids, asks, hasBook }) => (hasBook ? computeCostCurve(bids, asks) : null));
+  const costCurve = CONFIG.cost_curve_moves.map((move, i) => {
+    const point = pickWeakestPlatform(legBooks.map(({ platform }, leg) => ({
+      platform,
+      cost: curves[leg]?.[i].cost ?? null,
+    })));
+    return { move, cost: point.cost, weakest_platform: point.platform };
+  });
+
+  // Custom move/target: weakest platform as well
+  const customs = legBooks.map(({ bids, asks, hasBook }) => (hasBook ? computeCustomRobustness(bids, asks, options) : {}));
+  const customRobustness = {};
+  for (const field of ["custom_move", "target"]) {
+    if (!customs.some(c => c[field])) continue;
+    const point = pickWeakestPlatform(legBooks.map(({ platform }, leg) => ({
+      platform,
+      cost: customs[leg][field]?.cost ?? null,
+    })));
+    const weakestLeg = legBooks.findIndex(({ platform }) => platform === point.platform);
+    const detail = customs[weakestLeg]?.[field] || customs.find(c => c[field])[field];
+    customRobustness[field] = { ...detail, weakest_platform: point.platform };
+  }
+
+  const rawReportability = getBaseReportability(minCost);
+
+  const reportability = applyTierToReportability(rawReportability, tieredPrice.tier);
+
+  // Current price on each platform (shares the trade pulls above via the memo)
+  const pulls = await Promise.all(legs.map(leg => loadTrades(runtime, leg.platform, leg.token_id, 24)));
+  const lastTrades = pulls.map(latestTrade);
+  const platformPrices = Object.fromEntries(legs.map((leg, i) => [leg.platform, lastTrades[i] ? lastTrades[i].price : null]));
+  const now = Date.now();
+  const priced = await applyPricingStrategy(runtime, legs, books, tieredPrice, options.pricing);
+
+  const combined = {
+    legs: legs.map(legKey),
+    bellwether_price: priced.price,
+    price_interval: priceInterval(priced.price, priced.interval),
+    price_tier: tieredPrice.tier,
+    price_label: priced.label,
+    price_source: priced.source,
+    pricing: priced.pricing,
+    platform_prices: platformPrices,
+    platform_vwaps: tieredPrice.platform_vwaps,
+    market: summarizeMarket(marketInfo, now),
+    markets,
+    freshness: {
+      price: observation(tieredPrice.observed_ms, now),
+      orderbooks: Object.fromEntries(legs.map((leg, i) => [leg.platform, observation(books[i].observed_ms, now)])),
+      platform_prices: Object.fromEntries(legs.map((leg, i) => [leg.platform, observation(lastTrades[i]?.timestamp, now)])),
+      max_price_age_hours: CONFIG.max_price_age_hours,
+      expired: tieredPrice.source === "expired",
+    },
+    combination: tieredPrice.combination,
+    robustness: {
+      cost_to_move_5c: minCost,
+      move_size: CONFIG.move_size,
+      cost_curve: costCurve,
+      ...customRobustness,
+      reportability,
+      raw_reportability: rawReportability,
+      weakest_platform: weakestPlatform,
+    },
+    vwap_details: {
+      window_hours: tieredPrice.window_hours,
+      trade_count: tieredPrice.trade_count,
+      total_volume: tieredPrice.total_volume,
+      trades_complete: tieredPrice.trades_complete,
+      trade_pages: tieredPrice.trade_pages,
+      trade_cleaning: tieredPrice.trade_cleaning,
+      stored_at: tieredPrice.stored_at,
+    },
+    orderbook_midpoint: computeCombinedMidpoint(books),
+    ...(options.size !== undefined
+      ? { executable: computeExecutablePrices(runtime, legBooks, options.size) }
+      : {}),
+    fetched_at: new Date().toISOString(),
+    cached: false,
+  };
+
+  return publishMetrics(runtime, cacheKey, { legs }, combined, custom);
+}
+
+// =============================================================================
+// BATCH FETCH
+// =============================================================================
+
+// Most markets (combined legs count one each) a request may price within
+// CONFIG.subrequest_limit after `reserved` other fetches. Each can cost its
+// metadata, its book and a full trade pull.
+export function maxMarketsPerRequest(reserved = 0) {
+  return Math.max(1, Math.floor((CONFIG.subrequest_limit - reserved) / (2 + CONFIG.trades_max_pages)));
+}
+
+// Markets a batch entry prices; invalid entries price none
+function countBatchMarkets(spec) {
+  if (spec?.legs || spec?.pm_token || spec?.k_ticker) {
+    const parsed = parseLegs(spec.legs || combinedLegs(spec));
+    return parsed.error ? 0 : parsed.legs.length;
+  }
+  return 1;
+}
+
+// Run fn over items with at most `limit` calls in flight, preserving order
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function runNext() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const runners = [];
+  for (let i = 0; i < Math.min(limit, items.length); i++) {
+    runners.push(runNext());
+  }
+  await Promise.all(runners);
+
+  return results;
+}
+
+// Resolve one batch entry. Entries are either single-platform
+// ({ id, platform, token_id }) or cross-platform ({ id, legs } or
+// { id, pm_token, k_ticker }).
+async function getBatchItem(runtime, spec) {
+  const id = spec && spec.id !== undefined ? spec.id : null;
+
+  if (!spec || typeof spec !== "object") {
+    return { id, ok: false, error: "Invalid market spec" };
+  }
+
+  try {
+    if (spec.legs || spec.pm_token || spec.k_ticker) {
+      const parsed = parseLegs(spec.legs || combinedLegs(spec));
+      if (parsed.error) {
+        return { id, ok: false, error: "Invalid market spec", hint: parsed.error };
+      }
+      const metrics = await getCombinedMetrics(runtime, parsed.legs);
+      return { id, ok: true, combined: true, metrics };
+    }
+
+    if (spec.platform && spec.token_id) {
+      const invalid = validateMarketId(spec.platform, String(spec.token_id));
+      if (invalid) {
+        return { id, ok: false, error: "Invalid market spec", hint: invalid };
+      }
+      const metrics = await getMarketMetrics(runtime, spec.platform, String(spec.token_id));
+      if (!metrics) {
+        return { id, ok: false, error: "Failed to fetch market data" };
+      }
+      return { id, ok: true, combined: false, metrics };
+    }
+
+    return {
+      id,
+      ok: false,
+      error: "Invalid market spec",
+      hint: "Provide platform + token_id, legs, or at least one of pm_token, k_ticker",
+    };
+  } catch (err) {
+    runtime.logger.error("batch_item_error", { id, error: err });
+    return { id, ok: false, error: "Internal error" };
+  }
+}
+
+// Resolve a list of batch entries with bounded concurrency toward Dome.
+// Validates the list itself; per-entry problems are reported in the results.
+export async function getBatchMetrics(runtime, markets) {
+  if (!Array.isArray(markets) || markets.length === 0) {
+    return {
+      error: "Missing parameters",
+      hint: "Provide markets: [{ id, platform, token_id } or { id, legs: [\"platform:token_id\", ...] }]",
+    };
+  }
+
+  const maxMarkets = maxMarketsPerRequest();
+  if (markets.reduce((sum, spec) => sum + countBatchMarkets(spec), 0) > maxMarkets) {
+    return {
+      error: "Too many markets",
+      hint: `At most ${maxMarkets} markets per batch, counting each leg of a combined entry`,
+      max_markets: maxMarkets,
+    };
+  }
+
+  const results = await mapWithConcurrency(
+    markets,
+    CONFIG.batch_concurrency,
+    (spec) => getBatchItem(runtime, spec)
+  );
+
+  return { results, fetched_at: new Date().toISOString() };
+}
@@ -0,0 +1,166 @@
+/**
+ * Pricing strategies
+ *
+ * The Bellwether price of a market (or of each leg of a combined market)
+ * comes from one of these, chosen with ?method=. tiered_vwap is the
+ * default and is computed by pricing-core.js itself (it also sets the tier
+ * that reportability is judged on, whatever the method). The others are
+ * alternatives for research:
+ *   ewvwap        - VWAP with each trade's size decayed by its age
+ *   median        - median trade price, every trade counting once
+ *   midpoint_twap - time-weighted average of orderbook midpoints, from the
+ *                   stored history snapshots plus the live book
+ *
+ * A strategy declares its tunable params ({ default, min, max }, settable
+ * as query params of the same name), uses_history when it needs stored
+ * midpoints (runtime.history), and price(input, params), which
+ * returns { price, label, source, details } or null when it has nothing
+ * to go on. input: { trades (cleaned, oldest first), midpoint (live),
+ * midpoints ([{ t, midpoint }] from history), now }.
+ */
+
+import { capTraderShare } from "./trade-cleaning.js";
+
+export const DEFAULT_PRICING_METHOD = "tiered_vwap";
+
+const HOUR = 60 * 60 * 1000;
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+// Trades in the last window_hours, capped per trader like the VWAP windows
+function windowTrades(input, params) {
+  const cutoff = input.now - params.window_hours * HOUR;
+  return capTraderShare(input.trades.filter(t => t.timestamp >= cutoff)).trades;
+}
+
+const STRATEGIES = {
+  tiered_vwap: {
+    description: "6h VWAP, widening to 12h/24h, then the book midpoint and the last good VWAP",
+    params: {},
+    price: null, // See computeTieredPrice / computeCrossplatformTieredPrice
+  },
+
+  ewvwap: {
+    description: "VWAP with trade sizes decayed exponentially by age",
+    params: {
+      half_life_hours: { default: 6, min: 0.25, max: 168 },
+      window_hours: { default: 24, min: 1, max: 24 },
+      min_trades: { default: 10, min: 1, max: 1000 },
+    },
+    price(input, params) {
+      const trades = windowTrades(input, params);
+      if (trades.length < params.min_trades) return null;
+
+      let sumPriceWeight = 0;
+      let sumWeight = 0;
+      for (const t of trades) {
+        const weight = t.size * Math.pow(0.5, (input.now - t.timestamp) / (params.half_life_hours * HOUR));
+        sumPriceWeight += t.price * weight;
+        sumWeight += weight;
+      }
+      if (sumWeight <= 0) return null;
+
+      return {
+        price: round(sumPriceWeight / sumWeight),
+        label: `${params.window_hours}h time-weighted VWAP`,
+        source: "ewvwap",
+        details: { trade_count: trades.length },
+      };
+    },
+  },
+
+  median: {
+    description: "Median trade price, each trade counted once regardless of size",
+    params: {
+      window_hours: { default: 24, min: 1, max: 24 },
+      min_trades: { default: 10, min: 1, max: 1000 },
+    },
+    price(input, params) {
+      const prices = windowTrades(input, params).map(t => t.price).sort((a, b) => a - b);
+      if (prices.length < params.min_trades) return null;
+
+      const mid = Math.floor(prices.length / 2);
+      const median = prices.length % 2 === 1 ? prices[mid] : (prices[mid - 1] + prices[mid]) / 2;
+      return {
+        price: round(median),
+        label: `${params.window_hours}h median trade`,
+        source: "median",
+        details: { trade_count: prices.length },
+      };
+    },
+  },
+
+  midpoint_twap: {
+    description: "Time-weighted average of orderbook midpoints over the window",
+    params: {
+      window_hours: { default: 6, min: 1, max: 168 },
+    },
+    uses_history: true,
+    // Samples joined by straight lines, averaged over the time they span.
+    // Without stored snapshots this is the live midpoint.
+    price(input, params) {
+      const cutoff = input.now - params.window_hours * HOUR;
+      const samples = input.midpoints
+        .filter(p => p.t >= cutoff && p.midpoint !== null && p.midpoint !== undefined)
+        .map(p => ({ t: p.t, midpoint: p.midpoint }));
+      if (input.midpoint !== null) samples.push({ t: input.now, midpoint: input.midpoint });
+      samples.sort((a, b) => a.t - b.t);
+      if (samples.length === 0) return null;
+
+      const span = samples[samples.length - 1].t - samples[0].t;
+      let price = samples[samples.length - 1].midpoint;
+      if (span > 0) {
+        let area = 0;
+        for (let i = 1; i < samples.length; i++) {
+          area += (samples[i - 1].midpoint + samples[i].midpoint) / 2 * (samples[i].t - samples[i - 1].t);
+        }
+        price = area / span;
+      }
+
+      return {
+        price: round(price),
+        label: `${params.window_hours}h midpoint TWAP`,
+        source: "midpoint_twap",
+        details: { snapshots: samples.length },
+      };
+    },
+  },
+};
+
+export const PRICING_METHODS = Object.keys(STRATEGIES);
+
+export function getPricingStrategy(method) {
+  return Object.hasOwn(STRATEGIES, method) ? STRATEGIES[method] : null;
+}
+
+// Methods with their descriptions and default params, for the API index
+export function describePricingMethods() {
+  return Object.fromEntries(Object.entries(STRATEGIES).map(([method, strategy]) => [method, {
+    description: strategy.description,
+    params: Object.fromEntries(Object.entries(strategy.params).map(([name, param]) => [name, param.default])),
+  }]));
+}
+
+// Parse ?method= and the chosen strategy's params into
+// { pricing: { method, params } } or { error }
+export function parsePricingOptions(searchParams) {
+  const method = searchParams.get("method") || DEFAULT_PRICING_METHOD;
+  const strategy = getPricingStrategy(method);
+  if (!strategy) {
+    return { error: `Unknown method "${method}" (supported: ${PRICING_METHODS.join(", ")})` };
+  }
+
+  const params = {};
+  for (const [name, { default: fallback, min, max }] of Object.entries(strategy.params)) {
+    const raw = searchParams.get(name);
+    const value = raw === null ? fallback : Number(raw);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      return { error: `${name} must be a number between ${min} and ${max} for method ${method}` };
+    }
+    params[name] = value;
+  }
+
+  return { pricing: { method, params } };
+}
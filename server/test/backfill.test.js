@@ -0,0 +1,112 @@
+/**
+ * Historical backfill tests
+ *
+ * Run: deno test --allow-read --allow-net server/test/
+ *   or: node --test server/test/*.test.js (Node 22+)
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import { compareBrier, runBackfill } from "../backfill.js";
+
+// Resolves Yes on 2026-09-20. Trades in the 4h before each daily step 5, 4,
+// 2 and 1 days out (none 3 days out), a stray 0.30 print just before steps
+// 2 and 1, and a book recorded 30h before resolution.
+const HISTORY = JSON.parse(readFileSync(new URL("./fixtures/backfill/polymarket-history.json", import.meta.url), "utf8"));
+const RESOLVED_MS = Date.UTC(2026, 8, 20);
+const DAY = 24 * 60 * 60 * 1000;
+
+function assertClose(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-6, `${message || "value"}: expected ${expected}, got ${actual}`);
+}
+
+async function backfillFixture(options) {
+  return runBackfill([{ source: "polymarket-history.json", history: HISTORY }], options);
+}
+
+// =============================================================================
+// REPLAY
+// =============================================================================
+
+test("each step is priced from the trades before it, walking back from resolution", async () => {
+  const { series: [market] } = await backfillFixture({ maxDays: 5 });
+
+  assert.equal(market.resolved_outcome, "yes");
+  assert.deepEqual(market.points.map(point => point.days_before), [5, 4, 3, 2, 1]);
+  assert.deepEqual(market.points.map(point => point.price_source), ["6h_vwap", "6h_vwap", "stale_vwap", "6h_vwap", "6h_vwap"]);
+  assert.deepEqual(market.points.map(point => point.bellwether_price), [0.7, 0.74, 0.74, 0.82, 0.86]);
+});
+
+test("a quiet day falls back to the VWAP stored earlier in the replay", async () => {
+  const { series: [market] } = await backfillFixture({ maxDays: 5 });
+  const quiet = market.points.find(point => point.days_before === 3);
+
+  assert.equal(quiet.price_tier, 4);
+  assert.equal(quiet.reportability, "fragile");
+  assert.equal(quiet.price_observed_at, new Date(RESOLVED_MS - 4 * DAY).toISOString());
+});
+
+test("the recorded book only rates steps after it was observed", async () => {
+  const { series: [market] } = await backfillFixture({ maxDays: 5 });
+  const [twoDays, oneDay] = market.points.slice(-2);
+
+  assert.equal(twoDays.cost_to_move_5c, null);
+  assert.equal(twoDays.raw_reportability, "fragile");
+  assert.ok(oneDay.cost_to_move_5c > 0);
+  assert.equal(oneDay.reportability, oneDay.raw_reportability);
+});
+
+test("the stray print sets the last trade but not the Bellwether price", async () => {
+  const { series: [market] } = await backfillFixture({ maxDays: 5 });
+  const oneDay = market.points[market.points.length - 1];
+
+  assert.equal(oneDay.last_trade_price, 0.3);
+  assert.equal(oneDay.bellwether_price, 0.86);
+});
+
+test("--at replays arbitrary moments, ignoring any at or after resolution", async () => {
+  const at = [RESOLVED_MS - 2 * DAY + 60 * 1000, RESOLVED_MS + DAY];
+  const { series: [market], config } = await backfillFixture({ at });
+
+  assert.equal(config.step_hours, null);
+  assert.equal(market.points.length, 1);
+  assert.equal(market.points[0].as_of, new Date(at[0]).toISOString());
+});
+
+test("unresolved markets are skipped with a reason", async () => {
+  const open = { ...HISTORY, market: { markets: [{ ...HISTORY.market.markets[0], status: "open", winning_side: null }] } };
+  const result = await runBackfill([{ source: "open.json", history: open }]);
+
+  assert.equal(result.markets, 0);
+  assert.deepEqual(result.skipped, [{ source: "open.json", platform: "polymarket", token_id: "3001", reason: "Not resolved" }]);
+});
+
+// =============================================================================
+// BRIER COMPARISON
+// =============================================================================
+
+test("Brier scores are compared per day before resolution", async () => {
+  const { comparison } = await backfillFixture({ maxDays: 5 });
+
+  assert.deepEqual(comparison.days, [5, 4, 3, 2, 1]);
+  assert.deepEqual(comparison.n, [1, 1, 1, 1, 1]);
+  assertClose(comparison.bellwether[4], (1 - 0.86) ** 2);
+  assertClose(comparison.last_trade[4], (1 - 0.3) ** 2);
+});
+
+test("points missing either price are left out of the comparison", () => {
+  const comparison = compareBrier([
+    {
+      settlement_price: 0,
+      points: [
+        { days_before: 2, bellwether_price: 0.2, last_trade_price: 0.4 },
+        { days_before: 2.2, bellwether_price: 0.4, last_trade_price: 0.2 },
+        { days_before: 1, bellwether_price: null, last_trade_price: 0.1 },
+      ],
+    },
+  ]);
+
+  assert.deepEqual(comparison, { days: [2], n: [2], bellwether: [0.1], last_trade: [0.1] });
+});
@@ -0,0 +1,24 @@
+/**
+ * In-process stand-in for a Durable Object namespace binding
+ *
+ * One instance per name; stub.fetch calls the instance directly.
+ */
+
+export function createDurableObjectNamespace(ObjectClass, env = {}) {
+  const instances = new Map();
+
+  return {
+    idFromName: (name) => name,
+
+    get(id) {
+      if (!instances.has(id)) {
+        instances.set(id, new ObjectClass({ id }, env));
+      }
+      const instance = instances.get(id);
+
+      return {
+        fetch: (input, init) => instance.fetch(new Request(input, init)),
+      };
+    },
+  };
+}
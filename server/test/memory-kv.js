@@ -0,0 +1,56 @@
+/**
+ * In-memory stand-in for a Cloudflare KV namespace
+ *
+ * Covers the subset of the KV API the worker uses: get (text or json),
+ * put with expirationTtl, delete, and prefix listing with cursors.
+ */
+
+export function createMemoryKV() {
+  const entries = new Map(); // key -> { value, expiresAt }
+
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  return {
+    entries,
+
+    async get(key, options) {
+      const entry = live(key);
+      if (!entry) return null;
+      const type = typeof options === "string" ? options : options?.type;
+      return type === "json" ? JSON.parse(entry.value) : entry.value;
+    },
+
+    async put(key, value, options = {}) {
+      if (options.expirationTtl !== undefined && options.expirationTtl < 60) {
+        throw new Error("KV put failed: expirationTtl must be at least 60 seconds");
+      }
+      const expiresAt = options.expirationTtl ? Date.now() + options.expirationTtl * 1000 : null;
+      entries.set(key, { value: String(value), expiresAt });
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async list({ prefix = "", limit = 1000, cursor } = {}) {
+      const keys = [...entries.keys()].filter(key => key.startsWith(prefix) && live(key)).sort();
+      const start = cursor ? Number(cursor) : 0;
+      const page = keys.slice(start, start + limit);
+      const listComplete = start + limit >= keys.length;
+
+      return {
+        keys: page.map(name => ({ name })),
+        list_complete: listComplete,
+        cursor: listComplete ? undefined : String(start + limit),
+      };
+    },
+  };
+}
@@ -0,0 +1,195 @@
+/**
+ * Mock Dome API
+ *
+ * Serves the fixtures in fixtures/dome/ on the Dome REST routes used by
+ * pricing-core.js, so the worker can run end to end without network access:
+ *   GET /v1/polymarket/orderbooks?token_id=
+ *   GET /v1/polymarket/orders?token_id=&start_time=&end_time=
+ *   GET /v1/kalshi/orderbooks?ticker=
+ *   GET /v1/kalshi/trades?ticker=&start_time=&end_time=
+ *   GET /v1/polymarket/markets?event_slug=   or ?token_id=
+ *   GET /v1/kalshi/markets?event_ticker=     or ?market_ticker=
+ *
+ * plus a plain exchange API for the exchange platform adapter, with
+ * EXCHANGE_API_BASE=<url>/exchange:
+ *   GET /v1/exchange/orderbook?symbol=
+ *   GET /v1/exchange/trades?symbol=&start_time=&end_time=
+ *   GET /v1/exchange/events?event_id=
+ *   GET /v1/exchange/markets?symbol=
+ *
+ * Trade routes page through the fixture when a limit is given: Polymarket
+ * by offset, Kalshi by an opaque pagination_key, the exchange by cursor and
+ * next_cursor.
+ *
+ * Each fixture holds one market's raw orderbook and trade responses, and
+ * optionally its market metadata (market), plus the time it was captured
+ * (recorded_at). Event fixtures hold an event_id and
+ * the raw market listing (event) instead. Timestamps are shifted so the capture
+ * time maps to "now", which keeps trades inside the worker's VWAP windows.
+ *
+ * Standalone: node server/test/mock-dome.js [port]
+ *   then point the worker at it with DOME_API_BASE=http://localhost:<port>/v1
+ */
+
+import { createServer } from "node:http";
+import { readFileSync, readdirSync } from "node:fs";
+import process from "node:process";
+import { pathToFileURL } from "node:url";
+
+const FIXTURES_DIR = new URL("./fixtures/dome/", import.meta.url);
+
+// Fields that carry a timestamp in Dome orderbook/trade/market payloads
+const TIME_FIELDS = ["timestamp", "t", "time", "created_at", "created_time", "end_time", "close_time", "completed_time", "settled_at"];
+
+export function loadDomeFixtures(dir = FIXTURES_DIR) {
+  const fixtures = new Map();
+  for (const name of readdirSync(dir)) {
+    if (!name.endsWith(".json")) continue;
+    const fixture = JSON.parse(readFileSync(new URL(name, dir), "utf8"));
+    fixtures.set(`${fixture.platform}:${fixture.token_id ?? fixture.event_id}`, fixture);
+  }
+  return fixtures;
+}
+
+// Numeric timestamps below 1e12 are seconds, otherwise milliseconds
+function shiftTime(value, shiftMs) {
+  if (typeof value !== "number") return value;
+  return value < 1e12 ? value + Math.round(shiftMs / 1000) : value + shiftMs;
+}
+
+function rebase(node, shiftMs) {
+  if (Array.isArray(node)) return node.map(item => rebase(item, shiftMs));
+  if (!node || typeof node !== "object") return node;
+
+  const out = {};
+  for (const [key, value] of Object.entries(node)) {
+    out[key] = TIME_FIELDS.includes(key) ? shiftTime(value, shiftMs) : rebase(value, shiftMs);
+  }
+  return out;
+}
+
+function tradeTimeMs(trade) {
+  const t = Number(TIME_FIELDS.map(field => trade[field]).find(v => v !== undefined));
+  return t < 1e12 ? t * 1000 : t;
+}
+
+// Dome filters trades by start_time/end_time (seconds) server-side. Rows
+// without a time can't be filtered, so they pass through like any
+// malformed upstream row.
+function filterTrades(body, params) {
+  const start = params.has("start_time") ? Number(params.get("start_time")) * 1000 : -Infinity;
+  const end = params.has("end_time") ? Number(params.get("end_time")) * 1000 : Infinity;
+  const inWindow = (trade) => {
+    const t = tradeTimeMs(trade);
+    return Number.isNaN(t) || (t >= start && t <= end);
+  };
+
+  if (Array.isArray(body)) return body.filter(inWindow);
+
+  const out = { ...body };
+  for (const key of ["trades", "orders", "data"]) {
+    if (Array.isArray(out[key])) out[key] = out[key].filter(inWindow);
+  }
+  return out;
+}
+
+function paginate(body, params, style) {
+  if (Array.isArray(body) || !params.has("limit")) return body;
+
+  const key = ["trades", "orders", "data"].find(k => Array.isArray(body[k]));
+  if (!key) return body;
+
+  const all = body[key];
+  const limit = Number(params.get("limit"));
+  const cursor = style === "exchange" ? params.get("cursor") : params.get("pagination_key");
+  const offset = style === "offset" ? Number(params.get("offset") || 0) : Number(cursor ? atob(cursor) : 0);
+  const hasMore = offset + limit < all.length;
+
+  if (style === "exchange") {
+    return { ...body, [key]: all.slice(offset, offset + limit), next_cursor: hasMore ? btoa(String(offset + limit)) : null };
+  }
+
+  const pagination = { limit, total: all.length, has_more: hasMore };
+  if (style === "cursor") {
+    if (hasMore) pagination.pagination_key = btoa(String(offset + limit));
+  } else {
+    pagination.offset = offset;
+  }
+
+  return { ...body, [key]: all.slice(offset, offset + limit), pagination };
+}
+
+const ROUTES = {
+  "/v1/polymarket/orderbooks": { platform: "polymarket", param: "token_id", kind: "orderbook" },
+  "/v1/polymarket/orders": { platform: "polymarket", param: "token_id", kind: "trades", pagination: "offset" },
+  "/v1/kalshi/orderbooks": { platform: "kalshi", param: "ticker", kind: "orderbook" },
+  "/v1/kalshi/trades": { platform: "kalshi", param: "ticker", kind: "trades", pagination: "cursor" },
+  "/v1/exchange/orderbook": { platform: "exchange", param: "symbol", kind: "orderbook" },
+  "/v1/exchange/trades": { platform: "exchange", param: "symbol", kind: "trades", pagination: "exchange" },
+  "/v1/polymarket/markets": [
+    { platform: "polymarket", param: "event_slug", kind: "event" },
+    { platform: "polymarket", param: "token_id", kind: "market" },
+  ],
+  "/v1/kalshi/markets": [
+    { platform: "kalshi", param: "event_ticker", kind: "event" },
+    { platform: "kalshi", param: "market_ticker", kind: "market" },
+  ],
+  "/v1/exchange/events": { platform: "exchange", param: "event_id", kind: "event" },
+  "/v1/exchange/markets": { platform: "exchange", param: "symbol", kind: "market" },
+};
+
+// Start the mock on an ephemeral port. Resolves to:
+//   url      - base URL to use as DOME_API_BASE
+//   requests - log of { path, params } for every authorized request
+//   close()  - stop the server
+export function startMockDome({ fixtures = loadDomeFixtures(), port = 0, apiKey = null } = {}) {
+  const requests = [];
+
+  const server = createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const send = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+
+    const auth = req.headers.authorization || "";
+    if (!auth.startsWith("Bearer ") || (apiKey && auth !== `Bearer ${apiKey}`)) {
+      return send(401, { error: "Unauthorized" });
+    }
+
+    requests.push({ path: url.pathname, params: Object.fromEntries(url.searchParams) });
+
+    // Listing routes serve events or single markets by which filter is given
+    const routes = [].concat(ROUTES[url.pathname] || []);
+    if (routes.length === 0) return send(404, { error: "Not found" });
+    const route = routes.find(r => url.searchParams.has(r.param)) || routes[0];
+
+    const fixture = fixtures.get(`${route.platform}:${url.searchParams.get(route.param)}`);
+    if (!fixture?.[route.kind]) return send(404, { error: "Market not found" });
+
+    const shiftMs = Date.now() - Date.parse(fixture.recorded_at);
+    const body = rebase(fixture[route.kind], shiftMs);
+
+    if (route.kind === "trades") {
+      return send(200, paginate(filterTrades(body, url.searchParams), url.searchParams, route.pagination));
+    }
+    send(200, body);
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/v1`,
+        requests,
+        close: () => new Promise(done => server.close(done)),
+      });
+    });
+  });
+}
+
+// Run standalone under Node or Deno
+if (import.meta.main || (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href)) {
+  const port = Number(process.argv[2] || 8787);
+  const mock = await startMockDome({ port });
+  console.log(`Mock Dome API listening on ${mock.url}`);
+}
@@ -0,0 +1,108 @@
+/**
+ * Observability tests
+ *
+ * Run: deno test --allow-read --allow-net server/test/
+ *   or: node --test server/test/*.test.js (Node 22+)
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { OBSERVABILITY_CONFIG, createLogger, createServerStats, requestIdFor } from "../observability.js";
+
+// Lines written to console.log / console.error while fn runs
+function captureLines(fn) {
+  const lines = [];
+  const { log, error } = console;
+  console.log = (line) => lines.push(JSON.parse(line));
+  console.error = (line) => lines.push(JSON.parse(line));
+  try {
+    fn();
+  } finally {
+    Object.assign(console, { log, error });
+  }
+  return lines;
+}
+
+// =============================================================================
+// LOGGING
+// =============================================================================
+
+test("log lines are JSON with bound fields and error messages", () => {
+  const lines = captureLines(() => {
+    const log = createLogger().child({ request_id: "req-1" });
+    log.info("request", { status: 200 });
+    log.error("orderbook_fetch_error", { platform: "kalshi", error: new Error("connection reset") });
+  });
+
+  assert.equal(lines.length, 2);
+  assert.deepEqual({ ...lines[0], time: undefined }, { time: undefined, level: "info", msg: "request", request_id: "req-1", status: 200 });
+  assert.equal(lines[1].level, "error");
+  assert.equal(lines[1].request_id, "req-1");
+  assert.equal(lines[1].error, "connection reset");
+});
+
+test("request ids come from X-Request-Id when well formed", () => {
+  const given = new Request("https://api.test/", { headers: { "X-Request-Id": "abc-123" } });
+  assert.equal(requestIdFor(given), "abc-123");
+
+  const junk = new Request("https://api.test/", { headers: { "X-Request-Id": "not an id\u0001" } });
+  assert.match(requestIdFor(junk), /^[0-9a-f-]{36}$/);
+  assert.notEqual(requestIdFor(new Request("https://api.test/")), requestIdFor(new Request("https://api.test/")));
+});
+
+// =============================================================================
+// SERVER STATS
+// =============================================================================
+
+test("upstream stats report error rates and latency percentiles", () => {
+  const stats = createServerStats();
+  for (let ms = 1; ms <= 20; ms++) stats.recordUpstream("dome", 200, ms * 10);
+  stats.recordUpstream("dome", 404, 5);
+  stats.recordUpstream("dome", 503, 900);
+  stats.recordUpstream("dome", "error", 30);
+
+  const dome = stats.snapshot().upstreams.dome;
+  assert.equal(dome.calls, 23);
+  // A 404 is a bad market id, not Dome degrading
+  assert.equal(dome.errors, 2);
+  assert.equal(dome.error_rate, Math.round(2 / 23 * 10000) / 10000);
+  assert.deepEqual(dome.statuses, { 200: 20, 404: 1, 503: 1, error: 1 });
+  assert.equal(dome.latency_ms.p50, 100);
+  assert.equal(dome.latency_ms.p95, 200);
+});
+
+test("snapshots name the instance and start time they cover", () => {
+  const stats = createServerStats({ now: () => Date.parse("2026-10-01T12:00:00Z") });
+  const first = stats.snapshot();
+
+  assert.equal(first.scope, "isolate");
+  assert.equal(first.started_at, "2026-10-01T12:00:00.000Z");
+  assert.match(first.instance_id, /^[0-9a-f-]{36}$/);
+  assert.equal(stats.snapshot().instance_id, first.instance_id);
+  assert.notEqual(createServerStats().snapshot().instance_id, first.instance_id);
+});
+
+test("latency window keeps the most recent calls", () => {
+  const stats = createServerStats();
+  for (let i = 0; i < OBSERVABILITY_CONFIG.latency_samples; i++) stats.recordUpstream("exchange", 200, 1000);
+  for (let i = 0; i < OBSERVABILITY_CONFIG.latency_samples; i++) stats.recordUpstream("exchange", 200, 10);
+
+  const { latency_ms: latency, calls } = stats.snapshot().upstreams.exchange;
+  assert.equal(calls, OBSERVABILITY_CONFIG.latency_samples * 2);
+  assert.equal(latency.samples, OBSERVABILITY_CONFIG.latency_samples);
+  assert.equal(latency.p95, 10);
+});
+
+test("cache hit ratios per layer", () => {
+  const stats = createServerStats();
+  stats.recordCache("metrics", true);
+  stats.recordCache("metrics", true);
+  stats.recordCache("metrics", false);
+  stats.recordCache("dome", false);
+
+  assert.deepEqual(stats.snapshot().cache, {
+    metrics: { hits: 2, misses: 1, hit_ratio: 0.6667 },
+    dome: { hits: 0, misses: 1, hit_ratio: 0 },
+  });
+});
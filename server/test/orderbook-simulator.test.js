@@ -0,0 +1,155 @@
+/**
+ * Order book simulator tests
+ *
+ * Run: deno test --allow-read --allow-net server/test/
+ *   or: node --test server/test/*.test.js (Node 22+)
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+
+import {
+  bookMidpoint,
+  simulateMarketOrder,
+  simulateMove,
+  simulateMoveToPrice,
+} from "../orderbook-simulator.js";
+
+const BOOKS = JSON.parse(readFileSync(new URL("./fixtures/orderbooks.json", import.meta.url)));
+
+function assertClose(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-6, `${message || "value"}: expected ${expected}, got ${actual}`);
+}
+
+// =============================================================================
+// MARKET ORDERS
+// =============================================================================
+
+test("buy by shares partially consumes the last level", () => {
+  const fill = simulateMarketOrder(BOOKS.thin, "buy", { shares: 150 });
+
+  assertClose(fill.shares_filled, 150);
+  assertClose(fill.total_cost, 100 * 0.52 + 50 * 0.54);
+  assertClose(fill.avg_fill_price, 79 / 150);
+  assert.equal(fill.final_price, 0.54);
+  assert.equal(fill.levels_consumed, 2);
+  assert.equal(fill.partial_level, true);
+  assert.equal(fill.fully_filled, true);
+});
+
+test("buy by notional stops when the budget is spent", () => {
+  const fill = simulateMarketOrder(BOOKS.thin, "buy", { notional: 100 });
+
+  assertClose(fill.total_cost, 100);
+  assertClose(fill.shares_filled, 100 + 48 / 0.54);
+  assert.equal(fill.final_price, 0.54);
+  assert.equal(fill.levels_consumed, 2);
+});
+
+test("buy with a limit price stops before worse levels", () => {
+  const fill = simulateMarketOrder(BOOKS.thin, "buy", { limitPrice: 0.54 });
+
+  assertClose(fill.shares_filled, 300);
+  assertClose(fill.total_cost, 52 + 108);
+  assert.equal(fill.final_price, 0.54);
+  assert.equal(fill.levels_consumed, 2);
+  assert.equal(fill.partial_level, false);
+});
+
+test("sell is priced as the equivalent No purchase", () => {
+  const fill = simulateMarketOrder(BOOKS.thin, "sell", { shares: 150 });
+
+  assertClose(fill.total_cost, 100 * (1 - 0.48) + 50 * (1 - 0.46));
+  assertClose(fill.avg_fill_price, (100 * 0.48 + 50 * 0.46) / 150);
+  assert.equal(fill.final_price, 0.46);
+});
+
+test("fees are charged per share on top of the notional", () => {
+  const fill = simulateMarketOrder(BOOKS.thin, "buy", { notional: 100, feePerShare: (price) => price * 0.01 });
+
+  assertClose(fill.total_cost, 100);
+  assertClose(fill.fees, 1);
+});
+
+test("order larger than the book reports a partial fill", () => {
+  const fill = simulateMarketOrder(BOOKS.thin, "buy", { shares: 5000 });
+
+  assertClose(fill.shares_filled, 1300);
+  assert.equal(fill.levels_consumed, 3);
+  assert.equal(fill.fully_filled, false);
+});
+
+test("empty side fills nothing", () => {
+  const fill = simulateMarketOrder(BOOKS.asks_only, "sell", { shares: 10 });
+
+  assert.equal(fill.shares_filled, 0);
+  assert.equal(fill.avg_fill_price, null);
+  assert.equal(fill.final_price, null);
+  assert.equal(fill.fully_filled, false);
+});
+
+// =============================================================================
+// PRICE MOVES
+// =============================================================================
+
+test("midpoint of a two-sided book", () => {
+  assertClose(bookMidpoint(BOOKS.thin), 0.5);
+  assertClose(bookMidpoint(BOOKS.deep), 0.705);
+  assert.equal(bookMidpoint(BOOKS.asks_only), null);
+});
+
+test("move up is measured from the midpoint and prints at the straddling level", () => {
+  const move = simulateMove(BOOKS.thin, "up", 0.05);
+
+  assertClose(move.start_price, 0.5);
+  assertClose(move.target_price, 0.55);
+  // Sweeps 0.52 and 0.54, then one share at 0.60
+  assertClose(move.total_cost, 52 + 108 + 0.6);
+  assert.equal(move.final_price, 0.6);
+  assert.equal(move.levels_consumed, 3);
+  assert.equal(move.partial_level, true);
+});
+
+test("move down sweeps bids at their No-side cost", () => {
+  const move = simulateMove(BOOKS.deep, "down", 0.05);
+
+  assertClose(move.target_price, 0.655);
+  assertClose(move.total_cost, 50000 * 0.30 + 80000 * 0.31 + 120000 * 0.33 + 0.36);
+  assert.equal(move.final_price, 0.64);
+});
+
+test("move up on a deep book", () => {
+  const move = simulateMove(BOOKS.deep, "up", 0.05);
+
+  assertClose(move.total_cost, 40000 * 0.71 + 90000 * 0.72 + 150000 * 0.74 + 0.77);
+  assert.equal(move.levels_consumed, 4);
+});
+
+test("move without enough depth returns null", () => {
+  assert.equal(simulateMove(BOOKS.thin, "up", 0.2), null);
+  assert.equal(simulateMove(BOOKS.asks_only, "down", 0.05), null);
+});
+
+test("one-sided book measures the move from the best price", () => {
+  const move = simulateMove(BOOKS.asks_only, "up", 0.05);
+
+  assertClose(move.start_price, 0.1);
+  assertClose(move.total_cost, 50 + 60 + 0.2);
+});
+
+test("move to an absolute target inside the spread costs one lot", () => {
+  const move = simulateMoveToPrice(BOOKS.thin, 0.51);
+
+  assert.equal(move.side, "buy");
+  assertClose(move.total_cost, 0.52);
+  assert.equal(move.levels_consumed, 1);
+});
+
+test("move to an absolute target below the midpoint sells", () => {
+  const move = simulateMoveToPrice(BOOKS.thin, 0.46);
+
+  assert.equal(move.side, "sell");
+  assertClose(move.total_cost, 100 * 0.52 + 1 * 0.54);
+  assert.equal(move.final_price, 0.46);
+});
@@ -0,0 +1,122 @@
+/**
+ * Trade cleaning tests
+ *
+ * Run: deno test --allow-read --allow-net server/test/
+ *   or: node --test server/test/*.test.js (Node 22+)
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { capTraderShare, cleanTrades, summarizeCleaning } from "../trade-cleaning.js";
+
+const NOW = Date.UTC(2026, 9, 1, 12);
+const MINUTE = 60 * 1000;
+
+const BOOK = {
+  bids: [{ price: 0.49, size: 1000 }],
+  asks: [{ price: 0.51, size: 1000 }],
+};
+
+function trade(minutesAgo, price, size = 100, fields = {}) {
+  return { price, size, timestamp: NOW - minutesAgo * MINUTE, side: null, trader: null, ...fields };
+}
+
+function assertClose(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-6, `${message || "value"}: expected ${expected}, got ${actual}`);
+}
+
+// =============================================================================
+// OFF-BOOK PRINTS
+// =============================================================================
+
+test("recent prints outside the live book are excluded", () => {
+  const trades = [trade(5, 0.5), trade(8, 0.57), trade(10, 0.55)];
+  const { kept, excluded } = cleanTrades(trades, BOOK.bids, BOOK.asks, NOW);
+
+  assert.deepEqual(excluded.map(e => [e.trade.price, e.reason]), [[0.57, "off_book"]]);
+  assert.equal(kept.length, 2);
+});
+
+test("older prints are checked against the trades around them", () => {
+  // The book has since moved to 0.5; the old trades around 0.3 are fine
+  const trades = [trade(300, 0.3), trade(290, 0.31), trade(280, 0.6), trade(270, 0.3), trade(260, 0.29)];
+  const { excluded } = cleanTrades(trades, BOOK.bids, BOOK.asks, NOW);
+
+  assert.deepEqual(excluded.map(e => e.trade.price), [0.6]);
+});
+
+// =============================================================================
+// WASH PRINTS
+// =============================================================================
+
+test("same-size prints alternating sides in quick succession are wash", () => {
+  const sides = ["buy", "sell", "buy", "sell"];
+  const run = sides.map((side, i) => trade(60 - i * 0.5, 0.5, 250, { side }));
+  const { kept, excluded } = cleanTrades([...run, trade(90, 0.5, 250, { side: "buy" })], [], [], NOW);
+
+  assert.equal(excluded.length, 4);
+  assert.ok(excluded.every(e => e.reason === "wash"));
+  assert.equal(kept.length, 1);
+});
+
+test("without sides, a price bouncing back and forth is wash", () => {
+  const run = [0.5, 0.51, 0.5, 0.51].map((price, i) => trade(60 - i, price, 40));
+  assert.equal(cleanTrades(run, [], [], NOW).excluded.length, 4);
+
+  // Same size but drifting one way is ordinary flow
+  const drift = [0.5, 0.51, 0.52, 0.53].map((price, i) => trade(60 - i, price, 40));
+  assert.equal(cleanTrades(drift, [], [], NOW).excluded.length, 0);
+});
+
+test("same-size prints spread out in time are not wash", () => {
+  const sides = ["buy", "sell", "buy", "sell"];
+  const spread = sides.map((side, i) => trade(200 - i * 10, 0.5, 250, { side }));
+
+  assert.equal(cleanTrades(spread, [], [], NOW).excluded.length, 0);
+});
+
+// =============================================================================
+// TRADER CAP
+// =============================================================================
+
+test("a dominant trader is scaled to the share cap", () => {
+  const trades = [
+    ...["a", "b", "c", "d", "e"].map((trader, i) => trade(10 + i, 0.5, 100, { trader })),
+    trade(20, 0.6, 10000, { trader: "whale" }),
+    trade(30, 0.5, 100),
+  ];
+  const result = capTraderShare(trades);
+
+  // 600 of other volume: the whale is capped at 0.25 x 600 / 0.75 = 200
+  const whale = result.trades.find(t => t.trader === "whale");
+  assertClose(whale.size, 200);
+  assert.equal(result.capped_traders, 1);
+  assert.equal(result.capped_volume, 9800);
+
+  const total = result.trades.reduce((sum, t) => sum + t.size, 0);
+  assertClose(whale.size / total, 0.25);
+});
+
+test("too few traders to satisfy the cap are left alone", () => {
+  const trades = [trade(10, 0.5, 100, { trader: "a" }), trade(11, 0.5, 900, { trader: "b" })];
+  const result = capTraderShare(trades);
+
+  assert.equal(result.trades, trades);
+  assert.equal(result.capped_traders, 0);
+});
+
+test("summary counts exclusions inside the window", () => {
+  const excluded = [
+    { trade: trade(10, 0.9), reason: "off_book" },
+    { trade: trade(20, 0.5), reason: "wash" },
+    { trade: trade(500, 0.5), reason: "wash" },
+  ];
+
+  assert.deepEqual(summarizeCleaning(excluded, NOW - 360 * MINUTE, null), {
+    excluded_trades: 2,
+    excluded_reasons: { off_book: 1, wash: 1 },
+    capped_traders: 0,
+    capped_volume: 0,
+  });
+});
@@ -0,0 +1,1712 @@
+/**
+ * Worker end-to-end tests
+ *
+ * Drives the Cloudflare Worker's fetch/scheduled handlers against the mock
+ * Dome API (mock-dome.js) and an in-memory KV namespace (memory-kv.js).
+ *
+ * Run: deno test --allow-read --allow-net server/test/
+ *   or: node --test server/test/*.test.js (Node 22+)
+ */
+
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+
+import worker, { MetricsStream, RateLimiter } from "../cloudflare-worker.js";
+import { getPlatformAdapter } from "../platforms.js";
+import { CONFIG } from "../pricing-core.js";
+import { createDurableObjectNamespace } from "./durable-object.js";
+import { createMemoryKV } from "./memory-kv.js";
+import { startMockDome } from "./mock-dome.js";
+
+let mock;
+
+before(async () => {
+  mock = await startMockDome({ apiKey: "test-key" });
+});
+
+after(async () => {
+  await mock.close();
+});
+
+const TEST_ORIGIN = "https://monitor.test";
+const ADMIN_TOKEN = "admin-token";
+
+function createEnv(overrides = {}) {
+  const env = {
+    DOME_API_KEY: "test-key",
+    DOME_API_BASE: mock.url,
+    EXCHANGE_API_BASE: `${mock.url}/exchange`,
+    EXCHANGE_API_KEY: "test-key",
+    BELLWETHER_KV: createMemoryKV(),
+    ALLOWED_ORIGINS: TEST_ORIGIN,
+    ADMIN_TOKEN,
+    ...overrides,
+  };
+  // Fresh buckets per test
+  env.RATE_LIMITER = createDurableObjectNamespace(RateLimiter, env);
+  return env;
+}
+
+function createContext() {
+  const pending = [];
+  return {
+    pending,
+    waitUntil: (promise) => pending.push(promise),
+    passThroughOnException: () => {},
+  };
+}
+
+// Requests come from the allowlisted monitor origin unless init.headers says otherwise
+async function request(env, path, init = {}) {
+  const ctx = createContext();
+  const headers = { Origin: TEST_ORIGIN, ...init.headers };
+  const response = await worker.fetch(new Request(`https://worker.test${path}`, { ...init, headers }), env, ctx);
+  const body = await response.json();
+  await Promise.all(ctx.pending);
+  return { status: response.status, headers: response.headers, body };
+}
+
+async function issueApiKey(env, fields = { name: "test client" }) {
+  const { body } = await request(env, "/api/keys", {
+    method: "POST",
+    headers: { Authorization: `Bearer ${ADMIN_TOKEN}` },
+    body: JSON.stringify(fields),
+  });
+  return body.key;
+}
+
+// Request as an API key client (one key per env)
+async function keyRequest(env, path, init = {}) {
+  env.TEST_API_KEY ??= await issueApiKey(env);
+  return request(env, path, { ...init, headers: { "X-Bellwether-Key": env.TEST_API_KEY, ...init.headers } });
+}
+
+async function runCron(env) {
+  const ctx = createContext();
+  await worker.scheduled({ scheduledTime: Date.now(), cron: "*/15 * * * *" }, env, ctx);
+  await Promise.all(ctx.pending);
+}
+
+// Dome calls made while fn runs, grouped by route
+async function countDomeCalls(fn) {
+  const start = mock.requests.length;
+  await fn();
+  const counts = {};
+  for (const { path } of mock.requests.slice(start)) {
+    counts[path] = (counts[path] || 0) + 1;
+  }
+  return counts;
+}
+
+function assertClose(actual, expected, message) {
+  assert.ok(Math.abs(actual - expected) < 1e-6, `${message || "value"}: expected ${expected}, got ${actual}`);
+}
+
+// =============================================================================
+// TIERING AND REPORTABILITY
+// =============================================================================
+
+test("liquid market prices off the 6h VWAP and is reportable", async () => {
+  const { status, body } = await request(createEnv(), "/api/metrics/polymarket/1001");
+
+  assert.equal(status, 200);
+  assert.equal(body.price_tier, 1);
+  assert.equal(body.vwap_details.trade_count, 24);
+  assert.ok(body.bellwether_price >= 0.61 && body.bellwether_price <= 0.63);
+  // Down move sweeps 0.61 and 0.59 at their No-side cost, then one share at 0.56
+  assert.equal(body.robustness.cost_to_move_down_5c, Math.round(100000 * 0.39 + 200000 * 0.41 + 0.44));
+  assert.equal(body.robustness.reportability, "reportable");
+  assert.equal(body.cached, false);
+});
+
+test("trades only in the 12h window fall back to tier 2 and downgrade reportability", async () => {
+  const { body } = await request(createEnv(), "/api/metrics/polymarket/1002");
+
+  assert.equal(body.price_tier, 2);
+  assert.equal(body.vwap_details.trade_count, 12);
+  assert.equal(body.robustness.raw_reportability, "caution");
+  assert.equal(body.robustness.reportability, "fragile");
+});
+
+test("no trades falls back to the orderbook midpoint capped at caution", async () => {
+  const { body } = await request(createEnv(), "/api/metrics/polymarket/1003");
+
+  assert.equal(body.price_tier, 3);
+  assertClose(body.bellwether_price, 0.2);
+  assert.equal(body.robustness.raw_reportability, "reportable");
+  assert.equal(body.robustness.reportability, "caution");
+});
+
+test("empty book and no trades uses the stale VWAP as tier 4", async () => {
+  const env = createEnv();
+  await env.BELLWETHER_KV.put("stale_polymarket:1004", JSON.stringify({
+    price: 0.33,
+    window_hours: 6,
+    trade_count: 14,
+    stored_at: new Date(Date.now() - 3 * 86400000).toISOString(),
+  }));
+
+  const { body } = await request(env, "/api/metrics/polymarket/1004");
+
+  assert.equal(body.price_tier, 4);
+  assert.equal(body.bellwether_price, 0.33);
+  assert.equal(body.robustness.reportability, "fragile");
+});
+
+test("empty book without a stale VWAP reports no data", async () => {
+  const { body } = await request(createEnv(), "/api/metrics/polymarket/1004");
+
+  assert.equal(body.price_tier, 4);
+  assert.equal(body.bellwether_price, null);
+  assert.equal(body.price_source, "no_data");
+});
+
+// =============================================================================
+// MARKET STATUS
+// =============================================================================
+
+test("open markets report their close time", async () => {
+  const { body } = await request(createEnv(), "/api/metrics/polymarket/1001");
+
+  assert.equal(body.market.status, "open");
+  assert.equal(body.market.resolved_outcome, null);
+  assert.ok(Math.abs(body.market.time_to_close_seconds - 30 * 86400) <= 5);
+  assert.ok(Math.abs(Date.parse(body.market.close_time) - Date.now() - 30 * 86400000) <= 5000);
+  assert.equal(body.price_tier, 1);
+});
+
+test("without venue metadata the market block is null and pricing carries on", async () => {
+  const { body } = await request(createEnv(), "/api/metrics/polymarket/1002");
+
+  assert.equal(body.market, null);
+  assert.equal(body.price_tier, 2);
+});
+
+test("a halted market keeps its live price but has no time to close", async () => {
+  const { body } = await request(createEnv(), "/api/metrics/exchange/TEST-EVT-YES");
+
+  assert.equal(body.market.status, "closed");
+  assert.equal(body.market.time_to_close_seconds, null);
+  assert.notEqual(body.bellwether_price, null);
+});
+
+test("a resolved market is priced at its settlement, not its book", async () => {
+  // Token 1009 is the Yes side of a market that resolved No; quotes linger
+  let body;
+  const calls = await countDomeCalls(async () => {
+    ({ body } = await request(createEnv(), "/api/metrics/polymarket/1009"));
+  });
+
+  assert.equal(body.bellwether_price, 0);
+  assert.equal(body.price_source, "settlement");
+  assert.equal(body.price_label, "Settled No");
+  assert.equal(body.price_tier, null);
+  assert.equal(body.price_interval, null);
+  assert.deepEqual(body.market, {
+    status: "resolved",
+    close_time: body.market.close_time,
+    time_to_close_seconds: null,
+    resolved_at: body.market.resolved_at,
+    resolved_outcome: "no",
+    settlement_price: 0,
+  });
+  assert.ok(Math.abs(body.freshness.price.age_seconds - 2 * 86400) <= 5);
+  assert.equal(body.robustness.reportability, "reportable");
+  // The settlement makes the book and trades moot, so neither is fetched
+  assert.deepEqual(calls, { "/v1/polymarket/markets": 1 });
+});
+
+test("a settled market needs no orderbook", async () => {
+  const { status, body } = await request(createEnv(), "/api/metrics/kalshi/KXTEST-26-SETTLED");
+
+  assert.equal(status, 200);
+  assert.equal(body.bellwether_price, 1);
+  assert.equal(body.price_label, "Settled Yes");
+  assert.equal(body.market.resolved_outcome, "yes");
+});
+
+test("a combined market settles when any leg does", async () => {
+  let body;
+  const calls = await countDomeCalls(async () => {
+    ({ body } = await request(createEnv(), "/api/metrics/combined?legs=polymarket:1001,kalshi:KXTEST-26-SETTLED"));
+  });
+
+  assert.equal(body.bellwether_price, 1);
+  assert.equal(body.price_source, "settlement");
+  assert.deepEqual(body.platform_prices, { polymarket: null, kalshi: 1 });
+  assert.equal(body.markets.polymarket.status, "open");
+  assert.equal(body.markets.kalshi.status, "resolved");
+  assert.equal(body.market.status, "resolved");
+  assert.deepEqual(Object.keys(calls).sort(), ["/v1/kalshi/markets", "/v1/polymarket/markets"]);
+});
+
+test("an open combined market closes with its first leg", async () => {
+  const { body } = await request(createEnv(), "/api/metrics/combined?legs=polymarket:1001,kalshi:KXTEST-26-DOLLARS");
+
+  assert.equal(body.market.status, "open");
+  assert.ok(Math.abs(body.market.time_to_close_seconds - 10 * 86400) <= 5);
+  assert.ok(body.markets.polymarket.time_to_close_seconds > body.market.time_to_close_seconds);
+});
+
+// =============================================================================
+// FRESHNESS
+// =============================================================================
+
+test("price components carry their observation time and age", async () => {
+  const { body } = await request(createEnv(), "/api/metrics/polymarket/1001");
+  const { freshness } = body;
+
+  // The newest trade in the 6h window, the book snapshot, the last trade
+  assert.ok(freshness.price.age_seconds < 6 * 3600);
+  assert.ok(freshness.orderbook.age_seconds < 3600);
+  assert.equal(typeof freshness.current_price.observed_at, "string");
+  assert.ok(freshness.current_price.age_seconds <= freshness.price.age_seconds);
+  assert.equal(freshness.expired, false);
+  assert.equal(body.vwap_details.stored_at, null);
+});
+
+test("a stale VWAP reports when it was stored", async () => {
+  const env = createEnv();
+  const storedAt = new Date(Date.now() - 3 * 86400000).toISOString();
+  await env.BELLWETHER_KV.put("stale_polymarket:1004", JSON.stringify({ price: 0.33, window_hours: 6, trade_count: 14, stored_at: storedAt }));
+
+  const { body } = await request(env, "/api/metrics/polymarket/1004");
+
+  assert.equal(body.price_source, "stale_vwap");
+  assert.equal(body.vwap_details.stored_at, storedAt);
+  assert.equal(body.freshness.price.observed_at, storedAt);
+  assert.ok(Math.abs(body.freshness.price.age_seconds - 3 * 86400) <= 5);
+});
+
+test("a stale VWAP past the max age is not published", async () => {
+  const env = createEnv();
+  const storedAt = new Date(Date.now() - 6 * 86400000).toISOString();
+  await env.BELLWETHER_KV.put("stale_polymarket:1004", JSON.stringify({ price: 0.33, window_hours: 6, trade_count: 14, stored_at: storedAt }));
+
+  const { body } = await request(env, "/api/metrics/polymarket/1004");
+
+  assert.equal(body.bellwether_price, null);
+  assert.equal(body.price_interval, null);
+  assert.equal(body.price_source, "expired");
+  assert.equal(body.price_label, "Last VWAP too old");
+  assert.equal(body.freshness.expired, true);
+  assert.equal(body.vwap_details.stored_at, storedAt);
+  assert.equal(body.robustness.reportability, "fragile");
+});
+
+test("the newest book snapshot is used, and not past the max age", async () => {
+  // Snapshots arrive oldest first: 6 days old at 0.32, then 1 hour old at 0.42
+  const { body } = await request(createEnv(), "/api/metrics/polymarket/1008");
+  assert.equal(body.price_tier, 3);
+  assertClose(body.bellwether_price, 0.42);
+  assert.ok(Math.abs(body.freshness.orderbook.age_seconds - 3600) <= 5);
+
+  const { body: aged } = await withConfig({ max_price_age_hours: 0.5 }, () => request(createEnv(), "/api/metrics/polymarket/1008"));
+  assert.equal(aged.bellwether_price, null);
+  assert.equal(aged.price_source, "no_data");
+  assert.ok(aged.freshness.orderbook.age_seconds > 1800);
+});
+
+test("combined legs carry their own observation time", async () => {
+  const { body } = await request(createEnv(), "/api/metrics/combined?legs=polymarket:1001,kalshi:KXTEST-26-DOLLARS");
+
+  for (const leg of body.combination.legs) {
+    assert.equal(typeof leg.observed_at, "string", leg.platform);
+    assert.ok(leg.age_seconds >= 0);
+  }
+  assert.deepEqual(Object.keys(body.freshness.orderbooks), ["polymarket", "kalshi"]);
+  // The blend is as old as its oldest leg
+  const oldest = Math.max(...body.combination.legs.map(leg => leg.age_seconds));
+  assert.ok(Math.abs(body.freshness.price.age_seconds - oldest) <= 1);
+});
+
+test("price interval comes from the VWAP's trades and the spread", async () => {
+  const { body } = await request(createEnv(), "/api/metrics/polymarket/1001");
+  const { low, high, method } = body.price_interval;
+
+  assert.equal(method, "vwap_standard_error");
+  assert.ok(low < body.bellwether_price && body.bellwether_price < high);
+  // At least half the 2c spread either side
+  assert.ok(high - body.bellwether_price >= 0.01 - 1e-9);
+});
+
+test("price interval widens with tier", async () => {
+  const env = createEnv();
+
+  // Midpoint of a 0.18/0.22 book: half the spread, doubled for tier 3
+  const { body: midpoint } = await request(env, "/api/metrics/polymarket/1003");
+  assert.equal(midpoint.price_interval.method, "orderbook_spread");
+  assertClose(midpoint.price_interval.low, 0.16);
+  assertClose(midpoint.price_interval.high, 0.24);
+
+  await env.BELLWETHER_KV.put("stale_polymarket:1004", JSON.stringify({ price: 0.33, window_hours: 6, trade_count: 14, stored_at: new Date().toISOString() }));
+  const { body: stale } = await request(env, "/api/metrics/polymarket/1004");
+  assert.deepEqual(stale.price_interval, { low: 0.23, high: 0.43, method: "stale" });
+
+  const { body: missing } = await request(createEnv(), "/api/metrics/polymarket/1004");
+  assert.equal(missing.price_interval, null);
+});
+
+test("combined interval covers disagreement between legs", async () => {
+  const { body } = await request(createEnv(), "/api/metrics/combined?legs=polymarket:1001,kalshi:KXTEST-26-DOLLARS");
+  const { low, high, method } = body.price_interval;
+
+  assert.equal(method, "liquidity_weighted_legs");
+  assert.ok(low < body.bellwether_price && body.bellwether_price < high);
+  for (const leg of body.combination.legs) {
+    assert.ok(Math.abs(leg.price - body.bellwether_price) <= high - low);
+  }
+});
+
+test("off-book and wash prints are excluded and a dominant trader capped", async () => {
+  const { body } = await request(createEnv(), "/api/metrics/polymarket/1007");
+
+  assert.equal(body.price_tier, 1);
+  assert.deepEqual(body.vwap_details.trade_cleaning, {
+    excluded_trades: 5,
+    excluded_reasons: { off_book: 1, wash: 4 },
+    capped_traders: 1,
+    capped_volume: 14600,
+  });
+  assert.equal(body.vwap_details.trade_count, 15);
+  // 1,200 at 0.50 plus the 0.53 trader capped to 400
+  assertClose(body.bellwether_price, 0.5075);
+});
+
+test("combined legs report their excluded trades", async () => {
+  const { body } = await request(createEnv(), "/api/metrics/combined?legs=polymarket:1007,kalshi:KXTEST-26-CENTS");
+
+  assert.equal(body.combination.legs[0].excluded_trades, 5);
+  assert.equal(body.vwap_details.trade_cleaning.excluded_trades, 5);
+});
+
+// =============================================================================
+// FIELD FALLBACKS AND UNIT CONVERSION
+// =============================================================================
+
+test("trades with terse p/s/t fields and millisecond timestamps are parsed", async () => {
+  const env = createEnv();
+  const { body } = await request(env, "/api/metrics/polymarket/1005");
+
+  assert.equal(body.price_tier, 1);
+  assert.equal(body.vwap_details.trade_count, 10);
+  assertClose(body.bellwether_price, 0.8);
+
+  // The fixture's one row without a time never enters the pull
+  const pull = await env.BELLWETHER_KV.get("dome_trades_polymarket_1005_24", "json");
+  assert.equal(pull.value.trades.length, 10);
+  assert.ok(pull.value.trades.every(trade => Number.isFinite(trade.timestamp)));
+});
+
+test("orderbook levels given as p/s are parsed", async () => {
+  const { body } = await request(createEnv(), "/api/metrics/polymarket/1003");
+
+  assert.equal(body.orderbook_summary.best_bid, 0.18);
+  assert.equal(body.orderbook_summary.best_ask, 0.22);
+});
+
+test("Kalshi book quoted in cents converts to dollars, No bids becoming asks", async () => {
+  const { body } = await request(createEnv(), "/api/metrics/kalshi/KXTEST-26-CENTS");
+
+  assertClose(body.orderbook_summary.best_bid, 0.6);
+  assertClose(body.orderbook_summary.best_ask, 0.62);
+  assert.equal(body.orderbook_summary.bid_levels, 3);
+  assert.equal(body.orderbook_summary.top_5_bids[0].size, 5000);
+  assertClose(body.orderbook_midpoint, 0.61);
+});
+
+test("Kalshi book quoted in dollars and trades with yes_price_dollars", async () => {
+  const { body } = await request(createEnv(), "/api/metrics/kalshi/KXTEST-26-DOLLARS");
+
+  assertClose(body.orderbook_summary.best_bid, 0.61);
+  assertClose(body.orderbook_summary.best_ask, 0.63);
+  assert.equal(body.price_tier, 1);
+  assert.equal(body.vwap_details.trade_count, 12);
+  assert.ok(body.bellwether_price >= 0.61 && body.bellwether_price <= 0.63);
+});
+
+test("prices convert by their field's unit, not their size", () => {
+  const exchange = getPlatformAdapter("exchange");
+  const tradePrice = (price, priceUnit) => exchange.normalizeTrade({ price, timestamp: 1790855400 }, { venues: { exchange: { priceUnit } } }).price;
+
+  assert.deepEqual([0, 0.5, 1].map(price => tradePrice(price)), [0, 0.5, 1]);
+  assert.deepEqual([0, 1, 50, 100].map(price => tradePrice(price, "cents")), [0, 0.01, 0.5, 1]);
+
+  const kalshi = getPlatformAdapter("kalshi");
+  const book = (orderbook) => kalshi.normalizeOrderbook({ snapshots: [{ orderbook, timestamp: 1790855970000 }] });
+
+  // A one-cent Yes bid and No bid, the latter a Yes ask at 99 cents
+  const [centBids, centAsks] = book({ yes: [[1, 10]], no: [[1, 10]] });
+  assertClose(centBids[0].price, 0.01);
+  assertClose(centAsks[0].price, 0.99);
+
+  // A dollar level at 1 is a certainty, left off the book, not a cent
+  const [dollarBids, dollarAsks] = book({ yes_dollars: [[1, 10], [0.6, 10]], no_dollars: [[1, 10], [0, 10]] });
+  assert.deepEqual(dollarBids.map(level => level.price), [0.6]);
+  assert.deepEqual(dollarAsks, []);
+});
+
+// =============================================================================
+// ENDPOINTS
+// =============================================================================
+
+test("second request is served from the KV cache without calling Dome", async () => {
+  const env = createEnv();
+  await request(env, "/api/metrics/polymarket/1001");
+  const upstreamCalls = mock.requests.length;
+
+  const { body } = await request(env, "/api/metrics/polymarket/1001");
+
+  assert.equal(body.cached, true);
+  assert.equal(mock.requests.length, upstreamCalls);
+});
+
+// =============================================================================
+// OBSERVABILITY
+// =============================================================================
+
+test("responses carry a request id, echoing the caller's", async () => {
+  const env = createEnv();
+
+  const generated = await request(env, "/health");
+  assert.match(generated.headers.get("X-Request-Id"), /^[0-9a-f-]{36}$/);
+
+  const echoed = await request(env, "/health", { headers: { "X-Request-Id": "monitor-42" } });
+  assert.equal(echoed.headers.get("X-Request-Id"), "monitor-42");
+});
+
+test("server metrics count upstream calls, errors and cache hits", async () => {
+  const env = createEnv();
+  const { body: before } = await request(env, "/api/metrics/server");
+
+  await request(env, "/api/metrics/polymarket/1002");
+  await request(env, "/api/metrics/polymarket/1002");
+  // Nothing listens on the discard port, so every Dome call fails
+  await request(createEnv({ DOME_API_BASE: "http://127.0.0.1:9/v1" }), "/api/metrics/polymarket/1001");
+
+  const { status, body: after } = await request(env, "/api/metrics/server");
+  assert.equal(status, 200);
+  assert.equal(after.scope, "isolate");
+
+  const dome = after.upstreams.dome;
+  const domeBefore = before.upstreams.dome || { calls: 0, errors: 0 };
+  assert.ok(dome.calls > domeBefore.calls);
+  assert.ok(dome.errors > domeBefore.errors);
+  assert.ok(dome.statuses.error > 0);
+  assert.ok(dome.latency_ms.p50 !== null && dome.latency_ms.p95 >= dome.latency_ms.p50);
+
+  // The repeat request is served from the metrics cache
+  const hitsBefore = before.cache.metrics?.hits ?? 0;
+  assert.equal(after.cache.metrics.hits, hitsBefore + 1);
+  assert.ok(after.requests.count >= before.requests.count + 3);
+});
+
+// =============================================================================
+// UPSTREAM CALLS
+// =============================================================================
+
+test("single market pulls its orderbook, trades and metadata once", async () => {
+  const calls = await countDomeCalls(() => request(createEnv(), "/api/metrics/polymarket/1002"));
+
+  assert.deepEqual(calls, { "/v1/polymarket/orderbooks": 1, "/v1/polymarket/orders": 1, "/v1/polymarket/markets": 1 });
+});
+
+test("combined market pulls each platform once", async () => {
+  const calls = await countDomeCalls(() => request(
+    createEnv(),
+    "/api/metrics/combined?pm_token=1001&k_ticker=KXTEST-26-CENTS"
+  ));
+
+  assert.deepEqual(calls, {
+    "/v1/polymarket/orderbooks": 1,
+    "/v1/polymarket/orders": 1,
+    "/v1/polymarket/markets": 1,
+    "/v1/kalshi/orderbooks": 1,
+    "/v1/kalshi/trades": 1,
+    "/v1/kalshi/markets": 1,
+  });
+});
+
+test("batch shares pulls between a market and a combined entry using it", async () => {
+  const calls = await countDomeCalls(() => request(createEnv(), "/api/metrics/batch", {
+    method: "POST",
+    body: JSON.stringify({
+      markets: [
+        { id: "pm", platform: "polymarket", token_id: "1001" },
+        { id: "pair", pm_token: "1001", k_ticker: "KXTEST-26-CENTS" },
+      ],
+    }),
+  }));
+
+  assert.equal(calls["/v1/polymarket/orderbooks"], 1);
+  assert.equal(calls["/v1/polymarket/orders"], 1);
+});
+
+test("concurrent requests for the same market share one upstream call", async () => {
+  const env = createEnv();
+  const calls = await countDomeCalls(() => Promise.all([
+    request(env, "/api/metrics/polymarket/1003"),
+    request(env, "/api/metrics/polymarket/1003"),
+  ]));
+
+  assert.deepEqual(calls, { "/v1/polymarket/orderbooks": 1, "/v1/polymarket/orders": 1, "/v1/polymarket/markets": 1 });
+});
+
+test("Dome responses are cached separately from computed metrics", async () => {
+  const env = createEnv();
+  await request(env, "/api/metrics/polymarket/1001");
+  await env.BELLWETHER_KV.delete("polymarket:1001");
+
+  let body;
+  const calls = await countDomeCalls(async () => {
+    ({ body } = await request(env, "/api/metrics/polymarket/1001"));
+  });
+
+  assert.deepEqual(calls, {});
+  assert.equal(body.cached, false);
+  assert.equal(body.price_tier, 1);
+});
+
+// =============================================================================
+// TRADE PAGINATION
+// =============================================================================
+
+// Run fn with CONFIG fields temporarily overridden
+async function withConfig(overrides, fn) {
+  const saved = Object.fromEntries(Object.keys(overrides).map(key => [key, CONFIG[key]]));
+  Object.assign(CONFIG, overrides);
+  try {
+    return await fn();
+  } finally {
+    Object.assign(CONFIG, saved);
+  }
+}
+
+test("offset pagination is followed until the window is covered", async () => {
+  let body;
+  const calls = await withConfig({ trades_page_limit: 100 }, () => countDomeCalls(async () => {
+    ({ body } = await request(createEnv(), "/api/metrics/polymarket/1006"));
+  }));
+
+  assert.equal(calls["/v1/polymarket/orders"], 3);
+  assert.equal(body.vwap_details.trades_complete, true);
+  assert.equal(body.vwap_details.trade_pages, 3);
+  // 250 trades every 5 minutes: 72 of them inside 6h
+  assert.equal(body.vwap_details.trade_count, 72);
+});
+
+test("trade pulls stop at the page cap and report truncation", async () => {
+  const { body } = await withConfig(
+    { trades_page_limit: 100, trades_max_pages: 2 },
+    () => request(createEnv(), "/api/metrics/polymarket/1006")
+  );
+
+  assert.equal(body.vwap_details.trades_complete, false);
+  assert.equal(body.vwap_details.trade_pages, 2);
+  assert.equal(body.price_tier, 1);
+});
+
+test("cursor pagination is followed for Kalshi", async () => {
+  const { body } = await withConfig(
+    { trades_page_limit: 4 },
+    () => request(createEnv(), "/api/metrics/kalshi/KXTEST-26-CENTS")
+  );
+
+  assert.equal(body.vwap_details.trades_complete, true);
+  assert.equal(body.vwap_details.trade_pages, 4);
+  assert.equal(body.vwap_details.trade_count, 15);
+});
+
+test("combined trade set is truncated if either platform is", async () => {
+  const { body } = await withConfig(
+    { trades_page_limit: 100, trades_max_pages: 2 },
+    () => request(createEnv(), "/api/metrics/combined?pm_token=1006&k_ticker=KXTEST-26-CENTS")
+  );
+
+  assert.equal(body.vwap_details.trades_complete, false);
+  assert.equal(body.vwap_details.trade_pages, 3);
+});
+
+test("combined endpoint reports the weakest platform", async () => {
+  const { status, body } = await request(
+    createEnv(),
+    "/api/metrics/combined?pm_token=1001&k_ticker=KXTEST-26-DOLLARS"
+  );
+
+  assert.equal(status, 200);
+  assert.ok(body.platform_prices.polymarket);
+  assert.ok(body.platform_prices.kalshi);
+  assert.equal(body.robustness.weakest_platform, "kalshi");
+  assert.equal(body.robustness.cost_to_move_5c, Math.round(50000 * 0.39 + 100000 * 0.41 + 0.5));
+});
+
+test("batch returns per-item results and errors", async () => {
+  const { status, body } = await request(createEnv(), "/api/metrics/batch", {
+    method: "POST",
+    body: JSON.stringify({
+      markets: [
+        { id: "a", platform: "polymarket", token_id: "1001" },
+        { id: "b", platform: "polymarket", token_id: "9999" },
+      ],
+    }),
+  });
+
+  assert.equal(status, 200);
+  const byId = Object.fromEntries(body.results.map(r => [r.id, r]));
+  assert.equal(byId.a.ok, true);
+  assert.equal(byId.a.metrics.price_tier, 1);
+  assert.equal(byId.b.ok, false);
+  assert.ok(byId.b.error);
+});
+
+test("batches hold as many markets as fit the subrequest limit, legs counted", async () => {
+  const single = (token_id) => ({ platform: "polymarket", token_id });
+  const pair = { pm_token: "1001", k_ticker: "KXTEST-26-CENTS" };
+  const batch = (markets) => request(createEnv(), "/api/metrics/batch", { method: "POST", body: JSON.stringify({ markets }) });
+
+  // Metadata, book and five trade pages: seven fetches a market, so seven markets in 50
+  assert.equal((await batch(["1001", "1002", "1003", "1004", "1006", "1007", "1008"].map(single))).status, 200);
+  assert.equal((await batch([pair, pair, pair, single("1002")])).status, 200);
+
+  const { status, body } = await batch([pair, pair, pair, pair]);
+  assert.equal(status, 400);
+  assert.match(body.hint, /At most 7 markets/);
+  assert.equal(body.max_markets, 7); // For clients to re-split by
+
+  // Fewer trade pages leave room for more markets
+  await withConfig({ trades_max_pages: 1 }, async () => {
+    assert.equal((await batch([pair, pair, pair, pair])).status, 200);
+  });
+});
+
+test("unknown market returns 404", async () => {
+  const { status } = await request(createEnv(), "/api/metrics/polymarket/9999");
+  assert.equal(status, 404);
+});
+
+test("missing API key is reported by /health", async () => {
+  const { body } = await request(createEnv({ DOME_API_KEY: "" }), "/health");
+  assert.equal(body.dome_api_configured, false);
+});
+
+test("cron snapshots requested markets into /api/history", async () => {
+  const env = createEnv();
+  await request(env, "/api/metrics/polymarket/1001");
+
+  await runCron(env);
+
+  const { status, body } = await request(env, "/api/history/polymarket/1001?resolution=raw");
+
+  assert.equal(status, 200);
+  assert.equal(body.points.length, 1);
+  assert.equal(body.points[0].price_tier, 1);
+});
+
+test("cron snapshots don't extend how long a market stays tracked", async () => {
+  const env = createEnv();
+  const kv = env.BELLWETHER_KV;
+  await kv.put("tracked:polymarket:1001", JSON.stringify({ platform: "polymarket", token_id: "1001" }), { expirationTtl: 60 });
+  const { expiresAt } = kv.entries.get("tracked:polymarket:1001");
+
+  await runCron(env);
+  assert.equal(kv.entries.get("tracked:polymarket:1001").expiresAt, expiresAt);
+  assert.equal((await request(env, "/api/history/polymarket/1001?resolution=raw")).body.points.length, 1);
+});
+
+test("cron runs snapshot what fits half the subrequest limit, rotating through the tracked set", async () => {
+  const env = createEnv();
+  const kv = env.BELLWETHER_KV;
+  const tokens = ["1001", "1002", "1003", "1005"];
+  for (const token of tokens) {
+    await kv.put(`tracked:polymarket:${token}`, JSON.stringify({ platform: "polymarket", token_id: token }));
+  }
+  const points = () => Promise.all(tokens.map(async (token) => {
+    const { body } = await request(env, `/api/history/polymarket/${token}?resolution=raw`);
+    return body.points.length;
+  }));
+
+  // 25 of 50 fetches at 7 per market: three markets a run
+  await runCron(env);
+  assert.deepEqual(await points(), [1, 1, 1, 0]);
+
+  // The next run starts after 1003 and wraps around; fresh metrics give
+  // new points
+  await withConfig({ cache_ttl_ms: 0 }, () => runCron(env));
+  assert.deepEqual(await points(), [2, 2, 1, 1]);
+});
+
+test("history rejects malformed identifiers like /api/metrics", async () => {
+  const { status, body } = await request(createEnv(), "/api/history/polymarket/not-a-token");
+
+  assert.equal(status, 400);
+  assert.equal(body.error, "Invalid parameters");
+  assert.match(body.hint, /token_id/);
+});
+
+// =============================================================================
+// PLATFORM ADAPTERS
+// =============================================================================
+
+test("exchange adapter normalizes a plain REST book and trade tape", async () => {
+  const { status, body } = await withConfig(
+    { trades_page_limit: 4 },
+    () => request(createEnv(), "/api/metrics/exchange/TEST-EVT-YES")
+  );
+
+  assert.equal(status, 200);
+  assert.equal(body.platform, "exchange");
+  assertClose(body.orderbook_summary.best_bid, 0.61);
+  assertClose(body.orderbook_summary.best_ask, 0.63);
+  // Second timestamps; next_cursor pagination
+  assert.equal(body.price_tier, 1);
+  assert.equal(body.vwap_details.trade_count, 15);
+  assert.equal(body.vwap_details.trade_pages, 4);
+  assert.ok(body.bellwether_price > 0.6 && body.bellwether_price < 0.64);
+});
+
+test("unconfigured exchange upstream is reported, not called", async () => {
+  const env = createEnv({ EXCHANGE_API_BASE: "" });
+
+  const { status } = await request(env, "/api/metrics/exchange/TEST-EVT-YES");
+  const { body: health } = await request(env, "/health");
+
+  assert.equal(status, 404);
+  assert.deepEqual(health.platforms_configured, { polymarket: true, kalshi: true, exchange: false });
+});
+
+test("caches are kept apart for platforms sharing an identifier", async () => {
+  const env = createEnv();
+  const kalshi = await request(env, "/api/metrics/kalshi/KXTEST-26-DOLLARS");
+  assert.equal(kalshi.status, 200);
+  assert.ok(await env.BELLWETHER_KV.get("stale_kalshi:KXTEST-26-DOLLARS"));
+
+  // The exchange has no such symbol, so Kalshi's cached payload and stored VWAP must not answer for it
+  const exchange = await request(env, "/api/metrics/exchange/KXTEST-26-DOLLARS");
+  assert.equal(exchange.status, 404);
+});
+
+test("unknown platforms and malformed identifiers are rejected", async () => {
+  const env = createEnv();
+
+  assert.equal((await request(env, "/api/metrics/manifold/abc")).status, 404);
+
+  const { status, body } = await request(env, "/api/metrics/polymarket/not-a-token");
+  assert.equal(status, 400);
+  assert.match(body.hint, /token_id/);
+});
+
+test("combined endpoint accepts any list of platform legs", async () => {
+  const { status, body } = await request(
+    createEnv(),
+    "/api/metrics/combined?legs=polymarket:1001,kalshi:KXTEST-26-DOLLARS,exchange:TEST-EVT-YES"
+  );
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.legs, ["polymarket:1001", "kalshi:KXTEST-26-DOLLARS", "exchange:TEST-EVT-YES"]);
+  assert.deepEqual(Object.keys(body.platform_prices), ["polymarket", "kalshi", "exchange"]);
+  assert.equal(body.vwap_details.trade_count, 24 + 12 + 15);
+  assert.equal(body.robustness.weakest_platform, "kalshi");
+});
+
+test("combined legs are validated", async () => {
+  const env = createEnv();
+
+  const duplicate = await request(env, "/api/metrics/combined?legs=polymarket:1001,polymarket:1002");
+  assert.equal(duplicate.status, 400);
+
+  const unknown = await request(env, "/api/metrics/combined?legs=polymarket:1001,manifold:abc");
+  assert.equal(unknown.status, 400);
+  assert.match(unknown.body.hint, /manifold/);
+});
+
+test("exchange sizes are scaled to $1 units by contract value", async () => {
+  const { body } = await request(createEnv({ EXCHANGE_CONTRACT_VALUE: "10" }), "/api/metrics/exchange/TEST-EVT-YES");
+
+  assert.equal(body.orderbook_summary.top_5_bids[0].size, 800000);
+  assert.equal(body.orderbook_summary.top_5_asks[0].size, 900000);
+});
+
+// =============================================================================
+// CROSS-PLATFORM COMBINATION
+// =============================================================================
+
+test("combined price weights each platform's own VWAP", async () => {
+  const env = createEnv();
+  const { body: pm } = await request(env, "/api/metrics/polymarket/1001");
+  const { body: k } = await request(env, "/api/metrics/kalshi/KXTEST-26-DOLLARS");
+  const { body } = await request(env, "/api/metrics/combined?pm_token=1001&k_ticker=KXTEST-26-DOLLARS");
+
+  assert.equal(body.price_tier, 1);
+  assert.deepEqual(body.platform_vwaps, { polymarket: pm.bellwether_price, kalshi: k.bellwether_price });
+  assert.equal(body.combination.method, "liquidity_weighted");
+
+  const [pmLeg, kLeg] = body.combination.legs;
+  assertClose(pmLeg.weight + kLeg.weight, 1);
+  // The deeper, busier Polymarket book carries more weight
+  assert.ok(pmLeg.weight > kLeg.weight);
+  assert.ok(Math.abs(body.bellwether_price - (pmLeg.weight * pmLeg.price + kLeg.weight * kLeg.price)) < 1e-3);
+  assert.equal(body.vwap_details.trade_count, pmLeg.trade_count + kLeg.trade_count);
+});
+
+test("legs without a VWAP do not dilute legs that have one", async () => {
+  const env = createEnv();
+  const { body: k } = await request(env, "/api/metrics/kalshi/KXTEST-26-CENTS");
+  const { body } = await request(env, "/api/metrics/combined?legs=polymarket:1003,kalshi:KXTEST-26-CENTS");
+
+  assert.equal(body.price_tier, 1);
+  assert.equal(body.bellwether_price, k.bellwether_price);
+  assert.equal(body.platform_vwaps.polymarket, null);
+  assert.equal(body.combination.legs[0].source, "orderbook_midpoint");
+  assert.equal(body.combination.legs[0].weight, 0);
+  assert.equal(body.combination.legs[1].weight, 1);
+});
+
+test("combined midpoint weights each book's own midpoint by depth", async () => {
+  const { body } = await request(createEnv(), "/api/metrics/combined?legs=polymarket:1003,kalshi:KXTEST-26-CENTS");
+
+  // Between the two books' midpoints (0.2 and 0.61), not a crossed merged book
+  assert.ok(body.orderbook_midpoint > 0.2 && body.orderbook_midpoint < 0.61);
+});
+
+// =============================================================================
+// PRICING STRATEGIES
+// =============================================================================
+
+test("responses name the tiered VWAP and its params by default", async () => {
+  const { body } = await request(createEnv(), "/api/metrics/polymarket/1001");
+
+  assert.deepEqual(body.pricing, { method: "tiered_vwap", params: { vwap_windows: [6, 12, 24], min_trades: 10 } });
+});
+
+test("median counts every trade once", async () => {
+  const env = createEnv();
+  await request(env, "/api/metrics/exchange/TEST-EVT-YES");
+  const { body } = await request(env, "/api/metrics/exchange/TEST-EVT-YES?method=median");
+
+  // Five trades each at 61, 62 and 63 cents
+  assert.equal(body.bellwether_price, 0.62);
+  assert.equal(body.price_source, "median");
+  assert.deepEqual(body.pricing, { method: "median", params: { window_hours: 24, min_trades: 10 }, trade_count: 15 });
+  // Tier and reportability still come from the tiered VWAP, but its band is
+  // not put around another method's price
+  assert.equal(body.price_tier, 1);
+  assert.equal(body.price_interval, null);
+  assert.equal(body.cached, false);
+});
+
+test("time-weighted VWAP takes its half-life from the query", async () => {
+  const { body } = await request(createEnv(), "/api/metrics/polymarket/1001?method=ewvwap&half_life_hours=2");
+
+  assert.equal(body.price_source, "ewvwap");
+  assert.equal(body.pricing.params.half_life_hours, 2);
+  assert.ok(body.bellwether_price >= 0.61 && body.bellwether_price <= 0.63);
+});
+
+test("midpoint TWAP averages stored snapshots with the live book", async () => {
+  const env = createEnv();
+  const { body: live } = await request(env, "/api/metrics/polymarket/1003?method=midpoint_twap");
+  assert.equal(live.pricing.snapshots, 1);
+  assertClose(live.bellwether_price, 0.2);
+
+  await request(env, "/api/metrics/polymarket/1003");
+  await runCron(env);
+  const { body } = await request(env, "/api/metrics/polymarket/1003?method=midpoint_twap");
+  assert.equal(body.pricing.snapshots, 2);
+  assertClose(body.bellwether_price, 0.2);
+});
+
+test("a strategy without data falls back to the tiered price", async () => {
+  const { body } = await request(createEnv(), "/api/metrics/polymarket/1003?method=median");
+
+  assertClose(body.bellwether_price, 0.2);
+  assert.equal(body.price_source, "orderbook_midpoint");
+  assert.equal(body.pricing.fallback, "tiered_vwap");
+  assert.equal(body.price_interval.method, "orderbook_spread");
+});
+
+test("combined strategies blend legs by liquidity weight", async () => {
+  const { body } = await request(createEnv(), "/api/metrics/combined?legs=polymarket:1001,kalshi:KXTEST-26-DOLLARS&method=median");
+
+  assert.equal(body.pricing.method, "median");
+  assert.deepEqual(body.pricing.legs.map(leg => leg.platform), ["polymarket", "kalshi"]);
+  const [pm, k] = body.pricing.legs;
+  assertClose(pm.weight + k.weight, 1);
+  assert.ok(Math.abs(body.bellwether_price - (pm.weight * pm.price + k.weight * k.price)) < 1e-3);
+  assert.equal(body.price_interval, null);
+});
+
+test("unknown methods and out-of-range params are rejected", async () => {
+  const env = createEnv();
+  for (const query of ["method=mode", "method=ewvwap&half_life_hours=0", "method=median&window_hours=48"]) {
+    const { status } = await request(env, `/api/metrics/polymarket/1001?${query}`);
+    assert.equal(status, 400, query);
+  }
+});
+
+// =============================================================================
+// EXECUTABLE PRICE
+// =============================================================================
+
+test("size returns the fee-inclusive buy and sell price for that notional", async () => {
+  const { status, body } = await request(createEnv(), "/api/metrics/kalshi/KXTEST-26-CENTS?size=1000");
+
+  assert.equal(status, 200);
+  assert.equal(body.executable.size, 1000);
+  const { buy, sell } = body.executable.platforms.kalshi;
+
+  // $1,000 of Yes at 0.62 plus 0.07 x 0.62 x 0.38 per contract
+  assert.equal(buy.avg_fill_price, 0.62);
+  assertClose(buy.price, 0.6365);
+  assert.equal(buy.shares, 1613);
+  assert.equal(buy.fully_filled, true);
+
+  // Selling Yes at 0.60 is buying No at 0.40, charged 0.07 x 0.4 x 0.6
+  assertClose(sell.price, 0.5832);
+  assert.equal(sell.shares, 2500);
+  assertClose(sell.fees_usd, 42);
+});
+
+test("combined markets report an executable price per platform", async () => {
+  const env = createEnv();
+  const { body } = await request(env, "/api/metrics/combined?legs=polymarket:1003,kalshi:KXTEST-26-CENTS&size=1000");
+
+  // Polymarket charges no taker fee
+  const pm = body.executable.platforms.polymarket;
+  assert.equal(pm.buy.fees_usd, 0);
+  assert.equal(pm.buy.price, pm.buy.avg_fill_price);
+  assert.ok(body.executable.platforms.kalshi.buy.price > body.executable.platforms.kalshi.buy.avg_fill_price);
+
+  // Without size the payload has no executable block
+  const { body: plain } = await request(env, "/api/metrics/combined?legs=polymarket:1003,kalshi:KXTEST-26-CENTS");
+  assert.equal(plain.executable, undefined);
+});
+
+test("size must be a positive notional", async () => {
+  const env = createEnv();
+  for (const size of ["0", "-5", "abc"]) {
+    const { status } = await request(env, `/api/metrics/polymarket/1001?size=${size}`);
+    assert.equal(status, 400, size);
+  }
+});
+
+// =============================================================================
+// DIVERGENCES
+// =============================================================================
+
+const DIVERGENT_MARKET = "polymarket:1003|kalshi:KXTEST-26-CENTS";
+
+test("divergences report spread and executable arbitrage across books", async () => {
+  const { status, body } = await request(
+    createEnv(),
+    `/api/divergences?markets=${encodeURIComponent(`${DIVERGENT_MARKET},polymarket:1001|kalshi:KXTEST-26-DOLLARS`)}`
+  );
+
+  assert.equal(status, 200);
+  const [wide, close] = body.markets;
+  assert.equal(wide.market, DIVERGENT_MARKET);
+  assert.equal(wide.divergence_points, 41);
+  assert.equal(wide.divergent, true);
+
+  // Buy Yes on Polymarket at 0.22, sell it on Kalshi at 0.60
+  const { arbitrage } = wide;
+  assert.equal(arbitrage.buy, "polymarket");
+  assert.equal(arbitrage.sell, "kalshi");
+  assert.equal(arbitrage.no_risk.available, true);
+  assertClose(arbitrage.no_risk.edge, 0.38);
+  assert.ok(arbitrage.no_risk.size > 0);
+  // Kalshi's fee on the No side at 0.40: 0.07 x 0.4 x 0.6
+  assertClose(arbitrage.fee_adjusted.edge, 0.38 - 0.0168);
+  assert.ok(arbitrage.fee_adjusted.profit_usd < arbitrage.no_risk.profit_usd);
+
+  assert.equal(close.divergent, false);
+  assert.equal(close.arbitrage.no_risk.available, false);
+  assert.equal(close.arbitrage.fee_adjusted.size, 0);
+});
+
+test("divergence persistence counts stored snapshots", async () => {
+  const env = createEnv();
+  const path = `/api/divergences?markets=${encodeURIComponent(DIVERGENT_MARKET)}`;
+
+  const { body: first } = await request(env, path);
+  assert.equal(first.markets[0].persistence.snapshots, 0);
+
+  // The request starts tracking both legs, so the cron snapshots them
+  await runCron(env);
+  const { body: second } = await request(env, path);
+  assert.equal(second.markets[0].persistence.snapshots, 1);
+
+  // Without markets, recently checked combined markets are used
+  const { body: tracked } = await request(env, "/api/divergences");
+  assert.deepEqual(tracked.markets.map(m => m.market), [DIVERGENT_MARKET]);
+});
+
+test("divergence markets need valid legs on two platforms", async () => {
+  const env = createEnv();
+
+  for (const markets of ["polymarket:1003", "polymarket:1003|kalshi:bad ticker", "polymarket:1|polymarket:2"]) {
+    const { status } = await request(env, `/api/divergences?markets=${encodeURIComponent(markets)}`);
+    assert.equal(status, 400, markets);
+  }
+});
+
+test("divergence requests hold as many legs as fit the subrequest limit", async () => {
+  const env = createEnv();
+  const threeLegs = (token) => `polymarket:${token}|kalshi:KXTEST-26-CENTS|exchange:TEST-EVT-YES`;
+  const divergences = (markets) => request(env, `/api/divergences?markets=${encodeURIComponent(markets.join(","))}`);
+
+  // One orderbook pull per leg: three three-leg markets need 9, two fit in 8
+  await withConfig({ subrequest_limit: 8 }, async () => {
+    const { status, body } = await divergences([threeLegs(1001), threeLegs(1002), threeLegs(1003)]);
+    assert.equal(status, 400);
+    assert.match(body.hint, /At most 8 legs/);
+
+    assert.equal((await divergences([threeLegs(1001), threeLegs(1002)])).status, 200);
+    assert.equal((await divergences(["1001", "1002", "1003", "1004", "1006"].map(token => `polymarket:${token}|kalshi:KXTEST-26-CENTS`))).status, 400);
+  });
+});
+
+// =============================================================================
+// EVENTS
+// =============================================================================
+
+test("events price every outcome with overround and a normalized distribution", async () => {
+  const { status, body } = await request(createEnv(), "/api/events/polymarket/test-fed-chair");
+
+  assert.equal(status, 200);
+  assert.equal(body.outcome_count, 4);
+  assert.equal(body.truncated, false);
+
+  // Highest price first; the outcome with no book or trades comes last
+  assert.deepEqual(body.outcomes.map(o => o.market_id), ["1006", "1002", "1003", "1004"]);
+  assert.equal(body.outcomes[3].bellwether_price, null);
+
+  const priced = body.outcomes.slice(0, 3);
+  assertClose(body.price_sum, priced.reduce((sum, o) => sum + o.bellwether_price, 0));
+  assertClose(body.overround, body.price_sum - 1);
+  assert.ok(body.overround > 0);
+
+  assert.equal(body.distribution.length, 3);
+  // Each probability is rounded to 4 places
+  const total = body.distribution.reduce((sum, d) => sum + d.probability, 0);
+  assert.ok(Math.abs(total - 1) <= 0.0003, `distribution sums to ${total}`);
+  assert.equal(body.distribution[0].probability, Math.round(priced[0].bellwether_price / body.price_sum * 10000) / 10000);
+});
+
+test("events report the cost to push the leader out of first place", async () => {
+  const { body } = await request(createEnv(), "/api/events/polymarket/test-fed-chair");
+  const { leader } = body;
+
+  assert.equal(leader.market_id, "1006");
+  assert.equal(leader.runner_up.market_id, "1002");
+  assertClose(leader.margin, leader.bellwether_price - leader.runner_up.bellwether_price);
+
+  // 1006's bids stop above 1002's 0.40 midpoint, so only buying 1002 up to
+  // 0.47 works: 20k at 0.41, 40k at 0.44, one share at 0.50
+  const { cost_to_dethrone: dethrone } = leader;
+  assert.equal(dethrone.sell_leader, null);
+  assert.equal(dethrone.via, "buy_runner_up");
+  assert.equal(dethrone.buy_runner_up.target_price, 0.47);
+  assert.equal(dethrone.cost, 25801);
+});
+
+test("events with more outcomes than fit a request leave out the event-wide figures", async () => {
+  const { status, body } = await request(createEnv(), "/api/events/polymarket/test-fed-chair-wide");
+
+  assert.equal(status, 200);
+  assert.equal(body.outcome_count, 8);
+  assert.equal(body.truncated, true);
+
+  // The front-runner, 1006, is listed eighth and left unpriced, so no
+  // leader or sum over the first seven is reported in its place
+  assert.equal(body.outcomes.length, 7);
+  assert.ok(!body.outcomes.some(o => o.market_id === "1006"));
+  assert.equal(body.leader, null);
+  assert.equal(body.price_sum, null);
+  assert.equal(body.overround, null);
+  assert.equal(body.distribution, null);
+});
+
+test("unknown or malformed events are rejected", async () => {
+  const missing = await request(createEnv(), "/api/events/polymarket/no-such-event");
+  assert.equal(missing.status, 404);
+
+  const malformed = await request(createEnv(), "/api/events/polymarket/Bad_Slug");
+  assert.equal(malformed.status, 400);
+});
+
+// =============================================================================
+// DEPTH
+// =============================================================================
+
+test("depth buckets each side with running totals from the touch", async () => {
+  const { status, body } = await request(createEnv(), "/api/depth/polymarket/1001");
+
+  assert.equal(status, 200);
+  assert.equal(body.midpoint, 0.62);
+  assertClose(body.spread, 0.02);
+  assert.deepEqual(body.buckets.bids.map(b => [b.price, b.size, b.cumulative_size]), [
+    [0.61, 100000, 100000],
+    [0.59, 200000, 300000],
+    [0.56, 300000, 600000],
+  ]);
+  assert.deepEqual(body.buckets.asks.map(b => b.price), [0.63, 0.65, 0.68]);
+  assert.equal(body.buckets.asks[2].cumulative_notional, 63000 + 130000 + 204000);
+  assert.equal(typeof body.observed_at, "string");
+});
+
+test("depth reports notional near the midpoint and the imbalance", async () => {
+  const { body } = await request(createEnv(), "/api/depth/polymarket/1001");
+  const [two, five, ten] = body.near_mid;
+
+  assert.deepEqual([two.within, two.bid_notional, two.ask_notional], [0.02, 61000, 63000]);
+  assert.deepEqual([five.bid_notional, five.ask_notional], [179000, 193000]);
+  assert.equal(ten.total_notional, 347000 + 397000);
+
+  // Within 5¢: (179k - 193k) / 372k
+  assert.equal(body.imbalance, five.imbalance);
+  assertClose(body.imbalance, -0.0376);
+});
+
+test("combined depth profiles each venue and the merged books", async () => {
+  const { status, body } = await request(createEnv(), "/api/depth/combined?legs=polymarket:1001,kalshi:KXTEST-26-CENTS");
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.legs, ["polymarket:1001", "kalshi:KXTEST-26-CENTS"]);
+  assert.equal(body.venues.polymarket.best_bid, 0.61);
+  assert.equal(body.venues.kalshi.best_ask, 0.62);
+
+  // Polymarket's best bid against Kalshi's best ask
+  const { combined } = body;
+  assert.equal(combined.best_bid, 0.61);
+  assert.equal(combined.best_ask, 0.62);
+  assert.equal(combined.levels.bids, 6);
+  const venueSize = body.venues.polymarket.buckets.bids.at(-1).cumulative_size + body.venues.kalshi.buckets.bids.at(-1).cumulative_size;
+  assert.equal(combined.buckets.bids.at(-1).cumulative_size, venueSize);
+});
+
+test("depth rejects unknown markets and bad identifiers", async () => {
+  assert.equal((await request(createEnv(), "/api/depth/polymarket/9999")).status, 404);
+  assert.equal((await request(createEnv(), "/api/depth/polymarket/not-a-token")).status, 400);
+  assert.equal((await request(createEnv(), "/api/depth/combined?legs=manifold:abc")).status, 400);
+});
+
+// =============================================================================
+// MARKET CATALOG
+// =============================================================================
+
+const CATALOG_UPLOAD = {
+  markets: [
+    { key: "fed-chair-warsh", label: "Will Trump nominate Kevin Warsh as Fed chair?", category: "economics", total_volume: 900000, pm_market_id: 501, pm_event_slug: "fed-chair", pm_url: "https://polymarket.com/event/fed-chair", k_market_id: "KXFEDCHAIR-26-KW", k_event_ticker: "KXFEDCHAIR-26" },
+    { key: "fed-rate-cut", label: "Will the Fed cut rates in December?", category: "economics", total_volume: 2000000, pm_market_id: 502 },
+    { key: "gov-fl", label: "Florida governor: Jolly wins?", category: "politics", total_volume: 50000, k_market_id: "KXGOVFL-26-DJ" },
+  ],
+  elections: [
+    { key: "United States|President|United States|2028|True|Democratic", label: "2028 United States President Democratic Primary", pm_question: "Democratic presidential nominee 2028", total_volume: 10, pm_url: "https://polymarket.com/event/dem-2028" },
+  ],
+  token_lookup: { 501: "1001", 502: "1003" },
+};
+
+async function uploadCatalog(env, upload = CATALOG_UPLOAD) {
+  return request(env, "/api/markets", {
+    method: "PUT",
+    headers: { Authorization: `Bearer ${ADMIN_TOKEN}` },
+    body: JSON.stringify(upload),
+  });
+}
+
+test("market catalog uploads need the admin token", async () => {
+  const env = createEnv();
+  const denied = await request(env, "/api/markets", { method: "PUT", body: JSON.stringify(CATALOG_UPLOAD) });
+  assert.equal(denied.status, 401);
+
+  const { status, body } = await uploadCatalog(env);
+  assert.equal(status, 201);
+  assert.equal(body.entries, 4);
+
+  const invalid = await uploadCatalog(env, { markets: [{ label: "no key" }] });
+  assert.equal(invalid.status, 400);
+});
+
+test("market search matches every word, the last as a prefix, by volume", async () => {
+  const env = createEnv();
+  await uploadCatalog(env);
+
+  const { status, body } = await request(env, "/api/markets/search?q=fed");
+  assert.equal(status, 200);
+  assert.deepEqual(body.results.map(market => market.key), ["fed-rate-cut", "fed-chair-warsh"]);
+  assert.equal(body.total_matches, 2);
+  assert.equal(body.catalog.entries, 4);
+
+  const narrowed = await request(env, "/api/markets/search?q=fed%20chair%20wa");
+  assert.deepEqual(narrowed.body.results.map(market => market.key), ["fed-chair-warsh"]);
+  assert.deepEqual(narrowed.body.results[0].legs, ["polymarket:1001", "kalshi:KXFEDCHAIR-26-KW"]);
+
+  // Accents and case are ignored; a ticker finds its market first
+  assert.equal((await request(env, "/api/markets/search?q=FLÓRIDA")).body.results[0].key, "gov-fl");
+  assert.equal((await request(env, "/api/markets/search?q=KXGOVFL-26-DJ")).body.results[0].key, "gov-fl");
+
+  assert.equal((await request(env, "/api/markets/search?q=f")).status, 400);
+});
+
+test("markets resolve by monitor key, Polymarket ids and Kalshi ticker", async () => {
+  const env = createEnv();
+  await uploadCatalog(env);
+
+  const byKey = await request(env, "/api/markets/fed-chair-warsh");
+  assert.equal(byKey.status, 200);
+  assert.equal(byKey.body.market.polymarket.token_id, "1001");
+  assert.equal(byKey.body.market.kalshi.ticker, "KXFEDCHAIR-26-KW");
+
+  for (const id of ["501", "1001", "kxfedchair-26-kw", "polymarket:1001"]) {
+    assert.equal((await request(env, `/api/markets/${id}`)).body.market.key, "fed-chair-warsh", id);
+  }
+
+  const election = await request(env, `/api/markets/${encodeURIComponent(CATALOG_UPLOAD.elections[0].key)}`);
+  assert.equal(election.body.market.kind, "election");
+  assert.deepEqual(election.body.market.legs, []);
+
+  assert.equal((await request(env, "/api/markets/unknown-market")).status, 404);
+  assert.equal((await request(env, "/api/markets/%E0%A4%A")).status, 400);
+});
+
+test("words and ids named like Object.prototype properties match nothing extra", async () => {
+  const env = createEnv();
+  await uploadCatalog(env);
+
+  for (const q of ["constructor%20fed", "toString", "fed%20constructor", "__proto__"]) {
+    const { status, body } = await request(env, `/api/markets/search?q=${q}`);
+    assert.equal(status, 200, q);
+    assert.equal(body.total_matches, 0, q);
+  }
+  assert.equal((await request(env, "/api/markets/constructor")).status, 404);
+  assert.equal((await request(env, "/api/markets/hasOwnProperty")).status, 404);
+
+  // ...and are indexed like any other word
+  await uploadCatalog(env, { markets: [{ key: "court-ruling", label: "Will the court rule on the constructor lawsuit?", total_volume: 1 }] });
+  const { body } = await request(env, "/api/markets/search?q=constructor%20lawsuit");
+  assert.deepEqual(body.results.map(market => market.key), ["court-ruling"]);
+});
+
+test("re-uploading the catalog replaces the previous version", async () => {
+  const env = createEnv();
+  await uploadCatalog(env);
+  await uploadCatalog(env, { markets: [CATALOG_UPLOAD.markets[2]] });
+
+  assert.equal((await request(env, "/api/markets/fed-chair-warsh")).status, 404);
+  assert.equal((await request(env, "/api/markets/gov-fl")).status, 200);
+
+  const stored = [...env.BELLWETHER_KV.entries.keys()].filter(key => key.startsWith("catalog:"));
+  assert.equal(stored.length, 3); // meta, index, one chunk
+});
+
+test("market lookups before any upload report the missing catalog", async () => {
+  const { status, body } = await request(createEnv(), "/api/markets/search?q=fed");
+  assert.equal(status, 503);
+  assert.match(body.hint, /PUT \/api\/markets/);
+});
+
+// =============================================================================
+// LIVE STREAM
+// =============================================================================
+
+// Read SSE text from a stream until an event of the given type arrives
+async function readEvent(reader, type, timeoutMs = 2000) {
+  const decoder = new TextDecoder();
+  const deadline = Date.now() + timeoutMs;
+  let text = "";
+  let pending = null;
+
+  while (Date.now() < deadline) {
+    // Keep an unfinished read across polls so no chunk is dropped
+    pending = pending || reader.read();
+    const result = await Promise.race([pending, new Promise(resolve => setTimeout(resolve, 50))]);
+    if (!result) continue;
+    pending = null;
+
+    if (result.done) break;
+    text += decoder.decode(result.value, { stream: true });
+
+    for (const block of text.split("\n\n")) {
+      if (block.startsWith(`event: ${type}\n`)) {
+        return JSON.parse(block.slice(block.indexOf("data: ") + 6));
+      }
+    }
+  }
+  return null;
+}
+
+async function openStream(env, markets) {
+  const response = await worker.fetch(
+    new Request(`https://worker.test/api/stream?markets=${encodeURIComponent(markets)}`, {
+      headers: { Origin: TEST_ORIGIN },
+    }),
+    env,
+    createContext()
+  );
+  return { response, reader: response.body?.getReader() };
+}
+
+test("stream pushes recomputed metrics to subscribers of that market", async () => {
+  const env = createEnv();
+  env.METRICS_STREAM = createDurableObjectNamespace(MetricsStream, env);
+
+  const pm = await openStream(env, "polymarket:1001");
+  const pair = await openStream(env, "polymarket:1001|kalshi:KXTEST-26-CENTS");
+  assert.equal(pm.response.headers.get("Content-Type"), "text/event-stream");
+
+  await request(env, "/api/metrics/polymarket/1001");
+  await request(env, "/api/metrics/combined?pm_token=1001&k_ticker=KXTEST-26-CENTS");
+
+  const single = await readEvent(pm.reader, "metrics");
+  assert.equal(single.market, "polymarket:1001");
+  assert.equal(single.price_tier, 1);
+  assert.equal(single.robustness.reportability, "reportable");
+  assert.equal(single.market_info.status, "open");
+
+  const combined = await readEvent(pair.reader, "metrics");
+  assert.equal(combined.market, "polymarket:1001|kalshi:KXTEST-26-CENTS");
+  assert.ok(combined.platform_prices);
+
+  await pm.reader.cancel();
+  await pair.reader.cancel();
+});
+
+test("cached responses are not pushed again", async () => {
+  const env = createEnv();
+  env.METRICS_STREAM = createDurableObjectNamespace(MetricsStream, env);
+  await request(env, "/api/metrics/polymarket/1003");
+
+  const stream = await openStream(env, "polymarket:1003");
+  await request(env, "/api/metrics/polymarket/1003");
+
+  assert.equal(await readEvent(stream.reader, "metrics", 200), null);
+  await stream.reader.cancel();
+});
+
+test("stream rejects invalid market keys", async () => {
+  const env = createEnv();
+  env.METRICS_STREAM = createDurableObjectNamespace(MetricsStream, env);
+
+  const { status, body } = await request(env, "/api/stream?markets=manifold:abc");
+
+  assert.equal(status, 400);
+  assert.match(body.hint, /manifold:abc/);
+});
+
+test("stream without a Durable Object binding is not configured", async () => {
+  const { status } = await request(createEnv(), "/api/stream?markets=polymarket:1001");
+  assert.equal(status, 501);
+});
+
+// =============================================================================
+// ALERTS
+// =============================================================================
+
+// Collects webhook deliveries; respond with `status` (default 200)
+function startWebhookReceiver() {
+  const received = [];
+  const receiver = { received, status: 200 };
+
+  const server = createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => (body += chunk));
+    req.on("end", () => {
+      received.push(JSON.parse(body));
+      res.writeHead(receiver.status);
+      res.end();
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, "127.0.0.1", () => {
+      receiver.url = `http://127.0.0.1:${server.address().port}/hook`;
+      receiver.close = () => new Promise(done => server.close(done));
+      resolve(receiver);
+    });
+  });
+}
+
+async function createAlert(env, rule) {
+  return keyRequest(env, "/api/alerts", { method: "POST", body: JSON.stringify(rule) });
+}
+
+// Pretend the last cron run saw a different state
+async function setAlertState(env, id, state) {
+  const rule = await env.BELLWETHER_KV.get(`alert:${id}`, { type: "json" });
+  await env.BELLWETHER_KV.put(`alert:${id}`, JSON.stringify({ ...rule, state: { ...rule.state, ...state } }));
+}
+
+test("alert rules can be created, listed and deleted", async () => {
+  const env = createEnv();
+  const { status, body: rule } = await createAlert(env, {
+    type: "price_cross",
+    market: { platform: "polymarket", token_id: "1001" },
+    threshold: 0.6,
+    direction: "above",
+    webhook_url: "https://example.test/hook",
+  });
+
+  assert.equal(status, 201);
+  assert.equal(rule.label, "polymarket:1001");
+  assert.equal(rule.state.firing, false);
+
+  const list = await keyRequest(env, "/api/alerts");
+  assert.deepEqual(list.body.rules.map(r => r.id), [rule.id]);
+
+  const deleted = await keyRequest(env, `/api/alerts/${rule.id}`, { method: "DELETE" });
+  assert.equal(deleted.status, 200);
+  assert.equal((await keyRequest(env, `/api/alerts/${rule.id}`)).status, 404);
+});
+
+test("alert rules are only visible to the key that created them", async () => {
+  const env = createEnv();
+  const { body: rule } = await createAlert(env, {
+    type: "price_cross",
+    market: { platform: "polymarket", token_id: "1001" },
+    threshold: 0.6,
+    webhook_url: "https://example.test/hook?token=secret",
+  });
+
+  const other = { "X-Bellwether-Key": await issueApiKey(env, { name: "other client" }) };
+  assert.deepEqual((await request(env, "/api/alerts", { headers: other })).body.rules, []);
+  assert.equal((await request(env, `/api/alerts/${rule.id}`, { headers: other })).status, 404);
+  assert.equal((await request(env, `/api/alerts/${rule.id}`, { method: "DELETE", headers: other })).status, 404);
+
+  // Still there for its owner
+  assert.equal((await keyRequest(env, `/api/alerts/${rule.id}`)).status, 200);
+});
+
+test("invalid alert rules are rejected", async () => {
+  const env = createEnv();
+  const base = { market: { platform: "polymarket", token_id: "1001" }, webhook_url: "https://example.test/hook" };
+
+  assert.equal((await createAlert(env, { ...base, type: "volume" })).status, 400);
+  assert.equal((await createAlert(env, { ...base, type: "price_cross", threshold: 1.5 })).status, 400);
+  assert.equal((await createAlert(env, { ...base, type: "spread", spread_points: 5 })).status, 400);
+  assert.equal((await createAlert(env, { ...base, type: "reportability_drop", webhook_url: "ftp://x" })).status, 400);
+});
+
+test("price crossing fires once per crossing", async () => {
+  const hook = await startWebhookReceiver();
+  const env = createEnv();
+  const { body: rule } = await createAlert(env, {
+    type: "price_cross",
+    market: { platform: "polymarket", token_id: "1001" },
+    threshold: 0.6,
+    direction: "above",
+    webhook_url: hook.url,
+  });
+
+  // First run only records the side of the threshold
+  await runCron(env);
+  assert.equal(hook.received.length, 0);
+
+  await setAlertState(env, rule.id, { observed: "below" });
+  await runCron(env);
+  await runCron(env);
+
+  assert.equal(hook.received.length, 1);
+  assert.equal(hook.received[0].alert_id, rule.id);
+  assert.equal(hook.received[0].observed, "above");
+  assert.match(hook.received[0].message, /crossed above 60%/);
+
+  const { body: stored } = await keyRequest(env, `/api/alerts/${rule.id}`);
+  assert.equal(stored.state.firing, true);
+  assert.ok(stored.state.last_fired_at);
+  await hook.close();
+});
+
+test("reportability drop fires when a reportable market degrades", async () => {
+  const hook = await startWebhookReceiver();
+  const env = createEnv();
+  const { body: rule } = await createAlert(env, {
+    type: "reportability_drop",
+    market: { platform: "polymarket", token_id: "1002" },
+    webhook_url: hook.url,
+  });
+
+  await setAlertState(env, rule.id, { observed: "reportable" });
+  await runCron(env);
+  await runCron(env);
+
+  assert.equal(hook.received.length, 1);
+  assert.equal(hook.received[0].previous, "reportable");
+  assert.equal(hook.received[0].value, "fragile");
+  await hook.close();
+});
+
+test("wide PM-Kalshi spread fires once while it stays wide", async () => {
+  const hook = await startWebhookReceiver();
+  const env = createEnv();
+  await createAlert(env, {
+    type: "spread",
+    market: { pm_token: "1005", k_ticker: "KXTEST-26-CENTS" },
+    spread_points: 10,
+    webhook_url: hook.url,
+  });
+
+  await runCron(env);
+  await runCron(env);
+
+  assert.equal(hook.received.length, 1);
+  assert.ok(hook.received[0].value > 10);
+  assert.equal(hook.received[0].observed, "wide");
+  await hook.close();
+});
+
+test("alert runs only rewrite rules whose state changed", async () => {
+  const env = createEnv();
+  const { body: rule } = await createAlert(env, {
+    type: "price_cross",
+    market: { platform: "polymarket", token_id: "1001" },
+    threshold: 0.6,
+    webhook_url: "https://example.test/hook",
+  });
+
+  const kv = env.BELLWETHER_KV;
+  const put = kv.put;
+  const writes = [];
+  kv.put = (key, ...rest) => {
+    writes.push(key);
+    return put(key, ...rest);
+  };
+  const ruleWrites = () => writes.filter(key => key === `alert:${rule.id}`).length;
+
+  // The first run records which side of the threshold the price is on
+  await runCron(env);
+  assert.equal(ruleWrites(), 1);
+
+  await runCron(env);
+  await runCron(env);
+  assert.equal(ruleWrites(), 1);
+
+  // The run time is kept once, not on the rule
+  const { body } = await keyRequest(env, "/api/alerts");
+  assert.equal(body.rules[0].state.last_evaluated_at, undefined);
+  assert.ok(body.last_evaluated_at >= rule.created_at);
+});
+
+test("failed webhook delivery is retried on the next run", async () => {
+  const hook = await startWebhookReceiver();
+  hook.status = 500;
+  const env = createEnv();
+  const { body: rule } = await createAlert(env, {
+    type: "spread",
+    market: { pm_token: "1005", k_ticker: "KXTEST-26-CENTS" },
+    spread_points: 10,
+    webhook_url: hook.url,
+  });
+
+  await runCron(env);
+  const { body: failed } = await keyRequest(env, `/api/alerts/${rule.id}`);
+  assert.equal(failed.state.firing, false);
+  assert.equal(failed.state.last_delivery.status, 500);
+
+  hook.status = 200;
+  await runCron(env);
+
+  assert.equal(hook.received.length, 2);
+  const { body: delivered } = await keyRequest(env, `/api/alerts/${rule.id}`);
+  assert.equal(delivered.state.firing, true);
+  await hook.close();
+});
+
+// =============================================================================
+// AUTHENTICATION AND RATE LIMITING
+// =============================================================================
+
+test("API requests need a key or an allowlisted origin", async () => {
+  const env = createEnv();
+
+  const anonymous = await request(env, "/api/metrics/polymarket/1003", { headers: { Origin: "" } });
+  assert.equal(anonymous.status, 401);
+
+  const foreign = await request(env, "/api/metrics/polymarket/1003", { headers: { Origin: "https://elsewhere.test" } });
+  assert.equal(foreign.status, 403);
+  assert.equal(foreign.headers.get("Access-Control-Allow-Origin"), null);
+
+  const monitor = await request(env, "/api/metrics/polymarket/1003");
+  assert.equal(monitor.status, 200);
+  assert.equal(monitor.headers.get("Access-Control-Allow-Origin"), TEST_ORIGIN);
+
+  const badKey = await request(env, "/api/metrics/polymarket/1003", { headers: { "X-Bellwether-Key": "bw_nope" } });
+  assert.equal(badKey.status, 401);
+
+  const health = await request(env, "/health", { headers: { Origin: "" } });
+  assert.equal(health.status, 200);
+});
+
+test("API keys are issued and revoked with the admin token", async () => {
+  const env = createEnv();
+
+  const denied = await request(env, "/api/keys", { method: "POST", body: JSON.stringify({ name: "x" }) });
+  assert.equal(denied.status, 401);
+
+  const { status, body: issued } = await request(env, "/api/keys", {
+    method: "POST",
+    headers: { Authorization: `Bearer ${ADMIN_TOKEN}` },
+    body: JSON.stringify({ name: "research desk" }),
+  });
+  assert.equal(status, 201);
+  assert.match(issued.key, /^bw_[0-9a-f]{48}$/);
+
+  const headers = { Origin: "", "X-Bellwether-Key": issued.key };
+  assert.equal((await request(env, "/api/metrics/polymarket/1003", { headers })).status, 200);
+
+  const list = await request(env, "/api/keys", { headers: { Authorization: `Bearer ${ADMIN_TOKEN}` } });
+  assert.deepEqual(list.body.keys.map(k => k.name), ["research desk"]);
+  assert.equal(list.body.keys[0].key, undefined);
+
+  const revoked = await request(env, `/api/keys/${issued.id}`, {
+    method: "DELETE",
+    headers: { Authorization: `Bearer ${ADMIN_TOKEN}` },
+  });
+  assert.equal(revoked.status, 200);
+  assert.equal((await request(env, "/api/metrics/polymarket/1003", { headers })).status, 401);
+});
+
+test("clients over their rate limit get 429 with Retry-After", async () => {
+  const env = createEnv();
+  const key = await issueApiKey(env, { name: "slow", rate_per_minute: 6, burst: 2 });
+  const headers = { "X-Bellwether-Key": key };
+
+  assert.equal((await request(env, "/api/metrics/polymarket/1003", { headers })).status, 200);
+  assert.equal((await request(env, "/api/metrics/polymarket/1003", { headers })).status, 200);
+
+  const limited = await request(env, "/api/metrics/polymarket/1003", { headers });
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get("Retry-After")) > 0);
+  assert.ok(Number(limited.headers.get("Retry-After")) <= 10);
+
+  // Other clients have their own buckets
+  assert.equal((await request(env, "/api/metrics/polymarket/1003")).status, 200);
+});
+
+test("batches draw one token per market", async () => {
+  const env = createEnv();
+  const key = await issueApiKey(env, { name: "batcher", rate_per_minute: 60, burst: 3 });
+
+  const { status, headers } = await request(env, "/api/metrics/batch", {
+    method: "POST",
+    headers: { "X-Bellwether-Key": key },
+    body: JSON.stringify({ markets: ["1001", "1002", "1003", "1004"].map(token_id => ({ platform: "polymarket", token_id })) }),
+  });
+
+  assert.equal(status, 429);
+  assert.equal(headers.get("Retry-After"), null);
+});
+
+test("divergence checks over the tracked markets draw a token per market they may cover", async () => {
+  const env = createEnv();
+  const key = await issueApiKey(env, { name: "scanner", rate_per_minute: 60, burst: 3 });
+  const divergences = (query) => request(env, `/api/divergences${query}`, { headers: { "X-Bellwether-Key": key } });
+
+  assert.equal((await divergences("")).status, 429);
+  assert.equal((await divergences("?markets=polymarket:1003|kalshi:KXTEST-26-CENTS")).status, 200);
+});
+
+test("browser origins cannot manage alerts", async () => {
+  const { status } = await request(createEnv(), "/api/alerts");
+  assert.equal(status, 403);
+});
@@ -0,0 +1,188 @@
+/**
+ * Trade cleaning
+ *
+ * Runs over normalized trades (see platforms.js) before any VWAP, so a few
+ * bad prints cannot move the Bellwether price:
+ *   off_book - a print far from the market at the time: recent trades are
+ *              checked against the live book, older ones against the
+ *              median of the trades around them
+ *   wash     - a run of same-size prints in quick succession going back and
+ *              forth (alternating sides, or alternating price moves when the
+ *              venue does not report a side)
+ * Excluded trades are reported with their reason. Separately, when trades
+ * carry a trader address, capTraderShare scales down any one trader's
+ * volume to at most max_trader_share of a window's volume.
+ */
+
+export const CLEANING_CONFIG = {
+  off_book_tolerance: 0.05, // How far (dollars) a print may sit outside the book or its neighbours' median
+  book_reference_minutes: 30, // Trades this recent are checked against the live book
+  neighbor_trades: 5, // Trades either side of an older print that make up its reference median
+  wash_window_seconds: 120, // Max gap between prints in a wash run
+  wash_min_prints: 4, // Same-size back-and-forth prints that make a wash run
+  max_trader_share: 0.25, // Cap on one trader's share of window volume
+};
+
+const SIZE_EPSILON = 1e-9;
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// =============================================================================
+// OFF-BOOK PRINTS
+// =============================================================================
+
+// Whether the trade at index i (trades sorted by time) is off the market
+function isOffBook(trades, i, bids, asks, now) {
+  const trade = trades[i];
+  const tolerance = CLEANING_CONFIG.off_book_tolerance;
+  const bestBid = bids[0]?.price ?? null;
+  const bestAsk = asks[0]?.price ?? null;
+
+  if (now - trade.timestamp <= CLEANING_CONFIG.book_reference_minutes * 60 * 1000 && (bestBid !== null || bestAsk !== null)) {
+    return (bestBid !== null && trade.price < bestBid - tolerance) ||
+      (bestAsk !== null && trade.price > bestAsk + tolerance);
+  }
+
+  const n = CLEANING_CONFIG.neighbor_trades;
+  const neighbors = [...trades.slice(Math.max(0, i - n), i), ...trades.slice(i + 1, i + 1 + n)];
+  if (neighbors.length === 0) return false;
+  return Math.abs(trade.price - median(neighbors.map(t => t.price))) > tolerance;
+}
+
+// =============================================================================
+// WASH PRINTS
+// =============================================================================
+
+// Back-and-forth: sides alternate when every print has one, otherwise the
+// price reverses direction on every print
+function isBackAndForth(run) {
+  if (run.every(t => t.side)) {
+    return run.every((t, k) => k === 0 || t.side !== run[k - 1].side);
+  }
+
+  let lastMove = 0;
+  for (let k = 1; k < run.length; k++) {
+    const move = Math.sign(run[k].price - run[k - 1].price);
+    if (move === 0 || move === lastMove) return false;
+    lastMove = move;
+  }
+  return true;
+}
+
+// Indexes (into trades sorted by time) of prints in wash runs
+function findWashPrints(trades) {
+  const windowMs = CLEANING_CONFIG.wash_window_seconds * 1000;
+  const flagged = new Set();
+  let run = [];
+
+  const closeRun = () => {
+    if (run.length >= CLEANING_CONFIG.wash_min_prints && isBackAndForth(run.map(i => trades[i]))) {
+      for (const i of run) flagged.add(i);
+    }
+  };
+
+  // Runs are consecutive in time; a different size or a long gap ends one
+  for (let i = 0; i < trades.length; i++) {
+    const last = run.length > 0 ? trades[run[run.length - 1]] : null;
+    const continues = last &&
+      Math.abs(trades[i].size - last.size) < SIZE_EPSILON &&
+      trades[i].timestamp - last.timestamp <= windowMs;
+
+    if (!continues) {
+      closeRun();
+      run = [];
+    }
+    run.push(i);
+  }
+  closeRun();
+
+  return flagged;
+}
+
+// =============================================================================
+// ENTRY POINTS
+// =============================================================================
+
+// Split trades into { kept, excluded } where excluded holds
+// { trade, reason }. bids/asks are the current book, best first.
+export function cleanTrades(trades, bids = [], asks = [], now = Date.now()) {
+  const sorted = [...trades].sort((a, b) => a.timestamp - b.timestamp);
+  const wash = findWashPrints(sorted);
+
+  const kept = [];
+  const excluded = [];
+  sorted.forEach((trade, i) => {
+    if (isOffBook(sorted, i, bids, asks, now)) {
+      excluded.push({ trade, reason: "off_book" });
+    } else if (wash.has(i)) {
+      excluded.push({ trade, reason: "wash" });
+    } else {
+      kept.push(trade);
+    }
+  });
+
+  return { kept, excluded };
+}
+
+// Scale down traders above max_trader_share of the window's volume.
+// Trades without a trader are never scaled but count toward the total. The
+// cap needs more traders than 1 / max_trader_share to be satisfiable, so
+// windows with fewer are left alone. Returns { trades, capped_traders,
+// capped_volume }.
+export function capTraderShare(trades) {
+  const share = CLEANING_CONFIG.max_trader_share;
+  const volumeByTrader = new Map();
+  let untagged = 0;
+  for (const t of trades) {
+    if (t.trader) volumeByTrader.set(t.trader, (volumeByTrader.get(t.trader) || 0) + t.size);
+    else untagged += t.size;
+  }
+
+  const none = { trades, capped_traders: 0, capped_volume: 0 };
+  if (volumeByTrader.size <= 1 / share) return none;
+
+  // Cap the largest traders at c = share x the capped total, adding the next
+  // largest while it would still be over c
+  const ranked = [...volumeByTrader.entries()].sort((a, b) => b[1] - a[1]);
+  let rest = ranked.reduce((sum, [, volume]) => sum + volume, 0) + untagged;
+  let capped = 0;
+  let cap = null;
+  while (capped < ranked.length && share * (capped + 1) < 1) {
+    const remaining = rest - ranked[capped][1];
+    const candidate = share * remaining / (1 - share * (capped + 1));
+    if (ranked[capped][1] <= candidate) break;
+    rest = remaining;
+    capped += 1;
+    cap = candidate;
+  }
+  if (capped === 0) return none;
+
+  const scale = new Map(ranked.slice(0, capped).map(([trader, volume]) => [trader, cap / volume]));
+  let removed = 0;
+  const scaled = trades.map(t => {
+    if (!scale.has(t.trader)) return t;
+    const size = t.size * scale.get(t.trader);
+    removed += t.size - size;
+    return { ...t, size };
+  });
+
+  return { trades: scaled, capped_traders: capped, capped_volume: Math.round(removed) };
+}
+
+// Response summary of what cleaning did to the trades at or after cutoff
+export function summarizeCleaning(excluded, cutoff, capResult) {
+  const inWindow = excluded.filter(e => e.trade.timestamp >= cutoff);
+  const reasons = { off_book: 0, wash: 0 };
+  for (const { reason } of inWindow) reasons[reason] += 1;
+
+  return {
+    excluded_trades: inWindow.length,
+    excluded_reasons: reasons,
+    capped_traders: capResult ? capResult.capped_traders : 0,
+    capped_volume: capResult ? capResult.capped_volume : 0,
+  };
+}